@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+
+require('../src/Cli').main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
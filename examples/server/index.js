@@ -36,109 +36,50 @@ app.get('/', (req, res) => {
   });
 });
 
-// Get challenge nonce for attestation
-app.get('/api/nonce', async (req, res) => {
-  try {
-    console.log('📞 Nonce request from device:', req.headers['device-id']?.substring(0, 8) + '...');
-    
-    const randomNonce = await AppAttestKit.getNonce(req);
-    if (randomNonce?.error) {
-      console.error('❌ Nonce generation failed:', randomNonce.error);
-      return res.status(400).json({ error: 'Failed to generate nonce' });
-    }
-    
-    console.log('✅ Nonce generated successfully');
-    return res.status(200).json({ nonce: randomNonce });
-  } catch (error) {
-    console.error('❌ Nonce endpoint error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Register device attestation
-app.post('/api/registerattestation', async (req, res) => {
-  try {
-    const deviceId = req.headers['device-id']?.substring(0, 8) + '...';
-    console.log('📱 Attestation registration from device:', deviceId);
-    
-    const result = await AppAttestKit.registerAttestation(req, TEAM_ID, BUNDLE_ID, IS_DEVELOPMENT);
-    if (result?.error) {
-      console.error('❌ Attestation registration failed:', result.error);
-      return res.status(400).json({ error: 'Attestation registration failed' });
-    }
-    
-    console.log('✅ Attestation registered successfully for device:', deviceId);
-    return res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('❌ Attestation registration error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
+// Challenge and registration endpoints:
+//   GET  /api/nonce               - Generate challenge nonce
+//   POST /api/registerattestation - Register device
+app.use('/api', AppAttestKit.router({
+  teamId: TEAM_ID,
+  bundleIdentifier: BUNDLE_ID,
+  devMode: IS_DEVELOPMENT
+}));
+
+// Validates the App Attest assertion and answers 422 for unregistered keys,
+// which triggers client re-attestation
+const requireAssertion = AppAttestKit.requireAssertion({
+  teamId: TEAM_ID,
+  bundleIdentifier: BUNDLE_ID
 });
 
 // Protected route - validates App Attest assertion
-app.post('/api/protectedroute', async (req, res) => {
-  try {
-    const deviceId = req.headers['device-id']?.substring(0, 8) + '...';
-    console.log('🔒 Protected route access from device:', deviceId);
-    
-    const assertionResult = await AppAttestKit.validateAssertion(req, TEAM_ID, BUNDLE_ID);
-
-    if (assertionResult?.error) {
-      // Important: If 'nokey' error, return 422 to trigger client re-attestation
-      if (assertionResult.error === 'nokey') {
-        console.log('🔄 Device needs re-attestation:', deviceId);
-        return res.status(422).json({ error: 'Device not registered. Please re-attest.' });
-      }
-      console.error('❌ Assertion validation failed:', assertionResult.error);
-      return res.status(400).json({ error: 'Assertion validation failed' });
-    }
-
-    console.log(`✅ Assertion validated for device: ${deviceId}, Count: ${assertionResult}`);
-    return res.status(200).json({ 
-      assertionsCount: assertionResult,
-      message: 'Protected resource accessed successfully!',
-      timestamp: new Date().toISOString(),
-      deviceId: deviceId
-    });
-  } catch (error) {
-    console.error('❌ Protected route error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
+app.post('/api/protectedroute', requireAssertion, (req, res) => {
+  const { deviceId, counter } = req.appAttest;
+  console.log(`✅ Assertion validated for device: ${deviceId.substring(0, 8)}..., Count: ${counter}`);
+  return res.status(200).json({
+    assertionsCount: counter,
+    message: 'Protected resource accessed successfully!',
+    timestamp: new Date().toISOString(),
+    deviceId: deviceId.substring(0, 8) + '...'
+  });
 });
 
 // Additional demo endpoint
-app.post('/api/user-data', async (req, res) => {
-  try {
-    const deviceId = req.headers['device-id']?.substring(0, 8) + '...';
-    console.log('👤 User data request from device:', deviceId);
-    
-    const assertionResult = await AppAttestKit.validateAssertion(req, TEAM_ID, BUNDLE_ID);
-
-    if (assertionResult?.error) {
-      if (assertionResult.error === 'nokey') {
-        return res.status(422).json({ error: 'Device not registered. Please re-attest.' });
-      }
-      return res.status(400).json({ error: 'Assertion validation failed' });
-    }
-
-    // Simulate user data
-    const userData = {
-      userId: req.headers['user-id'] || 'demo-user',
-      accountType: 'Premium',
-      lastLogin: new Date().toISOString(),
-      preferences: {
-        notifications: true,
-        darkMode: true
-      },
-      assertionCount: assertionResult
-    };
-
-    console.log(`✅ User data served to device: ${deviceId}`);
-    return res.status(200).json(userData);
-  } catch (error) {
-    console.error('❌ User data endpoint error:', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
+app.post('/api/user-data', requireAssertion, (req, res) => {
+  // Simulate user data
+  const userData = {
+    userId: req.headers['user-id'] || 'demo-user',
+    accountType: 'Premium',
+    lastLogin: new Date().toISOString(),
+    preferences: {
+      notifications: true,
+      darkMode: true
+    },
+    assertionCount: req.appAttest.counter
+  };
+
+  console.log(`✅ User data served to device: ${req.appAttest.deviceId.substring(0, 8)}...`);
+  return res.status(200).json(userData);
 });
 
 // Error handling middleware
@@ -0,0 +1,170 @@
+/**
+ * Counter anomaly and cloned-key detection.
+ *
+ * The counter of a genuine App Attest key grows by one with every assertion, and a
+ * key belongs to a single device. Events that break these rules are recorded in the
+ * store and reported with `logger.securityEvent`:
+ *   - counterJump:     a correctly signed assertion moved the counter by more than `counterJumpThreshold`
+ *   - counterRollback: a correctly signed, fresh and unreplayed assertion carried a counter more than
+ *                      `counterRollbackTolerance` below the stored one
+ *   - keyConflict:     a registered key was attested again under another device ID
+ *
+ * A key that collects `quarantineThresholds[type]` unreviewed events of one type within
+ * `anomalyWindow` seconds is quarantined: its assertions fail with KEY_QUARANTINED
+ * until an administrator releases it (which marks its anomalies as reviewed) or revokes it.
+ */
+
+const { resolveConfig, DEFAULTS } = require('./Config');
+const { createError, toAppAttestError } = require('./Errors');
+const { logger } = require('./utils/Logger');
+
+const ANOMALY_COUNTER_JUMP = 'counterJump';
+const ANOMALY_COUNTER_ROLLBACK = 'counterRollback';
+const ANOMALY_KEY_CONFLICT = 'keyConflict';
+
+const ANOMALY_TYPES = [ANOMALY_COUNTER_JUMP, ANOMALY_COUNTER_ROLLBACK, ANOMALY_KEY_CONFLICT];
+
+//Thresholds that are not configured keep their default; null disables quarantine altogether
+const quarantineThreshold = (config, type) => {
+    if (!config.quarantineThresholds) return 0;
+    return { ...DEFAULTS.quarantineThresholds, ...config.quarantineThresholds }[type] || 0;
+}
+
+const invalidKeyId = () => ({ error: createError('INVALID_INPUT', 'Missing or invalid required value: keyId') });
+
+/**
+ * Records an anomaly of a key, reports it and quarantines the key once the threshold
+ * of its type is reached. Storage failures are logged and do not fail the caller.
+ * @param {Object} config - Resolved configuration
+ * @param {Object} anomaly - `{ type, keyId, deviceId, details }`
+ * @returns {Promise<Object>} `{ quarantined }`, true if the key is quarantined now
+ */
+const reportAnomaly = async (config, { type, keyId, deviceId, details = {} }) => {
+    try {
+        const store = config.store;
+        const occurredAt = Date.now();
+        await store.recordAnomaly({ type, keyId, deviceId, details, occurredAt });
+
+        const threshold = quarantineThreshold(config, type);
+        const count = threshold ? await store.countAnomalies(keyId, type, occurredAt - config.anomalyWindow * 1000) : 0;
+        const quarantined = threshold > 0 && count >= threshold;
+
+        logger.securityEvent(type, { tenant: config.tenant, keyId, deviceId, ...details, count, quarantined });
+        if (quarantined) {
+            const reason = `${count} ${type} anomalies within ${config.anomalyWindow} seconds`;
+            await store.quarantineKey(keyId, { reason, quarantinedAt: occurredAt });
+        }
+        return { quarantined };
+    } catch (error) {
+        logger.error('Error recording anomaly', { error });
+        return { quarantined: false };
+    }
+}
+
+/**
+ * Compares the counter of a correctly signed assertion with the stored one and reports
+ * rollbacks and jumps. Repeating the stored counter is left to the replay checks.
+ *
+ * Rollbacks of up to `counterRollbackTolerance` are left alone: a device's own concurrent
+ * requests may arrive out of order.
+ * @param {Object} config - Resolved configuration
+ * @param {Object} storedKey - Key record `{ deviceId, keyId, counter }`
+ * @param {number} counter - Counter of the assertion
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.countRollback=false] - Report rollbacks; only for assertions that are provably
+ * fresh and seen for the first time, since resending an old assertion would otherwise count as one
+ * @returns {Promise<Object>} `{ quarantined }`
+ */
+const checkCounter = async (config, storedKey, counter, { countRollback = false } = {}) => {
+    const { keyId, deviceId, counter: storedCounter } = storedKey;
+    const details = { counter, storedCounter };
+
+    if (counter < storedCounter) {
+        if (!countRollback || storedCounter - counter <= (config.counterRollbackTolerance || 0)) return { quarantined: false };
+        return reportAnomaly(config, { type: ANOMALY_COUNTER_ROLLBACK, keyId, deviceId, details });
+    }
+    if (config.counterJumpThreshold && counter - storedCounter > config.counterJumpThreshold) {
+        return reportAnomaly(config, { type: ANOMALY_COUNTER_JUMP, keyId, deviceId, details });
+    }
+    return { quarantined: false };
+}
+
+/**
+ * Lists recorded anomalies, newest first.
+ * @param {Object} [query] - Filters
+ * @param {string} [query.keyId] - Only anomalies of this key
+ * @param {string} [query.deviceId] - Only anomalies of this device
+ * @param {string} [query.type] - 'counterJump', 'counterRollback' or 'keyConflict'
+ * @param {number} [query.since] - Only anomalies from this time on (milliseconds since the epoch)
+ * @param {number} [query.limit=100] - Maximum number of anomalies
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ anomalies: [{ id, type, keyId, deviceId, details, occurredAt, reviewedAt }] }`, or `{ error: AppAttestError }`
+ */
+const listAnomalies = async (query = {}, options = {}) => {
+    try {
+        const { keyId, deviceId, type, since, limit = 100 } = query;
+        if (type && !ANOMALY_TYPES.includes(type)) {
+            return { error: createError('INVALID_INPUT', `type must be one of ${ANOMALY_TYPES.join(', ')}`) };
+        }
+
+        const anomalies = await resolveConfig(options).store.listAnomalies({ keyId, deviceId, type, since, limit });
+        return { anomalies };
+    } catch (error) {
+        logger.error('Error listing anomalies', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Quarantines a key by hand, e.g. while investigating a report.
+ * @param {Object} input - `{ keyId, reason }`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ keyId, quarantinedAt, quarantineReason }`, or `{ error: AppAttestError }` (KEY_NOT_FOUND for unknown keys)
+ */
+const quarantineKey = async ({ keyId, reason = null } = {}, options = {}) => {
+    try {
+        if (!keyId || typeof keyId !== 'string') return invalidKeyId();
+
+        const store = resolveConfig(options).store;
+        const key = await store.findKey(keyId);
+        if (!key) return { error: createError('KEY_NOT_FOUND', `Key ${keyId} is not registered`) };
+        if (key.quarantinedAt) return { keyId, quarantinedAt: key.quarantinedAt, quarantineReason: key.quarantineReason };
+
+        const quarantinedAt = Date.now();
+        await store.quarantineKey(keyId, { reason, quarantinedAt });
+        return { keyId, quarantinedAt, quarantineReason: reason };
+    } catch (error) {
+        logger.error('Error quarantining key', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Releases a key from quarantine after review. Its anomalies so far are marked as
+ * reviewed, so only new ones count towards the next quarantine.
+ * @param {Object} input - `{ keyId }`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ keyId, released }` (false if the key was not quarantined), or `{ error: AppAttestError }`
+ */
+const releaseKey = async ({ keyId } = {}, options = {}) => {
+    try {
+        if (!keyId || typeof keyId !== 'string') return invalidKeyId();
+
+        const released = await resolveConfig(options).store.releaseKey(keyId, Date.now());
+        return { keyId, released };
+    } catch (error) {
+        logger.error('Error releasing key', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+module.exports = {
+    reportAnomaly,
+    checkCounter,
+    listAnomalies,
+    quarantineKey,
+    releaseKey,
+    ANOMALY_COUNTER_JUMP,
+    ANOMALY_COUNTER_ROLLBACK,
+    ANOMALY_KEY_CONFLICT
+}
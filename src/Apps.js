@@ -0,0 +1,82 @@
+/**
+ * The App IDs a server accepts. Calls that pass `teamId` and `bundleIdentifier`
+ * accept that single app; otherwise the configured `apps` list is used, which lets
+ * one server handle a main app, its App Clip and extensions, or apps of several teams.
+ */
+
+const { computeSHA256 } = require('./utils/SHA256Compute');
+const { appIdentityProblem } = require('./utils/InputValidator');
+const { createError } = require('./Errors');
+
+const appIdOf = ({ teamId, bundleIdentifier }) => `${teamId}.${bundleIdentifier}`
+
+//Which attestation environments an app accepts; keys record the one they were attested in
+const ENVIRONMENT_POLICIES = ['production', 'development', 'either']
+
+/**
+ * @param {string|boolean} value - Environment policy, or a DEV_MODE boolean (true is 'development')
+ * @returns {?string} 'production', 'development' or 'either', or null if the value is not a policy
+ */
+const toEnvironmentPolicy = (value) => {
+    if (value === true) return 'development'
+    if (value === false) return 'production'
+    return ENVIRONMENT_POLICIES.includes(value) ? value : null
+}
+
+//An app's own environment (or devMode) wins over the configured `environment`,
+//which is a single policy or a map of policies by App ID
+const environmentSetting = (app, config) => {
+    if (app.environment !== undefined) return app.environment
+    if (app.devMode !== undefined) return app.devMode
+
+    const configured = config.environment
+    if (configured && typeof configured === 'object') return configured[appIdOf(app)] || 'production'
+    return configured === undefined || configured === null ? 'production' : configured
+}
+
+/**
+ * Lists the apps a call accepts.
+ * @param {string} [teamId] - Team ID passed to the call
+ * @param {string} [bundleIdentifier] - Bundle identifier passed to the call
+ * @param {string|boolean} [environment] - Environment policy (or DEV_MODE) passed to the call; defaults to the configured `environment`
+ * @param {Object} config - Resolved configuration (for `apps` and `environment`)
+ * @returns {Object} `{ apps: [{ appId, teamId, bundleIdentifier, environment }] }`, or `{ error: AppAttestError }`
+ */
+const resolveApps = (teamId, bundleIdentifier, environment, config = {}) => {
+    const configured = config.apps || []
+    const entries = teamId || bundleIdentifier || configured.length === 0
+        ? [{ teamId, bundleIdentifier, environment }]
+        : configured
+
+    const apps = []
+    for (const app of entries) {
+        const problem = appIdentityProblem(app.teamId, app.bundleIdentifier)
+        if (problem) return { error: createError('INVALID_CONFIGURATION', problem) }
+
+        const setting = environmentSetting(app, config)
+        const policy = toEnvironmentPolicy(setting)
+        if (!policy) {
+            return { error: createError('INVALID_CONFIGURATION', `Unknown environment policy '${setting}' for ${appIdOf(app)}; use 'production', 'development' or 'either'`) }
+        }
+
+        const { devMode, ...settings } = app
+        apps.push({ ...settings, appId: appIdOf(app), environment: policy })
+    }
+
+    return { apps }
+}
+
+/**
+ * @returns {?Object} The app whose App ID hashes to the given RP ID hash
+ */
+const findAppByRpIdHash = (apps, rpIdHash) => {
+    if (!rpIdHash) return null
+    return apps.find(app => computeSHA256(app.appId).equals(rpIdHash)) || null
+}
+
+/**
+ * @returns {?Object} The app with the given App ID
+ */
+const findAppById = (apps, appId) => apps.find(app => app.appId === appId) || null
+
+module.exports = { resolveApps, findAppByRpIdHash, findAppById, appIdOf, toEnvironmentPolicy, ENVIRONMENT_POLICIES }
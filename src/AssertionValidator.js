@@ -1,16 +1,33 @@
 const crypto = require('crypto');
 const decodeCborObject = require('./utils/CBORDecoder');
 const { computeSHA256 } = require('./utils/SHA256Compute');
-const dbQuery = require('./utils/SQLiteHelper');
-const { validateHeaders, sanitizeInput } = require('./utils/InputValidator');
-
-
-function sortObjectKeys(jsonObj) {
-  return Object.keys(jsonObj).sort().reduce((result, key) => {
-    result[key] = jsonObj[key];
-    return result;
-  }, {});
-}
+const { canonicalJSON } = require('./utils/CanonicalJSON');
+const { resolveConfig, getMetrics } = require('./Config');
+const { issueChallenge, consumeChallenge, sweepIfDue, CHALLENGE_EXPIRED, CHALLENGE_UNKNOWN } = require('./Challenges');
+const { validateAssertionInput, isValidDeviceId, sanitizeInput } = require('./utils/InputValidator');
+const { assertionInput, deviceIdFrom, clientIpOf } = require('./utils/RequestValues');
+const { assertionFingerprint } = require('./ReplayCache');
+const { resolveApps, findAppById } = require('./Apps');
+const { createError, toAppAttestError } = require('./Errors');
+const { bindRequest, requestOf } = require('./RequestBinding');
+const { checkCounter } = require('./Anomalies');
+const { startTimer, countChallenge, recordOutcome } = require('./Metrics');
+const { recordAuditEvent, AUDIT_ASSERTION } = require('./AuditLog');
+const { logger } = require('./utils/Logger');
+const { publicKeyOf } = require('./KeyCache');
+const { isKeyRetired } = require('./KeyRotation');
+
+const MAX_SIGNATURE_AGE = 120 //Reject timestamp-mode assertions older than 120 seconds
+const KEY_ENVIRONMENTS = ['production', 'development']
+
+
+//Failure result of verifyAssertion: the reason for logs plus a typed error for callers
+const assertionFailure = (code, reason) => ({
+  result: false,
+  reason,
+  code,
+  error: createError(code, reason)
+})
 
 
 /**
@@ -22,20 +39,26 @@ function sortObjectKeys(jsonObj) {
  * @param {number} assertionsCount - The last known number of assertions that you stored in your database during the last assertion (0 for first assertion).
  * @param {string} teamId - Your 10 digit alphanumeric Apple Team ID.
  * @param {string} bundleIdentifier - The reverse network path bundle identifier of your app.
+ * @param {object} [options] - Encoding options
+ * @param {boolean} [options.escapeSlashes=true] - Set to false if the client encodes clientData with `.withoutEscapingSlashes`
+ * @param {string} [options.keyId] - Key identifier of keyPEM; the parsed key is then cached (see KeyCache.js)
  * @returns {object} An object containing the result of the assertion validation, and the current assertions count, which you must store in the database for the next assertion.
+ * On failure it also contains `reason`, `code` and a typed `error`.
  */
-const verifyAssertion = (signature, clientData, keyPEM, assertionsCount, teamId, bundleIdentifier) => {
+const verifyAssertion = (signature, clientData, keyPEM, assertionsCount, teamId, bundleIdentifier, options = {}) => {
 
   // 1. Compute clientDataHash as the SHA256 hash of clientData.
 
-  //Sort the object keys to ensure they match the order of clientData provided in iOS app. Use .sortedKeys in Swift
-  const clientDataSorted = sortObjectKeys(clientData)
-  let clientDataJsonString = JSON.stringify(clientDataSorted).replaceAll('/', '\\/')   //To conform with the output of Swift JSONEncoder.encode()
-  let clientDataHash = computeSHA256(clientDataJsonString)
+  //Encode clientData exactly like JSONEncoder with .sortedKeys does on the device
+  const clientDataJsonString = canonicalJSON(clientData, { escapeSlashes: options.escapeSlashes })
+  const clientDataHash = computeSHA256(clientDataJsonString)
 
 
   //2. Concatenate authenticatorData and clientDataHash, and apply a SHA256 hash over the result to form nonce.
   const decodedAssertionObject = decodeCborObject(signature)
+  if (!decodedAssertionObject || !decodedAssertionObject.signature || !decodedAssertionObject.authenticatorData) {
+    return assertionFailure('ASSERTION_MALFORMED', 'Assertion object could not be decoded.')
+  }
   const decodedSignature = decodedAssertionObject.signature
   const authenticatorData = decodedAssertionObject.authenticatorData
   const compositeItem = Buffer.concat([authenticatorData, clientDataHash])
@@ -43,30 +66,24 @@ const verifyAssertion = (signature, clientData, keyPEM, assertionsCount, teamId,
 
 
   //3. Use the public key that you store from the attestation object to verify that the assertion’s signature is valid for nonce.
-  let keyObj = crypto.createPublicKey(Buffer.from(keyPEM))
+  let keyObj = publicKeyOf(options.keyId, keyPEM)
   let verifier = crypto.createVerify('sha256').update(compositeNonce);
   let validSignature = verifier.verify(keyObj, decodedSignature);
-  if (!validSignature) return {
-    result: false,
-    reason: 'Invalid signature.'
-  }
+  if (!validSignature) return assertionFailure('SIGNATURE_INVALID', 'Invalid signature.')
 
 
   //4. Compute the SHA256 hash of the client’s App ID, and verify that it matches the RP ID in the authenticator data.
   const rpId = authenticatorData.slice(0, 32)
   const appIdHash = computeSHA256(teamId + '.' + bundleIdentifier)
-  if (rpId.toString('hex') !== appIdHash.toString('hex')) return {
-    result: false,
-    reason: 'RP ID does not match SHA256 has of App ID'
-  }
+  if (rpId.toString('hex') !== appIdHash.toString('hex')) return assertionFailure('RP_ID_MISMATCH', 'RP ID does not match SHA256 hash of App ID')
 
 
   //5. Verify that the authenticator data’s counter value is greater than the value from the previous assertion, or greater than 0 on the first assertion.
   const dataCounterHex = authenticatorData.slice(33, 37).toString('hex')
   const dataCounter = parseInt(dataCounterHex, 16)
-  if (dataCounter <= assertionsCount) return {
-    result: false,
-    reason: 'The authenticator data counter value is less than the value from the previous assertion.'
+  if (dataCounter <= assertionsCount) {
+    //The signature is valid, so the counter is reported for anomaly detection
+    return { ...assertionFailure('COUNTER_REPLAY', 'The authenticator data counter value is not greater than the value from the previous assertion.'), counter: dataCounter }
   }
 
 
@@ -82,79 +99,266 @@ function isTooOld(unixTimestamp, seconds) {
   return difference > seconds
 }
 
-const validateAssertion = async (req, teamId, bundleIdentifier) => {
+/**
+ * Verifies an assertion from plain values (framework independent).
+ *
+ * @param {Object} input - Assertion values
+ * @param {string} input.deviceId - Unique device identifier from client
+ * @param {string} input.keyId - Base64 key identifier registered during attestation
+ * @param {string} input.signature - Base64-encoded CBOR assertion object
+ * @param {string} input.nonce - Unix timestamp (timestamp mode) or server-issued challenge (challenge mode)
+ * @param {Object} input.clientData - The key-value pairs the client signed
+ * @param {Object} [input.request] - `{ method, path, body, contentDigest }` of the request, required with `requestBinding`
+ * @param {string} [input.clientIp] - Client IP address, for the audit log
+ * @param {string} [teamId] - Your 10 digit alphanumeric Apple Team ID (omit to accept the configured `apps`).
+ * @param {string} [bundleIdentifier] - The reverse network path bundle identifier of your app.
+ * @param {Object} [options] - Per-call configuration overrides
+ * @param {string} [options.requireEnvironment] - Refuse keys attested in another environment ('production' or 'development')
+ * @returns {Promise<Object>} `{ deviceId, keyId, counter, appId, environment }` on success, or `{ error: AppAttestError }` on failure
+ */
+const verifyDeviceAssertion = async (input, teamId, bundleIdentifier, options = {}) => {
+  const elapsed = startTimer()
+  const trace = {}
+  const result = await checkDeviceAssertion(input, teamId, bundleIdentifier, options, trace)
+  recordOutcome(getMetrics(options), 'assertion', result, elapsed())
+
+  //The stored counter only moves when the assertion is accepted
+  const { deviceId, keyId, clientIp } = input || {}
+  const counterAfter = result.error ? trace.counterBefore : result.counter
+  await recordAuditEvent(options, { type: AUDIT_ASSERTION, deviceId, keyId, clientIp, counterBefore: trace.counterBefore, counterAfter }, result)
+  return result
+}
 
-  if (!req) return { error: 'Request object is required' }
-  if (!teamId) return { error: 'Team ID is required' }
-  if (!bundleIdentifier) return { error: 'Bundle identifier is required' }
-  if (typeof teamId !== 'string' || teamId.length !== 10) {
-    return { error: 'Team ID must be a 10-character string' }
-  }
-  if (typeof bundleIdentifier !== 'string' || !bundleIdentifier.includes('.')) {
-    return { error: 'Bundle identifier must be a valid reverse domain string' }
-  }
+//`trace` receives the stored counter once the key is loaded, for the audit log
+const checkDeviceAssertion = async (input, teamId, bundleIdentifier, options = {}, trace = {}) => {
 
   try {
-    // Validate headers first
-    const headerValidation = validateHeaders(req.headers);
-    if (!headerValidation.isValid) {
-      return { error: `Invalid headers: ${headerValidation.errors.join(', ')}` }
+    const config = resolveConfig(options)
+    const { apps, error } = resolveApps(teamId, bundleIdentifier, undefined, config)
+    if (error) return { error }
+    if (config.requireEnvironment && !KEY_ENVIRONMENTS.includes(config.requireEnvironment)) {
+      return { error: createError('INVALID_CONFIGURATION', `requireEnvironment must be one of ${KEY_ENVIRONMENTS.join(', ')}`) }
+    }
+
+    // Validate input first
+    const inputValidation = validateAssertionInput(input);
+    if (!inputValidation.isValid) {
+      return { error: createError('INVALID_INPUT', `Invalid input: ${inputValidation.errors.join(', ')}`) }
+    }
+
+    const deviceId = sanitizeInput(input.deviceId, { maxLength: 64, allowedChars: 'a-zA-Z0-9-' })
+    const signature = input.signature
+    const keyId = sanitizeInput(input.keyId, { maxLength: 48, allowedChars: 'a-zA-Z0-9+/=' })
+    const nonce = sanitizeInput(input.nonce, { maxLength: 64, allowedChars: 'a-zA-Z0-9+/=' })
+    let clientData = input.clientData
+
+    if (!deviceId || !signature || !keyId || !nonce) {
+      return { error: createError('INVALID_INPUT', 'Missing or invalid required values: deviceId, signature, keyId, nonce') }
     }
 
-    const deviceId = sanitizeInput(req.headers["device-id"], { maxLength: 64, allowedChars: 'a-zA-Z0-9-' })
-    const signature = req.headers["signature"]
-    const keyId = sanitizeInput(req.headers["key-id"], { maxLength: 48, allowedChars: 'a-zA-Z0-9+/=' })
-    const assertionInputs = sanitizeInput(req.headers["assertion-inputs"], { maxLength: 500, allowedChars: 'a-z0-9-;' })
-    const nonce = sanitizeInput(req.headers["nonce"], { maxLength: 64, allowedChars: 'a-zA-Z0-9+/=' })
+    //The client signs the method, request target and body digest along with the headers
+    if (config.requestBinding) {
+      const bound = bindRequest(clientData, input.request)
+      if (bound.error) {
+        logger.warn('Request could not be bound', { deviceId, keyId, reason: bound.error.reason })
+        return { error: bound.error }
+      }
+      clientData = bound.clientData
+    }
+
+    const store = config.store
+
+    if (config.assertionMode === 'challenge') {
+      //The challenge must be part of the signed clientData, otherwise it proves nothing
+      if (clientData.nonce !== input.nonce) {
+        logger.warn('Assertion challenge is not covered by the signature', { deviceId, keyId })
+        return { error: createError('CHALLENGE_NOT_SIGNED', 'The nonce must be part of the signed clientData.') }
+      }
 
-    if (!deviceId || !signature || !keyId || !assertionInputs || !nonce) {
-      return { error: 'Missing or invalid required headers: device-id, signature, key-id, assertion-inputs, nonce' }
+      //Burn the challenge before verifying, so that it can never be presented twice
+      const { status } = await consumeChallenge(store, deviceId, 'assertion', nonce)
+      if (status === CHALLENGE_UNKNOWN) {
+        logger.warn('Unknown assertion challenge', { deviceId, keyId })
+        return { error: createError('CHALLENGE_UNKNOWN', 'Unknown assertion challenge.', { clientMessage: 'Unknown challenge. Please request a new assertion challenge.' }) }
+      }
+      if (status === CHALLENGE_EXPIRED) {
+        logger.warn('Expired assertion challenge', { deviceId, keyId })
+        return { error: createError('CHALLENGE_EXPIRED', 'Expired assertion challenge.', { clientMessage: 'Challenge expired. Please request a new assertion challenge.' }) }
+      }
+    } else {
+      if (isTooOld(nonce, MAX_SIGNATURE_AGE)) {
+        logger.warn('Signature is too old', { deviceId, keyId })
+        return { error: createError('ASSERTION_EXPIRED', 'Signature is too old.') }
+      }
     }
 
-    const maxSignatureAge = 120 //Reject tokens older than 120 seconds
-    if (isTooOld(nonce, maxSignatureAge)) {
-      console.error('Error: Signature is too old.')
-      return { error: 'Signature is too old.' }
+    const storedKey = await store.loadKey(deviceId, keyId)
+
+    if (!storedKey) {
+      logger.warn('No matching key found', { deviceId, keyId })
+      return { error: createError('KEY_NOT_FOUND', 'No matching key found') }
     }
+    trace.counterBefore = storedKey.counter
 
-    const keyQuery = await dbQuery(`SELECT publicKey, counter FROM attestations WHERE keyId = ? AND deviceId = ?`, [keyId, deviceId])
+    //A revoked key is reported as such, so that the client does not attest a new one
+    if (storedKey.revokedAt) {
+      logger.warn('Key was revoked', { deviceId, keyId, revokeReason: storedKey.revokeReason })
+      return { error: createError('KEY_REVOKED', 'Key has been revoked') }
+    }
+
+    //A quarantined key stays refused until it is reviewed (see Anomalies.js)
+    if (storedKey.quarantinedAt) {
+      logger.warn('Key is quarantined', { deviceId, keyId, quarantineReason: storedKey.quarantineReason })
+      return { error: createError('KEY_QUARANTINED', 'Key is quarantined pending review') }
+    }
 
-    if (!keyQuery[0]) {
-      console.error('Error: No matching key found')
-      return { error: 'nokey' }
+    //A key replaced by a newer one is accepted until its grace period ends (see KeyRotation.js)
+    if (isKeyRetired(storedKey)) {
+      logger.warn('Key was superseded and its grace period has ended', { deviceId, keyId, supersededAt: storedKey.supersededAt })
+      return { error: createError('KEY_SUPERSEDED', 'Key was superseded by a newer key and its grace period has ended') }
     }
 
 
-    //Build clientData from the assertion input:
-    const clientDataKeys = assertionInputs.toLowerCase().split(';')
-    const clientData = {}
-    clientDataKeys.forEach(key => {
-      if (req.headers[key] !== undefined) {
-        clientData[key] = req.headers[key]
-      }
-    })
+    //Verify against the App ID the key was registered for (keys registered before App IDs were recorded use the first app)
+    const app = storedKey.appId ? findAppById(apps, storedKey.appId) : apps[0]
+    if (!app) {
+      logger.warn('Key was registered for an App ID that is not accepted here', { deviceId, keyId, appId: storedKey.appId })
+      return { error: createError('RP_ID_MISMATCH', `Key was registered for App ID ${storedKey.appId}, which is not accepted here.`) }
+    }
+
+    //Keys registered before environments were recorded are let through
+    const requiredEnvironment = config.requireEnvironment
+    if (requiredEnvironment && storedKey.environment && storedKey.environment !== requiredEnvironment) {
+      logger.warn('Key was attested in another environment', { deviceId, keyId, environment: storedKey.environment, requiredEnvironment })
+      return { error: createError('ENVIRONMENT_NOT_ACCEPTED', `Key was attested in the ${storedKey.environment} environment, ${requiredEnvironment} is required.`) }
+    }
 
+    const publicKey = storedKey.publicKey
+    const assertionsCount = storedKey.counter
 
+    const assertionResult = verifyAssertion(signature, clientData, publicKey, assertionsCount, app.teamId, app.bundleIdentifier, { escapeSlashes: config.escapeSlashes, keyId })
 
-    const publicKey = keyQuery[0].publicKey
-    const assertionsCount = keyQuery[0].counter
+    //Only correctly signed assertions report a counter; anything else says nothing about the key
+    if (assertionResult.counter === undefined) {
+      logger.warn('Assertion could not be verified', { deviceId, keyId, code: assertionResult.code, reason: assertionResult.reason })
+      return { error: assertionResult.error }
+    }
 
-    const assertionResult = verifyAssertion(signature, clientData, publicKey, assertionsCount, teamId, bundleIdentifier)
+    //Reject exact duplicates for the rest of the freshness window, including concurrent ones.
+    //This runs before the counter checks, so that resending a captured assertion records no anomaly:
+    if (config.replayCache) {
+      const fingerprint = assertionFingerprint(keyId, signature)
+      const freshnessWindow = config.assertionMode === 'challenge' ? config.assertionChallengeTtl : MAX_SIGNATURE_AGE
+      const firstSeen = await config.replayCache.checkAndRecord(fingerprint, freshnessWindow)
+
+      if (!firstSeen) {
+        logger.warn('Assertion replay detected', { deviceId, keyId })
+        return { error: createError('ASSERTION_REPLAYED', 'Assertion replay detected.') }
+      }
+    }
+
+    //A rollback only counts when the assertion is new: seen for the first time, and signed over a nonce that passed the freshness check
+    const countRollback = Boolean(config.replayCache) && clientData.nonce === input.nonce
+    const { quarantined } = await checkCounter(config, storedKey, assertionResult.counter, { countRollback })
+    if (quarantined) {
+      logger.warn('Key was quarantined after counter anomalies', { deviceId, keyId })
+      return { error: createError('KEY_QUARANTINED', 'Key was quarantined after counter anomalies') }
+    }
 
     if (!assertionResult.result) {
-      console.error('Error: Assertion could not be verified.')
-      return { error: 'Assertion could not be verified' }
+      logger.warn('Assertion could not be verified', { deviceId, keyId, code: assertionResult.code, reason: assertionResult.reason })
+      return { error: assertionResult.error }
     }
 
+    //Only store the new counter if no concurrent assertion has moved it in the meantime:
     const newCounter = assertionResult.counter
-    await dbQuery(`UPDATE attestations SET counter = ? WHERE keyId = ?`, [newCounter, keyId])
+    const counterUpdated = await store.updateCounter(keyId, assertionsCount, newCounter)
 
-    return newCounter
+    if (!counterUpdated) {
+      logger.warn('Counter was updated by a concurrent assertion', { deviceId, keyId })
+      return { error: createError('COUNTER_CONFLICT', 'Counter was updated by a concurrent assertion.') }
+    }
+
+    return { deviceId, keyId, counter: newCounter, appId: app.appId, environment: storedKey.environment || null }
   } catch (error) {
-    console.error('Error: Assertion Error: ', error)
-    return {error: error}
+    logger.error('Could not verify assertion', { error })
+    return { error: toAppAttestError(error) }
   }
 }
 
+/**
+ * Validates the assertion carried by a request and returns the verified device.
+ * Same checks as validateAssertion, but resolves with `{ deviceId, keyId, counter, appId }` on success.
+ */
+const authenticateRequest = async (req, teamId, bundleIdentifier, options = {}) => {
+  if (!req) return { error: createError('INVALID_INPUT', 'Request object is required') }
+  const input = { ...assertionInput(req.headers, requestOf(req)), clientIp: clientIpOf(req) }
+  return verifyDeviceAssertion(input, teamId, bundleIdentifier, options)
+}
+
+/**
+ * Validates the assertion carried by a request from a registered device.
+ *
+ * @param {Object} req - Express.js request object with the device-id, key-id, signature, assertion-inputs and nonce headers
+ * (and `req.rawBody` when `requestBinding` is enabled)
+ * @param {string} teamId - Your 10 digit alphanumeric Apple Team ID.
+ * @param {string} bundleIdentifier - The reverse network path bundle identifier of your app.
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<number|Object>} The new assertion counter on success, or `{ error: AppAttestError }` on failure
+ */
+const validateAssertion = async (req, teamId, bundleIdentifier, options = {}) => {
+  const result = await authenticateRequest(req, teamId, bundleIdentifier, options)
+  return result.error ? result : result.counter
+}
+
+
+/**
+ * Issues a one-time challenge for a single assertion (used when `assertionMode` is 'challenge').
+ *
+ * @param {string} deviceId - Unique device identifier from client
+ * @param {Object} [options] - Per-call configuration overrides
+ * @param {number} [options.assertionChallengeTtl] - Challenge lifetime in seconds (default 120)
+ * @returns {Promise<Object>} `{ nonce, expiresAt }` on success, or `{ error: AppAttestError }` on failure
+ */
+const issueAssertionChallenge = async (deviceId, options = {}) => {
+  try {
+    if (!isValidDeviceId(deviceId)) return { error: createError('INVALID_INPUT', 'Missing or invalid required value: deviceId') }
+
+    const config = resolveConfig(options)
+    const challenge = await issueChallenge(config.store, deviceId, 'assertion', config.assertionChallengeTtl)
+    countChallenge(config, 'assertion')
+    sweepIfDue(config.store, config.sweepInterval)
+    return { nonce: challenge.nonce, expiresAt: challenge.expiresAt }
+  } catch (error) {
+    logger.error('Could not generate assertion challenge', { error })
+    return { error: toAppAttestError(error) }
+  }
+}
+
+/**
+ * Issues a one-time challenge for a single assertion (used when `assertionMode` is 'challenge').
+ *
+ * The client sends the challenge in the `nonce` header and lists `nonce` in `assertion-inputs`,
+ * so that it is part of the signed clientData. `validateAssertion` burns it on first use.
+ *
+ * @param {Object} req - Express.js request object
+ * @param {string} req.headers['device-id'] - Unique device identifier from client
+ * @param {Object} [options] - Per-call configuration overrides
+ * @param {number} [options.assertionChallengeTtl] - Challenge lifetime in seconds (default 120)
+ * @returns {Promise<string|Object>} Base64-encoded challenge on success, or `{ error: AppAttestError }` on failure
+ */
+const getAssertionChallenge = async (req, options = {}) => {
+  if (!req) return { error: createError('INVALID_INPUT', 'Request object is required') }
+  const result = await issueAssertionChallenge(deviceIdFrom(req.headers), options)
+  return result.error ? result : result.nonce
+}
 
-module.exports = validateAssertion
\ No newline at end of file
+//validateAssertion stays the module's export, as before the other functions were added
+module.exports = Object.assign(validateAssertion, {
+  verifyAssertion,
+  validateAssertion,
+  authenticateRequest,
+  verifyDeviceAssertion,
+  getAssertionChallenge,
+  issueAssertionChallenge
+})
\ No newline at end of file
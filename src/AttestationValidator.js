@@ -1,10 +1,20 @@
-const crypto = require('crypto');
 const { X509Certificate } = require('node:crypto');
 const { AsnConvert } = require('@peculiar/asn1-schema');
-const { Certificate } = require('@peculiar/asn1-x509');
+const { Certificate, BasicConstraints, KeyUsage, KeyUsageFlags, id_ce_basicConstraints, id_ce_keyUsage } = require('@peculiar/asn1-x509');
 const decodeCborObject = require('./utils/CBORDecoder');
 const { computeSHA256, computeSHA256Base64 } = require('./utils/SHA256Compute');
-const dbQuery = require('./utils/SQLiteHelper');
+const { createError, toAppAttestError } = require('./Errors');
+const { resolveConfig } = require('./Config');
+const { issueChallenge, sweepIfDue } = require('./Challenges');
+const { isValidDeviceId } = require('./utils/InputValidator');
+const { deviceIdFrom, clientIpOf } = require('./utils/RequestValues');
+const { toEnvironmentPolicy } = require('./Apps');
+const { isDeviceRevoked } = require('./Devices');
+const { checkRateLimit } = require('./RateLimiter');
+const { countChallenge } = require('./Metrics');
+const { recordAuditEvent, AUDIT_NONCE } = require('./AuditLog');
+const { rootCertificateOf, verifiedIntermediateRoot, rememberVerifiedIntermediate } = require('./KeyCache');
+const { logger } = require('./utils/Logger');
 
 
 
@@ -27,24 +37,30 @@ oyFraWVIyd/dganmrduC1bmTBGwD
 
 
 
-const extractCredCertificates = (decodedObject) => {
-    try {
-        const credCertBuffer = decodedObject['attStmt']['x5c'][0]   //credCert
-        const caCertBuffer = decodedObject['attStmt']['x5c'][1]   //caCert
+const DEFAULT_CLOCK_SKEW = 60 //Seconds of clock difference tolerated in the certificate validity checks
 
-        const credCert = new X509Certificate(credCertBuffer);
-        const caCert = new X509Certificate(caCertBuffer);
-        const appleCert = new crypto.X509Certificate(Apple_App_Attestation_Root_CA)
+const AAGUID_DEVELOP = '617070617474657374646576656c6f70'
+const AAGUID_PRODUCTION = '61707061747465737400000000000000'
 
-        credCert.verify(caCert.publicKey)
-        caCert.verify(appleCert.publicKey);
-        return credCert
-    } catch (error) {
-        console.error('Error: Certificate Error')
-        console.error(error)
-        return false
-    }
-}
+const STEP_NAMES = [
+    'certificateChain',
+    'clientDataHash',
+    'compositeNonce',
+    'nonceExtension',
+    'keyId',
+    'rpIdHash',
+    'counter',
+    'aaguid',
+    'credentialId'
+]
+
+//Failure result of validateAttestation: the reason for logs plus a typed error for callers
+const attestationFailure = (code, reason) => ({
+    result: false,
+    reason,
+    code,
+    error: createError(code, reason)
+})
 
 function getExtensionValue(certBuffer, oid = "1.2.840.113635.100.8.2") {
     // Parse the DER-encoded certificate
@@ -54,6 +70,348 @@ function getExtensionValue(certBuffer, oid = "1.2.840.113635.100.8.2") {
     return extension && extension.extnValue;
 }
 
+const describeCertificate = (cert) => ({
+    subject: cert.subject,
+    issuer: cert.issuer,
+    serialNumber: cert.serialNumber,
+    validFrom: new Date(cert.validFrom).toISOString(),
+    validTo: new Date(cert.validTo).toISOString()
+})
+
+const environmentOf = (aaguid) => {
+    if (aaguid === AAGUID_DEVELOP) return 'development'
+    if (aaguid === AAGUID_PRODUCTION) return 'production'
+    return 'unknown'
+}
+
+//Decoded basicConstraints and keyUsage extensions, or null when absent
+const basicConstraintsOf = (cert) => {
+    const value = getExtensionValue(cert.raw, id_ce_basicConstraints)
+    return value ? AsnConvert.parse(value.buffer, BasicConstraints) : null
+}
+const keyUsageOf = (cert) => {
+    const value = getExtensionValue(cert.raw, id_ce_keyUsage)
+    return value ? AsnConvert.parse(value.buffer, KeyUsage).toNumber() : null
+}
+
+const validityProblem = (label, cert, now, clockSkew) => {
+    const tolerance = clockSkew * 1000
+    if (now.getTime() + tolerance < new Date(cert.validFrom).getTime()) {
+        return `${label} is not valid before ${new Date(cert.validFrom).toISOString()} (verification time ${now.toISOString()}).`
+    }
+    if (now.getTime() - tolerance > new Date(cert.validTo).getTime()) {
+        return `${label} expired on ${new Date(cert.validTo).toISOString()} (verification time ${now.toISOString()}).`
+    }
+    return null
+}
+
+/**
+ * Signature and CA constraint checks of the intermediate certificate. They only depend on
+ * the intermediate and its root, so an intermediate that passed is remembered by fingerprint
+ * (see KeyCache.js) and not verified again.
+ * Returns `{ root }`, or `{ problem }` with the reason of the first problem.
+ */
+const intermediateCheck = (caCert, roots) => {
+    const verifiedRoot = verifiedIntermediateRoot(caCert, roots)
+    if (verifiedRoot) return { root: verifiedRoot }
+
+    const root = roots.find(anchor => caCert.checkIssued(anchor) && caCert.verify(anchor.publicKey))
+    if (!root) return { problem: 'Intermediate certificate is not signed by a trusted root certificate (the Apple App Attestation Root CA by default).' }
+
+    const caConstraints = basicConstraintsOf(caCert)
+    if (!caConstraints || !caConstraints.cA) return { problem: 'Intermediate certificate is not a CA certificate (basicConstraints).' }
+    const caKeyUsage = keyUsageOf(caCert)
+    if (caKeyUsage !== null && !(caKeyUsage & KeyUsageFlags.keyCertSign)) return { problem: 'Intermediate certificate key usage does not allow signing certificates.' }
+
+    const rootConstraints = basicConstraintsOf(root)
+    if (rootConstraints && rootConstraints.pathLenConstraint !== undefined && rootConstraints.pathLenConstraint < 1) {
+        return { problem: 'Trusted root certificate does not allow intermediate certificates (pathLenConstraint).' }
+    }
+
+    rememberVerifiedIntermediate(caCert, root)
+    return { root }
+}
+
+/**
+ * Certificate checks of step 1: x5c holds exactly the credential and intermediate
+ * certificates, the chain leads to a trust anchor, the CA and leaf constraints hold,
+ * and every certificate is valid at the verification time (give or take clockSkew seconds).
+ * Returns the reason of the first problem, or null.
+ */
+const certificateChainProblem = (certificates, roots, now, clockSkew) => {
+    if (certificates.length < 2) {
+        return `x5c must contain the credential certificate and the intermediate certificate, but has ${certificates.length} certificate(s).`
+    }
+    if (certificates.length > 2) {
+        return `x5c must only contain the credential certificate and the intermediate certificate, but has ${certificates.length} certificates.`
+    }
+    const [credCert, caCert] = certificates
+
+    if (!credCert.checkIssued(caCert) || !credCert.verify(caCert.publicKey)) {
+        return 'credCert is not signed by the intermediate certificate.'
+    }
+    const { root, problem } = intermediateCheck(caCert, roots)
+    if (problem) return problem
+
+    const credConstraints = basicConstraintsOf(credCert)
+    if (credConstraints && credConstraints.cA) return 'credCert must be a leaf certificate, but its basicConstraints mark it as a CA.'
+
+    return validityProblem('credCert', credCert, now, clockSkew)
+        || validityProblem('Intermediate certificate', caCert, now, clockSkew)
+        || validityProblem('Trusted root certificate', root, now, clockSkew)
+}
+
+const normalizeBase64 = (value) => Buffer.from(value, 'base64').toString('base64')
+
+//The extension is a DER SEQUENCE wrapping a single [1] tagged OCTET STRING with the nonce
+const compareAttestNonce = (extensionValue, compositeNonce) => {
+    const octetString = Buffer.from(extensionValue.buffer).toString('hex').substring(12)
+    return octetString === compositeNonce.toString('hex')
+}
+
+//SHA256 of authData followed by clientDataHash, the SHA256 of the challenge's base64-decoded bytes
+//(as AppAttestKit hashes it; the recorded attestations in test/fixtures answer their challenges this way)
+const compositeNonceOf = (authData, attestationNonce) => {
+    const clientDataHash = computeSHA256(Buffer.from(attestationNonce, 'base64'))
+    return computeSHA256(Buffer.concat([authData, clientDataHash]))
+}
+
+
+/**
+ * Runs every attestation check instead of stopping at the first failure, and reports
+ * what was found along the way. Meant for diagnosing rejected attestations (wrong team ID,
+ * wrong environment, stale nonce, ...); registerAttestation still uses validateAttestation.
+ *
+ * Each of the nine steps of Apple's verification is reported as `pass`, `fail` or `skip`
+ * (skipped when the values it needs are missing or could not be decoded).
+ *
+ * @param {string} attestationNonce - Base64-encoded challenge nonce generated by server
+ * @param {string} keyId - Base64-encoded SHA256 hash of the public key from client
+ * @param {string} rawAttestObject - Base64url-encoded CBOR attestation object from client
+ * @param {string} teamId - 10-character alphanumeric Apple Developer Team ID
+ * @param {string} bundleIdentifier - App bundle identifier in reverse domain format (e.g., com.company.app)
+ * @param {boolean|string} [DEV_MODE=false] - Environment policy: 'production', 'development' or 'either' (true is 'development', false 'production')
+ * @param {Object} [options] - Report options
+ * @param {string[]} [options.appIds] - Other App IDs (`TEAMID.bundle.id`) to compare the RP ID hash with, for hints
+ * @param {Date} [options.now] - Verification time for the certificate validity checks (defaults to now)
+ * @param {number} [options.clockSkew=60] - Seconds a certificate may be outside its validity period
+ * @param {string[]} [options.rootCertificates] - PEM trust anchors (defaults to the Apple App Attestation Root CA)
+ *
+ * @returns {Object} Report
+ * @returns {boolean} returns.valid - True if every step passed
+ * @returns {Object[]} returns.steps - `{ step, name, status, reason }` for each of the nine steps
+ * @returns {Object} returns.facts - Decoded values: fmt, environment, aaguid, rpIdHash, appIdHash, counter, credentialId, certificates, receipt
+ * @returns {string[]} returns.hints - Likely causes of the failures, when they can be told
+ * @returns {string} [returns.publicKeyPEM] - PEM-encoded public key if every step passed
+ * @returns {Buffer} [returns.credCertificate] - DER credential certificate if every step passed
+ * @returns {?Buffer} [returns.receipt] - DER App Attest receipt if every step passed (null if absent)
+ * @returns {string} [returns.code] - Error code of the first failed step
+ * @returns {string} [returns.reason] - Reason of the first failed step
+ * @returns {AppAttestError} [returns.error] - Typed error of the first failed step
+ *
+ * @example
+ * const report = verifyAttestationDetailed(nonce, keyId, attestationObject, teamId, bundleIdentifier, false);
+ * report.steps.filter(step => step.status === 'fail').forEach(step => console.log(step.name, step.reason));
+ * report.hints.forEach(hint => console.log(hint));
+ */
+const verifyAttestationDetailed = (attestationNonce, keyId, rawAttestObject, teamId, bundleIdentifier, DEV_MODE = false, options = {}) => {
+    const now = options.now || new Date()
+    const clockSkew = options.clockSkew !== undefined ? options.clockSkew : DEFAULT_CLOCK_SKEW
+    const steps = STEP_NAMES.map((name, index) => ({ step: index + 1, name, status: 'skip', reason: null }))
+    const facts = {}
+    const hints = []
+    let firstFailure = null
+
+    const pass = (step) => {
+        steps[step - 1].status = 'pass'
+    }
+    const fail = (step, code, reason) => {
+        Object.assign(steps[step - 1], { status: 'fail', code, reason })
+        if (!firstFailure) firstFailure = { code, reason }
+    }
+    const skip = (step, reason) => {
+        steps[step - 1].reason = reason
+    }
+    const report = () => {
+        const result = { valid: !firstFailure, steps, facts, hints }
+        if (!firstFailure) return { ...result, publicKeyPEM: facts.publicKeyPEM, credCertificate: x5c[0], receipt: facts.receipt.present ? receipt : null }
+        return { ...result, code: firstFailure.code, reason: firstFailure.reason, error: createError(firstFailure.code, firstFailure.reason) }
+    }
+
+    const decodedAttestObject = rawAttestObject ? decodeCborObject(rawAttestObject) : null
+    if (!decodedAttestObject || !Buffer.isBuffer(decodedAttestObject.authData) || !decodedAttestObject.attStmt) {
+        firstFailure = { code: 'ATTESTATION_MALFORMED', reason: 'Attestation object could not be decoded.' }
+        steps.forEach(step => skip(step.step, 'Attestation object could not be decoded.'))
+        return report()
+    }
+
+    const authData = decodedAttestObject.authData
+    const x5c = decodedAttestObject.attStmt.x5c || []
+    const receipt = decodedAttestObject.attStmt.receipt
+
+    facts.fmt = decodedAttestObject.fmt
+    facts.receipt = { present: Buffer.isBuffer(receipt) && receipt.length > 0, size: Buffer.isBuffer(receipt) ? receipt.length : 0 }
+    if (facts.fmt !== 'apple-appattest') hints.push(`Attestation format is '${facts.fmt}', expected 'apple-appattest'.`)
+
+
+    //1. Verify that the x5c array contains the intermediate and leaf certificates for App Attest,
+    // starting from the credential certificate in the first data buffer in the array (credcert).
+    //Verify the validity of the certificates using Apple’s App Attest root certificate.
+    let credCert = null
+    try {
+        const certificates = x5c.map(der => new X509Certificate(der))
+        credCert = certificates[0] || null
+        facts.certificates = certificates.map(describeCertificate)
+
+        const roots = (options.rootCertificates || [Apple_App_Attestation_Root_CA]).map(rootCertificateOf)
+        const problem = certificateChainProblem(certificates, roots, now, clockSkew)
+        if (problem) {
+            fail(1, 'CERT_CHAIN_INVALID', problem)
+        } else {
+            pass(1)
+        }
+    } catch (error) {
+        fail(1, 'CERT_CHAIN_INVALID', `Certificate chain could not be parsed: ${error.message}`)
+    }
+
+
+    //2. Create clientDataHash as the SHA256 hash of the one-time challenge your server
+    // sends to your app before performing the attestation, and append that hash to the
+    // end of the authenticator data (authData from the decoded object).
+    //3. Generate a new SHA256 hash of the composite item to create nonce.
+    let compositeNonce = null
+    if (attestationNonce) {
+        compositeNonce = compositeNonceOf(authData, attestationNonce)
+        pass(2)
+        pass(3)
+    } else {
+        skip(2, 'No attestation nonce was given.')
+        skip(3, 'No attestation nonce was given.')
+    }
+
+
+    //4. Obtain the value of the credCert extension with OID 1.2.840.113635.100.8.2,
+    // which is a DER-encoded ASN.1 sequence. Decode the sequence and extract the
+    // single octet string that it contains. Verify that the string equals nonce.
+    if (!credCert) {
+        skip(4, 'credCert could not be parsed.')
+    } else if (compositeNonce) {
+        const extensionValue = getExtensionValue(x5c[0])
+
+        if (!extensionValue) {
+            fail(4, 'NONCE_MISMATCH', 'credCert has no nonce extension.')
+        } else if (!compareAttestNonce(extensionValue, compositeNonce)) {
+            fail(4, 'NONCE_MISMATCH', 'credCert octet string does not match nonce.')
+
+            const utf8Nonce = computeSHA256(Buffer.concat([authData, computeSHA256(Buffer.from(attestationNonce, 'utf8'))]))
+            if (compareAttestNonce(extensionValue, utf8Nonce)) {
+                hints.push('The client hashed the nonce string itself instead of its base64-decoded bytes.')
+            } else {
+                hints.push('The attestation was made for a different challenge: the nonce is stale or was issued to another device.')
+            }
+        } else {
+            pass(4)
+        }
+    } else {
+        skip(4, 'No attestation nonce was given.')
+    }
+
+
+    //5. Create the SHA256 hash of the public key in credCert, and verify that it matches the key identifier from your app.
+    if (credCert) {
+        const publicKeyRaw = credCert.publicKey.export({ type: 'spki', format: 'der' }) //DER-encoded PKCS#8 public key
+        const credCertPublicKeyHash = computeSHA256Base64(publicKeyRaw.slice(26))
+        facts.publicKeyPEM = credCert.publicKey.export({ type: 'spki', format: 'pem' })
+
+        if (!keyId) {
+            skip(5, 'No key identifier was given.')
+        } else if (credCertPublicKeyHash !== keyId) {
+            fail(5, 'KEY_ID_MISMATCH', 'SHA256 hash of public key in credCert does not match app key identifier.')
+            if (credCertPublicKeyHash === normalizeBase64(keyId)) {
+                hints.push('The key identifier matches once decoded; send it base64-encoded, not base64url-encoded.')
+            }
+        } else {
+            pass(5)
+        }
+    } else {
+        skip(5, 'credCert could not be parsed.')
+    }
+
+
+    //6. Compute the SHA256 hash of your app’s App ID, and verify that it’s the same as the authenticator data’s RP ID hash.
+    const rpId = authData.slice(0, 32).toString('hex')
+    facts.rpIdHash = rpId
+
+    if (teamId && bundleIdentifier) {
+        const appIdHash = computeSHA256(teamId + '.' + bundleIdentifier).toString('hex')
+        facts.appIdHash = appIdHash
+
+        if (rpId !== appIdHash) {
+            fail(6, 'RP_ID_MISMATCH', `Authenticator data's RP ID hash does not match SHA256 hash of your App ID`)
+
+            const matchingAppId = (options.appIds || []).find(appId => computeSHA256(appId).toString('hex') === rpId)
+            if (matchingAppId) {
+                hints.push(`RP ID matches App ID ${matchingAppId}, not ${teamId}.${bundleIdentifier}.`)
+            } else {
+                hints.push(`RP ID does not match ${teamId}.${bundleIdentifier}; check the team ID and bundle identifier the app is signed with.`)
+            }
+        } else {
+            pass(6)
+        }
+    } else {
+        skip(6, 'No team ID or bundle identifier was given.')
+    }
+
+
+    //7. Verify that the authenticator data’s counter field equals 0.
+    facts.counter = authData.length >= 37 ? authData.readUInt32BE(33) : null
+
+    if (facts.counter !== 0) {
+        fail(7, 'COUNTER_NOT_ZERO', 'Authenticator data counter is not zero')
+        if (facts.counter > 0) hints.push('The key has already generated assertions; an attestation object cannot be registered again.')
+    } else {
+        pass(7)
+    }
+
+
+    //8. Verify that the authenticator data’s aaguid field is either appattestdevelop if
+    // operating in the development environment, or appattest followed by seven 0x00 bytes
+    // if operating in the production environment. The policy 'either' accepts both.
+    const aaguidField = authData.slice(37, 37 + 16).toString('hex')
+    facts.aaguid = aaguidField
+    facts.environment = environmentOf(aaguidField)
+
+    const policy = toEnvironmentPolicy(DEV_MODE)
+    if (!policy) {
+        fail(8, 'INVALID_CONFIGURATION', `Unknown environment policy '${DEV_MODE}'.`)
+    } else if (facts.environment === 'unknown') {
+        fail(8, 'AAGUID_MISMATCH', 'Invalid aaguid field.')
+    } else if (policy === 'development' && facts.environment !== 'development') {
+        fail(8, 'AAGUID_MISMATCH', 'Development mode requires development AAGUID.')
+        hints.push("The attestation comes from the production environment; accept 'production' or 'either' for this app.")
+    } else if (policy === 'production' && facts.environment !== 'production') {
+        fail(8, 'AAGUID_MISMATCH', 'Production mode requires production AAGUID.')
+        hints.push("The attestation comes from the development environment; accept 'development' or 'either' for this app, or use a production build.")
+    } else {
+        pass(8)
+    }
+
+
+    //9. Verify that the authenticator data’s credentialId field is the same as the key identifier.
+    const credentialIdField = authData.slice(39 + 16, 39 + 16 + 32).toString('base64')
+    facts.credentialId = credentialIdField
+
+    if (!keyId) {
+        skip(9, 'No key identifier was given.')
+    } else if (credentialIdField !== keyId) {
+        fail(9, 'CREDENTIAL_ID_MISMATCH', 'Authenticator data credentialId field does not match key identifier')
+    } else {
+        pass(9)
+    }
+
+    return report()
+}
+
 
 /**
  * Validates a new device attestation according to Apple App Attest specification.
@@ -65,20 +423,30 @@ function getExtensionValue(certBuffer, oid = "1.2.840.113635.100.8.2") {
  * 4. Verifies public key hash matches the provided keyId
  * 5. Validates App ID hash against RP ID
  * 6. Ensures counter starts at zero
- * 7. Validates AAGUID for development/production environment
+ * 7. Validates AAGUID against the accepted environment(s)
  * 8. Confirms credential ID matches key identifier
+ * Only the first failing check is reported; use verifyAttestationDetailed to see all of them.
  *
  * @param {string} attestationNonce - Base64-encoded challenge nonce generated by server
  * @param {string} keyId - Base64-encoded SHA256 hash of the public key from client
  * @param {string} rawAttestObject - Base64url-encoded CBOR attestation object from client
  * @param {string} teamId - 10-character alphanumeric Apple Developer Team ID
  * @param {string} bundleIdentifier - App bundle identifier in reverse domain format (e.g., com.company.app)
- * @param {boolean} [DEV_MODE=false] - Set to true for development builds, false for production
+ * @param {boolean|string} [DEV_MODE=false] - Environment policy: 'production', 'development' or 'either' (true is 'development', false 'production')
+ * @param {Object} [options] - Validation options
+ * @param {string[]} [options.rootCertificates] - PEM trust anchors (defaults to the Apple App Attestation Root CA)
+ * @param {Date} [options.now] - Verification time for the certificate validity checks (defaults to now)
+ * @param {number} [options.clockSkew=60] - Seconds a certificate may be outside its validity period
  * 
  * @returns {Object} Validation result object
  * @returns {boolean} returns.result - True if validation successful, false otherwise
  * @returns {string} [returns.publicKeyPEM] - PEM-encoded public key if validation successful
+ * @returns {Buffer} [returns.credCertificate] - DER credential certificate if validation successful
+ * @returns {?Buffer} [returns.receipt] - DER App Attest receipt if validation successful (see validateReceipt)
+ * @returns {string} [returns.environment] - 'production' or 'development', the environment the key was attested in
  * @returns {string} [returns.reason] - Detailed error message if validation failed
+ * @returns {string} [returns.code] - Stable error code if validation failed (e.g. 'RP_ID_MISMATCH')
+ * @returns {AppAttestError} [returns.error] - Typed error if validation failed
  * 
  * @example
  * const result = validateAttestation(
@@ -98,143 +466,73 @@ function getExtensionValue(certBuffer, oid = "1.2.840.113635.100.8.2") {
  * 
  * @throws {Error} May throw on critical system errors (file system, crypto operations)
  */
-const validateAttestation = (attestationNonce, keyId, rawAttestObject, teamId, bundleIdentifier, DEV_MODE = false) => {
+const validateAttestation = (attestationNonce, keyId, rawAttestObject, teamId, bundleIdentifier, DEV_MODE = false, options = {}) => {
 
     if (!attestationNonce || !keyId || !rawAttestObject || !teamId || !bundleIdentifier) {
-        return {
-            result: false,
-            reason: 'Missing required parameters: attestationNonce, keyId, rawAttestObject, teamId, bundleIdentifier'
-        }
+        return attestationFailure('INVALID_INPUT', 'Missing required parameters: attestationNonce, keyId, rawAttestObject, teamId, bundleIdentifier')
     }
 
     if (typeof teamId !== 'string' || teamId.length !== 10) {
-        return {
-            result: false,
-            reason: 'Team ID must be a 10-character string'
-        }
+        return attestationFailure('INVALID_CONFIGURATION', 'Team ID must be a 10-character string')
     }
 
     if (typeof bundleIdentifier !== 'string' || !bundleIdentifier.includes('.')) {
-        return {
-            result: false,
-            reason: 'Bundle identifier must be a valid reverse domain string'
-        }
-    }
-
-    //1. Verify that the x5c array contains the intermediate and leaf certificates for App Attest,
-    // starting from the credential certificate in the first data buffer in the array (credcert). 
-    //Verify the validity of the certificates using Apple’s App Attest root certificate.
-    const decodedAttestObject = decodeCborObject(rawAttestObject)
-    const extractedCredCert = extractCredCertificates(decodedAttestObject)
-
-    if (!extractedCredCert) return {
-        result: false,
-        reason: 'Invalid certificate chain.'
-    }
-
-
-    //2. Create clientDataHash as the SHA256 hash of the one-time challenge your server
-    // sends to your app before performing the attestation, and append that hash to the
-    // end of the authenticator data (authData from the decoded object).
-    const clientDataHash = computeSHA256(Buffer.from(attestationNonce, 'base64'))       //TODO: May remove 'base64', depending on how it was done in Swift
-    const authData = decodedAttestObject.authData
-    const compositeItem = Buffer.concat([authData, clientDataHash])
-
-
-    //3. Generate a new SHA256 hash of the composite item to create nonce.
-    const compositeNonce = computeSHA256(compositeItem)
-
-
-    //4. Obtain the value of the credCert extension with OID 1.2.840.113635.100.8.2,
-    // which is a DER-encoded ASN.1 sequence. Decode the sequence and extract the
-    // single octet string that it contains. Verify that the string equals nonce.
-    const compareAttestNonce = (extensionValue, compositeNonce) => {
-        const octetString = Buffer.from(extensionValue.buffer).toString('hex').substring(12)
-        return octetString === compositeNonce.toString('hex')
-    }
-
-    const credCert = decodedAttestObject['attStmt']['x5c'][0]
-    const extensionValue = getExtensionValue(credCert)
-    const nonceMatch = compareAttestNonce(extensionValue, compositeNonce)
-
-    if (!nonceMatch) return {
-        result: false,
-        reason: 'credCert octet string does not match nonce.'
-    }
-
-
-    //5. Create the SHA256 hash of the public key in credCert, and verify that it matches the key identifier from your app.
-    const publicKeyRaw = extractedCredCert.publicKey.export({ type: 'spki', format: 'der' }) //DER-encoded PKCS#8 public key
-    const credCertPublicKey = publicKeyRaw.slice(26)
-    const credCertPublicKeyPem = extractedCredCert.publicKey.export({ type: 'spki', format: 'pem' })
-    const credCertPublicKeyHash = computeSHA256Base64(credCertPublicKey)
-
-    if (credCertPublicKeyHash !== keyId) return {
-        result: false,
-        reason: 'SHA256 hash of public key in credCert does not match app key identifier.'
-    }
-
-
-    //6. Compute the SHA256 hash of your app’s App ID, and verify that it’s the same as the authenticator data’s RP ID hash.
-    const rpId = decodedAttestObject.authData.slice(0, 32)
-    const appIdHash = computeSHA256(teamId + '.' + bundleIdentifier)
-
-    if (rpId.toString('hex') !== appIdHash.toString('hex')) return {
-        result: false,
-        reason: `Authenticator data's RP ID hash does not match SHA256 hash of your App ID`
-    }
-
-
-    //7. Verify that the authenticator data’s counter field equals 0.
-    const dataCounter = decodedAttestObject.authData.slice(33, 37).toString('hex')
-
-    if (dataCounter !== '00000000') return {
-        result: false,
-        reason: 'Authenticator data counter is not zero'
+        return attestationFailure('INVALID_CONFIGURATION', 'Bundle identifier must be a valid reverse domain string')
     }
 
+    const report = verifyAttestationDetailed(attestationNonce, keyId, rawAttestObject, teamId, bundleIdentifier, DEV_MODE, {
+        rootCertificates: options.rootCertificates,
+        now: options.now,
+        clockSkew: options.clockSkew
+    })
+    if (!report.valid) return attestationFailure(report.code, report.reason)
 
-    //8. Verify that the authenticator data’s aaguid field is either appattestdevelop if
-    // operating in the development environment, or appattest followed by seven 0x00 bytes
-    // if operating in the production environment.
-    const aaguidField = decodedAttestObject.authData.slice(37, 37 + 16).toString('hex')
-
-    const AAGUID_DEVELOP = '617070617474657374646576656c6f70'
-    const AAGUID_PRODUCTION = '61707061747465737400000000000000'
-
-    if (DEV_MODE && aaguidField !== AAGUID_DEVELOP) {
-        return {
-            result: false,
-            reason: 'Development mode requires development AAGUID.'
-        }
-    }
-
-    if (!DEV_MODE && aaguidField !== AAGUID_PRODUCTION) {
-        return {
-            result: false,
-            reason: 'Production mode requires production AAGUID.'
-        }
+    return {
+        result: true,
+        publicKeyPEM: report.publicKeyPEM,
+        credCertificate: report.credCertificate,
+        receipt: report.receipt,
+        environment: report.facts.environment,
     }
+}
 
-    if (aaguidField !== AAGUID_PRODUCTION && aaguidField !== AAGUID_DEVELOP) return {
-        result: false,
-        reason: 'Invalid aaguid field.'
-    }
 
+/**
+ * Reads the RP ID hash of an attestation object without validating it,
+ * to find the app it was made for.
+ * @param {string} rawAttestObject - Base64url-encoded CBOR attestation object from client
+ * @returns {?Buffer} The 32-byte RP ID hash, or null if the object cannot be decoded
+ */
+const attestedRpIdHash = (rawAttestObject) => {
+    const decodedAttestObject = decodeCborObject(rawAttestObject)
+    if (!decodedAttestObject || !Buffer.isBuffer(decodedAttestObject.authData)) return null
+    return decodedAttestObject.authData.slice(0, 32)
+}
 
-    //9. Verify that the authenticator data’s credentialId field is the same as the key identifier.
-    const credentialIdField = decodedAttestObject.authData.slice(39 + 16, 39 + 16 + 32).toString('base64')
-    const credentialIdFieldMatchesKeyId = credentialIdField === keyId
 
-    if (!credentialIdFieldMatchesKeyId) return {
-        result: false,
-        reason: 'Authenticator data credentialId field does not match key identifier'
+/**
+ * Finds the challenge an attestation was made for, without validating it, so that
+ * a device can hold several pending challenges.
+ * @param {string} rawAttestObject - Base64url-encoded CBOR attestation object from client
+ * @param {string[]} nonces - Pending challenges of the device
+ * @returns {Object} `{ nonce }`, or `{ error }` with ATTESTATION_MALFORMED, or NONCE_MISMATCH if it answers none of them
+ */
+const attestedChallenge = (rawAttestObject, nonces) => {
+    const decodedAttestObject = decodeCborObject(rawAttestObject)
+    const x5c = decodedAttestObject && decodedAttestObject.attStmt && decodedAttestObject.attStmt.x5c
+    if (!decodedAttestObject || !Buffer.isBuffer(decodedAttestObject.authData) || !Array.isArray(x5c) || !Buffer.isBuffer(x5c[0])) {
+        return { error: createError('ATTESTATION_MALFORMED', 'Attestation object could not be decoded.') }
     }
 
-    return {
-        result: true,
-        publicKeyPEM: credCertPublicKeyPem,
+    let extensionValue = null
+    try {
+        extensionValue = getExtensionValue(x5c[0])
+    } catch (error) {
+        return { error: createError('ATTESTATION_MALFORMED', `credCert could not be parsed: ${error.message}`) }
     }
+    const authData = decodedAttestObject.authData
+    const nonce = extensionValue && nonces.find(candidate => compareAttestNonce(extensionValue, compositeNonceOf(authData, candidate)))
+    return nonce ? { nonce } : { error: createError('NONCE_MISMATCH', 'Attestation does not answer a pending challenge of the device.') }
 }
 
 
@@ -242,15 +540,21 @@ const validateAttestation = (attestationNonce, keyId, rawAttestObject, teamId, b
  * Generates a cryptographically secure nonce for device attestation.
  * 
  * This function creates a challenge nonce that the client must include in their
- * attestation request. It also clears any existing attestation data for the device
- * and initializes a new attestation record in the database.
+ * attestation request. Earlier challenges of the device stay valid until they are used
+ * or expire, and its registered keys are kept until a new key is registered (see KeyRotation.js).
+ * The challenge expires after `challengeTtl` seconds and can only be used once.
+ * Challenges are rate limited per device and client IP address (see RateLimiter.js).
  *
  * @param {Object} req - Express.js request object
  * @param {Object} req.headers - Request headers
  * @param {string} req.headers['device-id'] - Unique device identifier from client
+ * @param {string} [req.ip] - Client IP address (Express honours `trust proxy`); defaults to the socket's remote address
+ * @param {Object} [options] - Per-call configuration overrides
+ * @param {Object} [options.store] - Storage adapter to use instead of the configured one
+ * @param {number} [options.challengeTtl] - Challenge lifetime in seconds (default 300)
  * 
- * @returns {Promise<string|Object>} Base64-encoded nonce string on success, or error object on failure
- * @returns {string} [returns.error] - Error message if nonce generation failed
+ * @returns {Promise<string|Object>} Base64-encoded nonce string on success, or `{ error: AppAttestError }` on failure
+ * @returns {AppAttestError} [returns.error] - Typed error if nonce generation failed
  * 
  * @example
  * // Express route handler
@@ -264,17 +568,49 @@ const validateAttestation = (attestationNonce, keyId, rawAttestObject, teamId, b
  * 
  * @throws {Error} May throw on database connection or crypto operation errors
  */
-const getNonce = async (req) => {
+const getNonce = async (req, options = {}) => {
+    if (!req) return { error: createError('INVALID_INPUT', 'Request object is required') }
+    const result = await issueNonce(deviceIdFrom(req.headers), options, clientIpOf(req))
+    return result.error ? result : result.nonce
+}
+
+/**
+ * Issues an attestation challenge for a device from plain values (framework independent).
+ * Same behaviour as getNonce.
+ *
+ * @param {string} deviceId - Unique device identifier from client
+ * @param {Object} [options] - Per-call configuration overrides
+ * @param {string} [clientIp] - Client IP address, for the per-IP rate limit
+ * @returns {Promise<Object>} `{ nonce, expiresAt }` on success, or `{ error: AppAttestError }` on failure
+ * (RATE_LIMITED with `retryAfter` seconds when the device or IP address asks too often)
+ */
+const issueNonce = async (deviceId, options = {}, clientIp) => {
+    const result = await issueAttestationChallenge(deviceId, options, clientIp)
+    await recordAuditEvent(options, { type: AUDIT_NONCE, deviceId, clientIp }, result)
+    return result
+}
+
+const issueAttestationChallenge = async (deviceId, options = {}, clientIp) => {
     try {
-        const deviceId = req.headers['device-id']
-        await dbQuery(`DELETE FROM attestations WHERE deviceId = ?`, [deviceId])
-        const randomNonce = crypto.randomBytes(24).toString('base64')
-        await dbQuery(`INSERT into attestations (deviceId, nonce, counter) VALUES (?, ?, 0)`, [deviceId, randomNonce])
-        return randomNonce
+        if (!isValidDeviceId(deviceId)) return { error: createError('INVALID_INPUT', 'Missing or invalid required value: deviceId') }
+
+        const config = resolveConfig(options)
+        const rateLimited = await checkRateLimit(config, 'nonce', { deviceId, clientIp })
+        if (rateLimited) return { error: rateLimited }
+
+        if (!config.allowRevokedReattestation && await isDeviceRevoked(config.store, deviceId)) {
+            logger.warn('Attestation challenge requested by revoked device', { deviceId })
+            return { error: createError('DEVICE_REVOKED', 'Device has revoked keys and may not attest again.') }
+        }
+
+        const challenge = await issueChallenge(config.store, deviceId, 'attestation', config.challengeTtl)
+        countChallenge(config, 'attestation')
+        sweepIfDue(config.store, config.sweepInterval)
+        return { nonce: challenge.nonce, expiresAt: challenge.expiresAt }
     } catch (error) {
-        console.error('Error generating nonce: ', error)
-        return { error: error }
+        logger.error('Could not generate nonce', { error })
+        return { error: toAppAttestError(error) }
     }
 }
 
-module.exports = { validateAttestation, getNonce }
+module.exports = { validateAttestation, verifyAttestationDetailed, attestedRpIdHash, attestedChallenge, environmentOf, getNonce, issueNonce, Apple_App_Attestation_Root_CA }
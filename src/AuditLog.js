@@ -0,0 +1,167 @@
+/**
+ * Append-only audit trail of attestation challenges, registrations and assertions.
+ *
+ * Every call to getNonce, registerAttestation and validateAssertion appends one event:
+ *   { id, type, deviceId, keyId, outcome, reason, counterBefore, counterAfter, clientIp, occurredAt }
+ * where `type` is 'nonce', 'attestation' or 'assertion', `outcome` is 'success' or the
+ * error code, and `reason` the detailed failure reason. `counterBefore` and `counterAfter`
+ * are the stored assertion counter before and after an assertion (equal when it failed).
+ *
+ * Events are never updated. Those older than `auditRetention` seconds are deleted, at
+ * most once an hour while events are recorded, or with purgeAuditLog.
+ */
+
+const { resolveConfig } = require('./Config');
+const { createError, toAppAttestError } = require('./Errors');
+const { logger } = require('./utils/Logger');
+
+const AUDIT_NONCE = 'nonce';
+const AUDIT_ATTESTATION = 'attestation';
+const AUDIT_ASSERTION = 'assertion';
+
+const AUDIT_TYPES = [AUDIT_NONCE, AUDIT_ATTESTATION, AUDIT_ASSERTION];
+
+const PURGE_INTERVAL = 3600 * 1000;
+
+const lastPurge = new WeakMap();
+
+//Values come from request headers and are only recorded when they look like identifiers
+const auditValue = (value, maxLength = 128) => (typeof value === 'string' && value ? value.slice(0, maxLength) : null);
+
+const auditCounter = (value) => (Number.isSafeInteger(value) ? value : null);
+
+const toTime = (value) => (value instanceof Date ? value.getTime() : value);
+
+const isTime = (value) => value === undefined || value === null || Number.isFinite(toTime(value));
+
+const purgeBefore = (config, now) => now - config.auditRetention * 1000;
+
+/**
+ * Appends an event for the result of a public call. Storage failures are logged and do
+ * not fail the caller.
+ * @param {Object} options - Per-call configuration overrides of the audited call
+ * @param {Object} event - `{ type, deviceId, keyId, clientIp, counterBefore, counterAfter }`
+ * @param {Object} result - Result of the call (`{ error }` on failure)
+ */
+const recordAuditEvent = async (options, event, result) => {
+    try {
+        const config = resolveConfig(options);
+        if (!config.auditLog) return;
+
+        const store = config.store;
+        const occurredAt = Date.now();
+        const error = result.error;
+        await store.recordAuditEvent({
+            type: event.type,
+            deviceId: auditValue(event.deviceId),
+            keyId: auditValue(event.keyId),
+            outcome: error ? error.code || 'INTERNAL_ERROR' : 'success',
+            reason: error ? error.reason || error.message || null : null,
+            counterBefore: auditCounter(event.counterBefore),
+            counterAfter: auditCounter(event.counterAfter),
+            clientIp: auditValue(event.clientIp, 64),
+            occurredAt
+        });
+
+        if (config.auditRetention && occurredAt - (lastPurge.get(store) || 0) >= PURGE_INTERVAL) {
+            lastPurge.set(store, occurredAt);
+            store.purgeAuditEvents(purgeBefore(config, occurredAt)).catch((error) => {
+                logger.error('Error purging audit events', { error });
+            });
+        }
+    } catch (error) {
+        logger.error('Error recording audit event', { error });
+    }
+}
+
+const validateQuery = ({ type, since, until }) => {
+    if (type && !AUDIT_TYPES.includes(type)) {
+        return createError('INVALID_INPUT', `type must be one of ${AUDIT_TYPES.join(', ')}`);
+    }
+    if (!isTime(since) || !isTime(until)) {
+        return createError('INVALID_INPUT', 'since and until must be Dates or milliseconds since the epoch');
+    }
+    return null;
+}
+
+const storeQuery = ({ deviceId, keyId, type, since, until }) => ({
+    deviceId,
+    keyId,
+    type,
+    since: toTime(since),
+    until: toTime(until)
+});
+
+/**
+ * Lists audit events, newest first.
+ * @param {Object} [query] - Filters
+ * @param {string} [query.deviceId] - Only events of this device
+ * @param {string} [query.keyId] - Only events of this key
+ * @param {string} [query.type] - 'nonce', 'attestation' or 'assertion'
+ * @param {Date|number} [query.since] - Only events from this time on
+ * @param {Date|number} [query.until] - Only events before this time
+ * @param {number} [query.limit=100] - Maximum number of events
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ events: [{ id, type, deviceId, keyId, outcome, reason, counterBefore, counterAfter, clientIp, occurredAt }] }`,
+ * or `{ error: AppAttestError }`
+ */
+const listAuditEvents = async (query = {}, options = {}) => {
+    try {
+        const error = validateQuery(query);
+        if (error) return { error };
+
+        const events = await resolveConfig(options).store.listAuditEvents({ ...storeQuery(query), limit: query.limit || 100, order: 'desc' });
+        return { events };
+    } catch (error) {
+        logger.error('Error listing audit events', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Exports audit events as JSON Lines (one JSON object per line), oldest first.
+ * @param {Object} [query] - Same filters as listAuditEvents; without `limit` every matching event is exported
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ count, jsonl }`, or `{ error: AppAttestError }`
+ */
+const exportAuditLog = async (query = {}, options = {}) => {
+    try {
+        const error = validateQuery(query);
+        if (error) return { error };
+
+        const events = await resolveConfig(options).store.listAuditEvents({ ...storeQuery(query), limit: query.limit || null, order: 'asc' });
+        return { count: events.length, jsonl: events.map(event => `${JSON.stringify(event)}\n`).join('') };
+    } catch (error) {
+        logger.error('Error exporting audit events', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Deletes the audit events older than `auditRetention` seconds.
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ purged }` (0 when retention is disabled), or `{ error: AppAttestError }`
+ */
+const purgeAuditLog = async (options = {}) => {
+    try {
+        const config = resolveConfig(options);
+        if (!config.auditRetention) return { purged: 0 };
+
+        const now = Date.now();
+        lastPurge.set(config.store, now);
+        return { purged: await config.store.purgeAuditEvents(purgeBefore(config, now)) };
+    } catch (error) {
+        logger.error('Error purging audit events', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+module.exports = {
+    recordAuditEvent,
+    listAuditEvents,
+    exportAuditLog,
+    purgeAuditLog,
+    AUDIT_NONCE,
+    AUDIT_ATTESTATION,
+    AUDIT_ASSERTION
+}
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { logger } = require('./utils/Logger');
+
+/**
+ * One-time, expiring challenges.
+ *
+ * Every challenge carries an issued-at and an expiry timestamp (milliseconds since
+ * the epoch) and is deleted from the store the first time it is presented,
+ * whether or not the attestation that uses it succeeds.
+ */
+
+const CHALLENGE_VALID = 'valid';
+const CHALLENGE_EXPIRED = 'expired';
+const CHALLENGE_UNKNOWN = 'unknown';
+
+const lastSweep = new WeakMap();
+
+/**
+ * Creates and stores a new challenge.
+ * @param {Object} store - Storage adapter
+ * @param {string} deviceId - Device the challenge is issued to
+ * @param {string} purpose - 'attestation' or 'assertion'
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {Promise<Object>} The stored challenge `{ nonce, deviceId, purpose, issuedAt, expiresAt }`
+ */
+const issueChallenge = async (store, deviceId, purpose, ttl) => {
+    const issuedAt = Date.now();
+    const challenge = {
+        nonce: crypto.randomBytes(24).toString('base64'),
+        deviceId,
+        purpose,
+        issuedAt,
+        expiresAt: issuedAt + ttl * 1000
+    };
+    await store.issueChallenge(challenge);
+    return challenge;
+}
+
+/**
+ * Removes a challenge from the store and reports whether it was still usable.
+ * @param {Object} store - Storage adapter
+ * @param {string} deviceId - Device presenting the challenge
+ * @param {string} purpose - 'attestation' or 'assertion'
+ * @param {string} [nonce] - The presented challenge, when the purpose allows several outstanding ones
+ * @returns {Promise<Object>} `{ status, challenge }` where status is 'valid', 'expired' or 'unknown'
+ */
+const consumeChallenge = async (store, deviceId, purpose, nonce) => {
+    const challenge = await store.consumeChallenge(deviceId, purpose, nonce);
+    if (!challenge) return { status: CHALLENGE_UNKNOWN, challenge: null };
+    if (challenge.expiresAt <= Date.now()) return { status: CHALLENGE_EXPIRED, challenge };
+    return { status: CHALLENGE_VALID, challenge };
+}
+
+/**
+ * Deletes expired challenges (and rows left over from the old single-table layout).
+ * @param {Object} store - Storage adapter
+ * @returns {Promise<number>} Number of purged challenges
+ */
+const purgeExpiredChallenges = async (store) => {
+    lastSweep.set(store, Date.now());
+    return store.purgeChallenges(Date.now());
+}
+
+/**
+ * Purges expired challenges in the background if the last purge of this store
+ * is older than `sweepInterval` seconds. Never throws.
+ * @param {Object} store - Storage adapter
+ * @param {number} sweepInterval - Minimum seconds between purges (0 disables)
+ */
+const sweepIfDue = (store, sweepInterval) => {
+    if (!sweepInterval) return;
+    const last = lastSweep.get(store) || 0;
+    if (Date.now() - last < sweepInterval * 1000) return;
+
+    purgeExpiredChallenges(store).catch((error) => {
+        logger.error('Error purging expired challenges', { error });
+    });
+}
+
+/**
+ * Starts a timer that purges expired challenges periodically. The timer does
+ * not keep the process alive.
+ * @param {Object} store - Storage adapter
+ * @param {number} interval - Seconds between purges
+ * @returns {function} Stops the timer
+ */
+const startChallengeSweeper = (store, interval) => {
+    const timer = setInterval(() => {
+        purgeExpiredChallenges(store).catch((error) => {
+            logger.error('Error purging expired challenges', { error });
+        });
+    }, interval * 1000);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    issueChallenge,
+    consumeChallenge,
+    purgeExpiredChallenges,
+    sweepIfDue,
+    startChallengeSweeper,
+    CHALLENGE_VALID,
+    CHALLENGE_EXPIRED,
+    CHALLENGE_UNKNOWN
+}
@@ -0,0 +1,359 @@
+/**
+ * The `app-attest-server` command-line tool (bin/app-attest-server.js): decodes and
+ * verifies attestation and assertion objects offline, and administers the SQLite store.
+ * Every command prints text, or JSON with `--json`.
+ *
+ * Exit codes: 0 on success, 1 when the command failed or the artifact did not verify,
+ * 2 for usage errors.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+const { decodeAttestation, decodeAssertion } = require('./Inspect');
+const { verifyAttestationDetailed } = require('./AttestationValidator');
+const { verifyAssertion } = require('./AssertionValidator');
+const { canonicalJSON } = require('./utils/CanonicalJSON');
+const { configure, getStore } = require('./Config');
+const { logger, LOG_LEVELS } = require('./utils/Logger');
+const Devices = require('./Devices');
+const Anomalies = require('./Anomalies');
+const AuditLog = require('./AuditLog');
+const SQLiteStore = require('./storage/SQLiteStore');
+
+const USAGE = `Usage: app-attest-server <command> [arguments] [options]
+
+Artifacts (<file> holds base64 or base64url text, or raw CBOR; '-' reads standard input):
+  decode-attestation <file>        Print the fields of an attestation object
+  decode-assertion <file>          Print the fields of an assertion object
+  verify-attestation <file>        Run every attestation check and report each step
+      --team-id <id> --bundle-id <id> --nonce <base64> [--key-id <base64>]
+      [--environment production|development|either] [--at <date>] [--root <pem file>]
+  verify-assertion <file>          Verify an assertion signature
+      --team-id <id> --bundle-id <id> --client-data <json>
+      --public-key <pem file> | --device-id <id> --key-id <base64> (key from the store)
+      [--counter <n>] [--no-escape-slashes]
+
+Store:
+  devices list [--revoked | --active] [--limit <n>] [--offset <n>]
+  devices show <deviceId>
+  devices revoke <deviceId> [--reason <text>]
+  devices unrevoke <deviceId>
+  devices delete <deviceId>
+  keys revoke <keyId> [--reason <text>]
+  keys unrevoke <keyId>
+  keys quarantine <keyId> [--reason <text>]
+  keys release <keyId>             Lift a quarantine after review
+  anomalies [--key-id <base64>] [--device-id <id>] [--type <type>] [--limit <n>]
+  audit [--device-id <id>] [--key-id <base64>] [--type nonce|attestation|assertion]
+      [--since <date>] [--until <date>] [--limit <n>] [--jsonl]
+                                   List audit events, newest first (--jsonl: JSON Lines, oldest first)
+  migrate                          Apply pending schema migrations (see --db)
+  purge                            Delete expired challenges, assertion fingerprints, rate limit buckets,
+                                   superseded keys past their grace period and audit events past their retention
+
+Options:
+  --json                           Print JSON
+  --db <file>                      SQLite database (default: ATTESTATION_DB_PATH or ./attestations.db)
+  --tenant <name>                  Storage partition
+  -h, --help                       Show this help
+`;
+
+const OPTIONS = {
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+    db: { type: 'string' },
+    tenant: { type: 'string' },
+    'team-id': { type: 'string' },
+    'bundle-id': { type: 'string' },
+    nonce: { type: 'string' },
+    'key-id': { type: 'string' },
+    'device-id': { type: 'string' },
+    environment: { type: 'string' },
+    at: { type: 'string' },
+    root: { type: 'string' },
+    'client-data': { type: 'string' },
+    'public-key': { type: 'string' },
+    counter: { type: 'string' },
+    'no-escape-slashes': { type: 'boolean' },
+    reason: { type: 'string' },
+    type: { type: 'string' },
+    revoked: { type: 'boolean' },
+    active: { type: 'boolean' },
+    limit: { type: 'string' },
+    offset: { type: 'string' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    jsonl: { type: 'boolean' }
+};
+
+class UsageError extends Error {}
+
+const required = (flags, ...names) => {
+    const missing = names.filter(name => flags[name] === undefined);
+    if (missing.length > 0) throw new UsageError(`Missing ${missing.map(name => `--${name}`).join(', ')}`);
+}
+
+const argument = (args, name) => {
+    if (!args[0]) throw new UsageError(`Missing <${name}>`);
+    return args[0];
+}
+
+const integer = (flags, name, fallback) => {
+    if (flags[name] === undefined) return fallback;
+    const value = Number(flags[name]);
+    if (!Number.isSafeInteger(value) || value < 0) throw new UsageError(`--${name} must be a non-negative integer`);
+    return value;
+}
+
+const date = (flags, name) => {
+    if (flags[name] === undefined) return undefined;
+    const value = new Date(flags[name]);
+    if (Number.isNaN(value.getTime())) throw new UsageError(`--${name} must be a date, e.g. 2024-05-01T12:00:00Z`);
+    return value;
+}
+
+/**
+ * Reads an artifact file as the base64 text the validators take. Files with raw
+ * CBOR bytes are base64-encoded.
+ */
+const readArtifact = (file) => {
+    const content = fs.readFileSync(file === '-' ? 0 : file);
+    const text = content.toString('latin1').trim();
+    return /^[A-Za-z0-9+/_-]+=*$/.test(text) ? text : content.toString('base64');
+}
+
+const openStore = (flags) => {
+    const filename = flags.db || process.env.ATTESTATION_DB_PATH || path.join(process.cwd(), 'attestations.db');
+    if (!fs.existsSync(filename)) throw new UsageError(`Database ${filename} does not exist (see --db)`);
+    return getStore({ store: new SQLiteStore({ filename }), tenant: flags.tenant });
+}
+
+//Admin functions take the store through the per-call options
+const adminOptions = (flags) => ({ store: openStore(flags) });
+
+const decodeAttestationCommand = async (args) => decodeAttestation(readArtifact(argument(args, 'file')));
+
+const decodeAssertionCommand = async (args) => decodeAssertion(readArtifact(argument(args, 'file')));
+
+const verifyAttestationCommand = async (args, flags) => {
+    const attestationObject = readArtifact(argument(args, 'file'));
+    required(flags, 'team-id', 'bundle-id', 'nonce');
+
+    const now = flags.at ? new Date(flags.at) : new Date();
+    if (Number.isNaN(now.getTime())) throw new UsageError('--at must be a date, e.g. 2024-05-01T12:00:00Z');
+
+    //--root trusts another CA instead of Apple, e.g. the root of a TestAuthority (src/testing)
+    const rootCertificates = flags.root ? [fs.readFileSync(flags.root, 'utf8')] : undefined;
+    const report = verifyAttestationDetailed(flags.nonce, flags['key-id'], attestationObject, flags['team-id'], flags['bundle-id'],
+        flags.environment || 'production', { now, rootCertificates });
+    return { valid: report.valid, code: report.code, reason: report.reason, steps: report.steps, facts: report.facts, hints: report.hints };
+}
+
+const verifyAssertionCommand = async (args, flags) => {
+    const assertion = readArtifact(argument(args, 'file'));
+    required(flags, 'team-id', 'bundle-id', 'client-data');
+
+    let clientData;
+    try {
+        clientData = JSON.parse(flags['client-data']);
+    } catch (error) {
+        throw new UsageError(`--client-data is not valid JSON: ${error.message}`);
+    }
+
+    let publicKey;
+    let storedCounter = 0;
+    if (flags['public-key']) {
+        publicKey = fs.readFileSync(flags['public-key'], 'utf8');
+    } else if (flags['device-id'] && flags['key-id']) {
+        const storedKey = await openStore(flags).loadKey(flags['device-id'], flags['key-id']);
+        if (!storedKey) return { error: { code: 'KEY_NOT_FOUND', reason: `Key ${flags['key-id']} is not registered for device ${flags['device-id']}` } };
+        publicKey = storedKey.publicKey;
+        storedCounter = storedKey.counter;
+    } else {
+        throw new UsageError('Pass --public-key, or --device-id and --key-id to use the stored key');
+    }
+
+    const escapeSlashes = !flags['no-escape-slashes'];
+    const counter = integer(flags, 'counter', storedCounter);
+    const result = verifyAssertion(assertion, clientData, publicKey, counter, flags['team-id'], flags['bundle-id'], { escapeSlashes });
+    return {
+        valid: result.result,
+        counter: result.counter,
+        code: result.code,
+        reason: result.reason,
+        clientDataJSON: canonicalJSON(clientData, { escapeSlashes })
+    };
+}
+
+const devicesCommand = async ([action, deviceId], flags) => {
+    if (flags.revoked && flags.active) throw new UsageError('Pass either --revoked or --active');
+
+    switch (action) {
+        case 'list': {
+            const revoked = flags.revoked ? true : flags.active ? false : undefined;
+            return Devices.listDevices({ revoked, limit: integer(flags, 'limit', 100), offset: integer(flags, 'offset', 0) }, adminOptions(flags));
+        }
+        case 'show':
+            return Devices.getDevice({ deviceId: argument([deviceId], 'deviceId') }, adminOptions(flags));
+        case 'revoke':
+            return Devices.revokeDevice({ deviceId: argument([deviceId], 'deviceId'), reason: flags.reason }, adminOptions(flags));
+        case 'unrevoke':
+            return Devices.unrevoke({ deviceId: argument([deviceId], 'deviceId') }, adminOptions(flags));
+        case 'delete':
+            return Devices.deleteDevice({ deviceId: argument([deviceId], 'deviceId') }, adminOptions(flags));
+        default:
+            throw new UsageError(`Unknown devices command '${action || ''}'`);
+    }
+}
+
+const keysCommand = async ([action, keyId], flags) => {
+    switch (action) {
+        case 'revoke':
+            return Devices.revokeKey({ keyId: argument([keyId], 'keyId'), reason: flags.reason }, adminOptions(flags));
+        case 'unrevoke':
+            return Devices.unrevoke({ keyId: argument([keyId], 'keyId') }, adminOptions(flags));
+        case 'quarantine':
+            return Anomalies.quarantineKey({ keyId: argument([keyId], 'keyId'), reason: flags.reason }, adminOptions(flags));
+        case 'release':
+            return Anomalies.releaseKey({ keyId: argument([keyId], 'keyId') }, adminOptions(flags));
+        default:
+            throw new UsageError(`Unknown keys command '${action || ''}'`);
+    }
+}
+
+const anomaliesCommand = async (args, flags) => Anomalies.listAnomalies({
+    keyId: flags['key-id'],
+    deviceId: flags['device-id'],
+    type: flags.type,
+    limit: integer(flags, 'limit', 100)
+}, adminOptions(flags));
+
+//--jsonl prints the events as they are, so that the output can be appended to an archive
+const auditCommand = async (args, flags) => {
+    const query = {
+        deviceId: flags['device-id'],
+        keyId: flags['key-id'],
+        type: flags.type,
+        since: date(flags, 'since'),
+        until: date(flags, 'until'),
+        limit: integer(flags, 'limit', flags.jsonl ? undefined : 100)
+    };
+    if (!flags.jsonl) return AuditLog.listAuditEvents(query, adminOptions(flags));
+
+    const result = await AuditLog.exportAuditLog(query, adminOptions(flags));
+    return result.error ? result : result.jsonl;
+}
+
+const purgeCommand = async (args, flags) => {
+    const store = openStore(flags);
+    const now = Date.now();
+    const audit = await AuditLog.purgeAuditLog({ store });
+    if (audit.error) return audit;
+    return {
+        challenges: await store.purgeChallenges(now),
+        assertions: await store.purgeAssertions(now),
+        rateLimits: await store.purgeRateLimits(now),
+        retiredKeys: await store.deleteRetiredKeys(now),
+        auditEvents: audit.purged
+    };
+}
+
+//Other commands migrate the database on first use as well; this one reports what was applied
+const migrateCommand = async (args, flags) => openStore(flags).migrate();
+
+const COMMANDS = {
+    'decode-attestation': decodeAttestationCommand,
+    'decode-assertion': decodeAssertionCommand,
+    'verify-attestation': verifyAttestationCommand,
+    'verify-assertion': verifyAssertionCommand,
+    devices: devicesCommand,
+    keys: keysCommand,
+    anomalies: anomaliesCommand,
+    audit: auditCommand,
+    migrate: migrateCommand,
+    purge: purgeCommand
+};
+
+//Reduces AppAttestErrors to what an operator needs: the code and the detailed reason
+const plainResult = (result) => {
+    if (!result || !result.error) return result;
+    return { error: { code: result.error.code, reason: result.error.reason || result.error.message } };
+}
+
+const textLines = (value, indent) => {
+    const lines = [];
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        const label = Array.isArray(value) ? `${indent}[${key}]` : `${indent}${key}:`;
+        if (item !== null && typeof item === 'object') {
+            const nested = textLines(item, `${indent}  `);
+            lines.push(nested.length > 0 ? label : `${label} (none)`, ...nested);
+        } else {
+            lines.push(`${label} ${String(item).trim().replace(/\n/g, `\n${indent}  `)}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Formats a command result as indented `key: value` lines.
+ * @param {Object} value - Command result
+ * @returns {string} Text
+ */
+const formatText = (value) => textLines(value, '').join('\n');
+
+//Log records of the library (e.g. applied migrations), formatted as usual but written to the error stream
+const logTo = (stream) => (record) => {
+    stream.write(`${logger.formatMessage(LOG_LEVELS[record.level.toUpperCase()], record)}\n`);
+}
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - Arguments after the executable and script (process.argv.slice(2))
+ * @param {Object} [io] - Output streams
+ * @param {stream.Writable} [io.stdout=process.stdout] - Command output
+ * @param {stream.Writable} [io.stderr=process.stderr] - Usage, error messages and the library's log records
+ * @returns {Promise<number>} Exit code
+ */
+const main = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+    //stdout only carries the command output, so that it can be piped or parsed as JSON
+    configure({ logger: logTo(stderr) });
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values: flags, positionals: [command, ...args] } = parsed;
+    if (flags.help || !command || command === 'help') {
+        stdout.write(USAGE);
+        return command || flags.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        stderr.write(`Unknown command '${command}'\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        const result = plainResult(await COMMANDS[command](args, flags));
+        if (typeof result === 'string') {
+            stdout.write(result);
+            return 0;
+        }
+        stdout.write(`${flags.json ? JSON.stringify(result, null, 2) : formatText(result)}\n`);
+        return result.error || result.valid === false ? 1 : 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`${error.message}\n\nRun 'app-attest-server help' for usage.\n`);
+            return 2;
+        }
+        stderr.write(`${error.message}\n`);
+        return 1;
+    }
+}
+
+module.exports = { main, formatText }
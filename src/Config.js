@@ -0,0 +1,184 @@
+/**
+ * Shared configuration for app-attest-server.
+ *
+ * Values set through `configure()` apply to every call; most public functions
+ * also accept an `options` object that overrides them for a single call.
+ */
+
+const SQLiteStore = require('./storage/SQLiteStore');
+const { MemoryReplayCache } = require('./ReplayCache');
+const { MemoryRateLimiter, DEFAULT_RATE_LIMITS } = require('./RateLimiter');
+const { defaultMetrics, instrumentStore } = require('./Metrics');
+const { logger } = require('./utils/Logger');
+const { resizeCaches } = require('./KeyCache');
+
+const DEFAULT_TENANT = 'default';
+
+const DEFAULTS = {
+    store: null,
+    apps: null,                     //Accepted apps: [{ teamId, bundleIdentifier, environment }], when calls do not name one
+    environment: 'production',      //Accepted attestation environment: 'production', 'development', 'either', or { [appId]: policy }
+    requireEnvironment: null,       //Refuse assertions from keys attested in another environment ('production' or 'development')
+    requestBinding: false,          //Require the assertion to cover the HTTP method, path and query, and body digest
+    escapeSlashes: true,            //false if clients encode clientData with JSONEncoder's .withoutEscapingSlashes
+    allowRevokedReattestation: false, //Let devices with revoked keys attest again (see Devices.js)
+    maxActiveKeys: 1,               //Active keys per device (see KeyRotation.js)
+    keyLimitPolicy: 'rotate',       //Registering past maxActiveKeys: 'rotate' supersedes the oldest keys, 'reject' refuses the new key
+    keyGracePeriod: 86400,          //Seconds a superseded key still validates assertions
+    counterJumpThreshold: 1000,     //Counter increase in a single assertion that is recorded as an anomaly (0 disables)
+    counterRollbackTolerance: 10,   //Counter decrease left alone, for a device's concurrent requests arriving out of order
+    anomalyWindow: 86400,           //Seconds over which the anomalies of a key are counted
+    quarantineThresholds: {         //Anomalies of a type within anomalyWindow that quarantine a key (see Anomalies.js); null disables
+        counterJump: 3,
+        counterRollback: 3,
+        keyConflict: 1
+    },
+    tenant: DEFAULT_TENANT,         //Storage partition used by calls that do not name one
+    tenants: null,                  //Per-tenant overrides: { [tenant]: { apps, store, ... } }
+    replayCache: null,              //Defaults to an in-memory LRU; false disables the replay check
+    rateLimiter: null,              //Defaults to in-memory token buckets; false disables rate limiting
+    rateLimits: DEFAULT_RATE_LIMITS, //Token buckets per action and client: { nonce: { device, ip }, register: { device, ip } }
+    auditLog: true,                 //Record nonce, registration and assertion outcomes in the store (see AuditLog.js)
+    auditRetention: 7776000,        //Seconds audit events are kept (90 days); null keeps them forever
+    logger: null,                   //Log sink (record) => void, or a pino/winston-style logger; defaults to the console
+    logFormat: null,                //'text' or 'json' (one object per line); defaults to LOG_FORMAT or 'text'
+    logLevel: null,                 //'error', 'warn', 'info' or 'debug'; defaults to LOG_LEVEL or 'info'
+    redactLogs: true,               //Truncate device and key IDs and hide nonces, signatures and keys in log records
+    metrics: null,                  //Metrics recorder (see Metrics.js); defaults to the built-in Prometheus registry, false disables metrics
+    publicKeyCacheSize: 10000,      //Parsed public keys cached by keyId (see KeyCache.js)
+    certificateCacheSize: 100,      //Verified intermediate certificates cached by fingerprint
+    challengeTtl: 300,              //Seconds an attestation challenge stays valid
+    assertionMode: 'timestamp',     //'timestamp' (client Unix time in the nonce header) or 'challenge' (server-issued)
+    assertionChallengeTtl: 120,     //Seconds an assertion challenge stays valid
+    sweepInterval: 60,              //Minimum seconds between opportunistic purges of expired challenges
+    requireReceipt: false,          //Fail registrations whose receipt is missing or invalid, instead of logging them
+    receiptKeyId: null,             //ID of the Apple private key that signs receipt refresh requests
+    receiptPrivateKey: null,        //That private key (PEM contents of the .p8 file)
+    receiptBaseUrl: null,           //Receipt refresh endpoint; defaults to Apple's production or development one
+    receiptRootCertificates: null,  //PEM trust anchors for receipts; defaults to the Apple Root CA - G3
+    attestationRootCertificates: null, //PEM trust anchors for attestations; defaults to the Apple App Attestation Root CA
+    verificationTime: null,         //Time at which attestation certificates must be valid; defaults to now
+    clockSkew: 60,                  //Seconds a certificate may be outside its validity period
+    httpClient: null                //({ url, method, headers, body }) => Promise<{ status, body }>; defaults to fetch
+};
+
+let config = { ...DEFAULTS };
+
+const LOGGING_OPTIONS = ['logger', 'logFormat', 'logLevel', 'redactLogs'];
+const CACHE_OPTIONS = ['publicKeyCacheSize', 'certificateCacheSize'];
+
+/**
+ * Updates the shared configuration.
+ * @param {Object} options - Configuration values to merge
+ * @param {Object} [options.store] - Storage adapter (defaults to an SQLiteStore)
+ * @param {Object[]} [options.apps] - Accepted apps `{ teamId, bundleIdentifier, environment }` (see Apps.js)
+ * @param {string|Object} [options.environment='production'] - Environment policy of apps that do not set one, or policies by App ID
+ * @param {string} [options.requireEnvironment] - Only accept assertions from keys attested in this environment
+ * @param {boolean} [options.requestBinding=false] - Bind assertions to the request method, target and body (see RequestBinding.js)
+ * @param {boolean} [options.escapeSlashes=true] - Whether clients escape `/` in the signed clientData (see CanonicalJSON.js)
+ * @param {boolean} [options.allowRevokedReattestation=false] - Issue challenges to and register keys from devices with revoked keys
+ * @param {number} [options.maxActiveKeys=1] - Keys a device may use at the same time
+ * @param {string} [options.keyLimitPolicy='rotate'] - 'rotate' (supersede the oldest keys, see KeyRotation.js) or 'reject' (refuse registrations past maxActiveKeys)
+ * @param {number} [options.keyGracePeriod=86400] - Seconds a superseded key still validates assertions (0 retires it at once)
+ * @param {number} [options.counterJumpThreshold=1000] - Counter increase in one assertion that is recorded as an anomaly
+ * @param {number} [options.counterRollbackTolerance=10] - Counter decrease in one assertion that is not recorded as an anomaly
+ * @param {number} [options.anomalyWindow=86400] - Seconds over which the anomalies of a key are counted
+ * @param {Object} [options.quarantineThresholds] - Anomalies per type (`counterJump`, `counterRollback`, `keyConflict`) that quarantine a key
+ * @param {string} [options.tenant='default'] - Tenant whose settings and storage partition are used
+ * @param {Object} [options.tenants] - Settings per tenant name, e.g. `{ acme: { apps: [...] } }`
+ * @param {Object|false} [options.replayCache] - Assertion replay cache (defaults to a MemoryReplayCache)
+ * @param {Object|false} [options.rateLimiter] - Rate limiter for challenges and registrations (defaults to a MemoryRateLimiter)
+ * @param {Object} [options.rateLimits] - `{ capacity, refillInterval }` buckets per action ('nonce', 'register') and scope ('device', 'ip')
+ * @param {boolean} [options.auditLog=true] - Append an audit event for every nonce, registration and assertion
+ * @param {number} [options.auditRetention=7776000] - Seconds audit events are kept (null keeps them forever)
+ * @param {function|Object} [options.logger] - Log sink `(record) => void`, or a pino/winston-style logger receiving every record
+ * @param {string} [options.logFormat] - 'text' or 'json' for the built-in console output
+ * @param {string} [options.logLevel] - Most verbose level logged: 'error', 'warn', 'info' or 'debug'
+ * @param {boolean} [options.redactLogs=true] - Truncate identifiers and hide attestation material in log records
+ * @param {Object|false} [options.metrics] - Metrics recorder implementing increment and observe (defaults to the built-in PrometheusMetrics registry)
+ * @param {number} [options.publicKeyCacheSize=10000] - Parsed public keys kept in the process-wide key cache
+ * @param {number} [options.certificateCacheSize=100] - Verified intermediate certificates kept in the process-wide certificate cache
+ * @param {number} [options.challengeTtl=300] - Lifetime of attestation challenges in seconds
+ * @param {string} [options.assertionMode='timestamp'] - 'timestamp' or 'challenge' (see getAssertionChallenge)
+ * @param {number} [options.assertionChallengeTtl=120] - Lifetime of assertion challenges in seconds
+ * @param {number} [options.sweepInterval=60] - Minimum seconds between opportunistic challenge purges (0 disables them)
+ * @param {boolean} [options.requireReceipt=false] - Fail registrations with RECEIPT_INVALID when the attestation receipt is missing or invalid
+ * @param {string} [options.receiptKeyId] - Apple key ID used to refresh receipts (see refreshReceipt)
+ * @param {string|KeyObject} [options.receiptPrivateKey] - Apple private key used to refresh receipts
+ * @param {string} [options.receiptBaseUrl] - Base URL of the receipt refresh endpoint
+ * @param {function} [options.httpClient] - HTTP client for the receipt refresh endpoint
+ * @param {string[]} [options.receiptRootCertificates] - PEM trust anchors for receipts (e.g. a local test CA)
+ * @param {string[]} [options.attestationRootCertificates] - PEM trust anchors for attestations (e.g. a TestAuthority root, see src/testing)
+ * @param {Date|number} [options.verificationTime] - Time at which attestation certificates must be valid (defaults to the current time)
+ * @param {number} [options.clockSkew=60] - Seconds of clock difference tolerated in certificate validity checks
+ * @returns {Object} The resulting configuration
+ */
+const configure = (options = {}) => {
+    config = { ...config, ...options };
+
+    //Logging and the key caches are process-wide, so these options are applied to them rather than per call
+    if (LOGGING_OPTIONS.some(name => options[name] !== undefined)) {
+        logger.configure({ destination: config.logger, format: config.logFormat, level: config.logLevel, redact: config.redactLogs });
+    }
+    if (CACHE_OPTIONS.some(name => options[name] !== undefined)) {
+        resizeCaches({ publicKeyCacheSize: config.publicKeyCacheSize, certificateCacheSize: config.certificateCacheSize });
+    }
+    return config;
+}
+
+/**
+ * Merges per-call options over the shared configuration.
+ * @param {Object} [options] - Per-call overrides
+ * @returns {Object} Effective configuration, including the resolved store, replay cache, rate limiter and metrics recorder
+ */
+const resolveConfig = (options = {}) => {
+    const tenant = options.tenant || config.tenant;
+    const resolved = { ...config, ...tenantSettings(tenant), ...options, tenant };
+    resolved.metrics = getMetrics(options).metrics;
+    resolved.store = instrumentStore(getStore(options), resolved.metrics);
+    if (!resolved.replayCache && resolved.replayCache !== false) {
+        if (!config.replayCache) config.replayCache = new MemoryReplayCache();
+        resolved.replayCache = config.replayCache;
+    }
+    if (!resolved.rateLimiter && resolved.rateLimiter !== false) {
+        if (!config.rateLimiter) config.rateLimiter = new MemoryRateLimiter();
+        resolved.rateLimiter = config.rateLimiter;
+    }
+    return resolved;
+}
+
+const tenantSettings = (tenant) => (config.tenants && config.tenants[tenant]) || {};
+
+/**
+ * Returns the storage adapter for a call, creating the default SQLite store on first use.
+ * Tenants without a store of their own get their partition of the shared store.
+ * @param {Object} [options] - Per-call overrides
+ * @returns {Object} Storage adapter
+ */
+const getStore = (options = {}) => {
+    const tenant = options.tenant || config.tenant;
+    const tenantStore = tenantSettings(tenant).store;
+    if (tenantStore && !options.store) return tenantStore;
+
+    if (!options.store && !config.store) config.store = new SQLiteStore();
+    const store = options.store || config.store;
+
+    if (tenant === DEFAULT_TENANT) return store;
+    if (typeof store.forTenant !== 'function') {
+        throw new TypeError(`The store cannot be partitioned; set a store for tenant '${tenant}'`);
+    }
+    return store.forTenant(tenant);
+}
+
+/**
+ * Returns the metrics recorder for a call without resolving its store.
+ * @param {Object} [options] - Per-call overrides
+ * @returns {Object} `{ metrics, tenant }`, where metrics is null if metrics are disabled
+ */
+const getMetrics = (options = {}) => {
+    const tenant = options.tenant || config.tenant;
+    const { metrics } = { ...config, ...tenantSettings(tenant), ...options };
+    return { metrics: metrics === false ? null : metrics || defaultMetrics, tenant };
+}
+
+module.exports = { configure, resolveConfig, getStore, getMetrics, DEFAULTS, DEFAULT_TENANT }
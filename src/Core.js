@@ -0,0 +1,69 @@
+/**
+ * Framework-independent API. Every function takes plain values instead of a
+ * request object and resolves with a plain object, or `{ error }` on failure,
+ * where `error` is an AppAttestError (see Errors.js).
+ *
+ * The `config` argument holds the app identity (`teamId`, `bundleIdentifier`,
+ * `environment` or `devMode`, or several `apps`) plus any per-call overrides of
+ * the shared configuration, such as the `tenant`.
+ */
+
+const { issueNonce } = require('./AttestationValidator');
+const { registerDevice } = require('./RegisterAttestation');
+const { verifyDeviceAssertion, issueAssertionChallenge } = require('./AssertionValidator');
+const Receipt = require('./Receipt');
+
+/**
+ * Issues an attestation challenge.
+ * @param {Object} input - `{ deviceId, clientIp }` (`clientIp` is optional, for the per-IP rate limit and the audit log)
+ * @param {Object} [config] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ nonce, expiresAt }`
+ */
+const getNonce = (input = {}, config = {}) => issueNonce(input.deviceId, config, input.clientIp);
+
+/**
+ * Issues a one-time assertion challenge (assertionMode 'challenge').
+ * @param {Object} input - `{ deviceId }`
+ * @param {Object} [config] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ nonce, expiresAt }`
+ */
+const getAssertionChallenge = (input = {}, config = {}) => issueAssertionChallenge(input.deviceId, config);
+
+/**
+ * Validates an attestation and stores the device key.
+ * @param {Object} input - `{ deviceId, keyId, attestationObject, clientIp }`
+ * @param {Object} config - `{ teamId, bundleIdentifier, environment }` plus overrides
+ * @returns {Promise<Object>} `{ deviceId, keyId, appId, environment }`
+ */
+const registerAttestation = (input, config = {}) => {
+    const { teamId, bundleIdentifier, devMode, ...options } = config;
+    return registerDevice(input, teamId, bundleIdentifier, devMode, options);
+}
+
+/**
+ * Verifies an assertion and advances the stored counter.
+ * @param {Object} input - `{ deviceId, keyId, signature, nonce, clientData, request, clientIp }` (`request` is `{ method, path, body }`,
+ * for requestBinding; `clientIp` is optional, for the audit log)
+ * @param {Object} config - `{ teamId, bundleIdentifier, requireEnvironment }` plus overrides
+ * @returns {Promise<Object>} `{ deviceId, keyId, counter, appId, environment }`
+ */
+const validateAssertion = (input, config = {}) => {
+    const { teamId, bundleIdentifier, devMode, ...options } = config;
+    return verifyDeviceAssertion(input, teamId, bundleIdentifier, options);
+}
+
+/**
+ * Exchanges the stored receipt of a key for a fresh one and records its risk metric.
+ * @param {Object} input - `{ keyId }`
+ * @param {Object} config - `{ teamId, bundleIdentifier }` plus overrides
+ * @returns {Promise<Object>} `{ keyId, riskMetric, createdAt, notBefore, expiresAt, refreshed }`
+ */
+const refreshReceipt = (input = {}, config = {}) => Receipt.refreshReceipt(input.keyId, config);
+
+module.exports = {
+    getNonce,
+    getAssertionChallenge,
+    registerAttestation,
+    validateAssertion,
+    refreshReceipt
+}
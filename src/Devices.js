@@ -0,0 +1,217 @@
+/**
+ * Administration of registered devices and their keys: look up, revoke, lift
+ * revocations and delete.
+ *
+ * Revoking keeps the key in the store, marked with a reason and timestamp. Assertions
+ * signed with it fail with KEY_REVOKED instead of KEY_NOT_FOUND (which makes clients
+ * attest again), and a device with a revoked key cannot get a new attestation
+ * challenge (DEVICE_REVOKED) unless `allowRevokedReattestation` is set.
+ */
+
+const { resolveConfig } = require('./Config');
+const { isValidDeviceId } = require('./utils/InputValidator');
+const { createError, toAppAttestError } = require('./Errors');
+const { logger } = require('./utils/Logger');
+const { forgetPublicKey } = require('./KeyCache');
+
+const keySummary = ({ keyId, counter, appId, environment, revokedAt, revokeReason, quarantinedAt, quarantineReason, supersededAt, retiresAt, createdAt, updatedAt }) => ({
+    keyId,
+    counter,
+    appId,
+    environment,
+    revoked: Boolean(revokedAt),
+    revokedAt: revokedAt || null,
+    revokeReason: revokeReason || null,
+    quarantined: Boolean(quarantinedAt),
+    quarantinedAt: quarantinedAt || null,
+    quarantineReason: quarantineReason || null,
+    superseded: Boolean(supersededAt),
+    supersededAt: supersededAt || null,
+    retiresAt: retiresAt || null,
+    createdAt,
+    updatedAt
+})
+
+const deviceSummary = (deviceId, keys) => ({
+    deviceId,
+    revoked: keys.some(key => key.revokedAt),
+    quarantined: keys.some(key => key.quarantinedAt),
+    keys: keys.map(keySummary)
+})
+
+const invalidDeviceId = () => ({ error: createError('INVALID_INPUT', 'Missing or invalid required value: deviceId') })
+const deviceNotFound = (deviceId) => ({ error: createError('DEVICE_NOT_FOUND', `No keys registered for device ${deviceId}`) })
+
+/**
+ * @param {Object} store - Storage adapter
+ * @param {string} deviceId - Device identifier
+ * @returns {Promise<boolean>} True if any key of the device is revoked
+ */
+const isDeviceRevoked = async (store, deviceId) => {
+    const keys = await store.listKeys(deviceId);
+    return keys.some(key => key.revokedAt);
+}
+
+/**
+ * Lists the devices with registered keys.
+ * @param {Object} [query] - Filters
+ * @param {boolean} [query.revoked] - Only revoked (true) or only unrevoked (false) devices
+ * @param {number} [query.limit=100] - Maximum number of devices
+ * @param {number} [query.offset=0] - Devices to skip
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ devices: [{ deviceId, revoked, quarantined, keys }], total }`, or `{ error: AppAttestError }`
+ */
+const listDevices = async (query = {}, options = {}) => {
+    try {
+        const { revoked, limit = 100, offset = 0 } = query;
+        const keys = await resolveConfig(options).store.listKeys();
+
+        const byDevice = new Map();
+        for (const key of keys) {
+            if (!byDevice.has(key.deviceId)) byDevice.set(key.deviceId, []);
+            byDevice.get(key.deviceId).push(key);
+        }
+
+        const devices = [...byDevice].map(([deviceId, deviceKeys]) => deviceSummary(deviceId, deviceKeys))
+            .filter(device => revoked === undefined || device.revoked === revoked);
+        return { devices: devices.slice(offset, offset + limit), total: devices.length };
+    } catch (error) {
+        logger.error('Error listing devices', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Looks up a device and its keys.
+ * @param {Object} input - `{ deviceId }`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ deviceId, revoked, quarantined, keys: [{ keyId, counter, appId, environment, revoked, revokedAt, revokeReason,
+ * quarantined, quarantinedAt, quarantineReason, superseded, supersededAt, retiresAt, createdAt, updatedAt }] }`,
+ * or `{ error: AppAttestError }` (DEVICE_NOT_FOUND if it has no keys)
+ */
+const getDevice = async ({ deviceId } = {}, options = {}) => {
+    try {
+        if (!isValidDeviceId(deviceId)) return invalidDeviceId();
+
+        const keys = await resolveConfig(options).store.listKeys(deviceId);
+        if (keys.length === 0) return deviceNotFound(deviceId);
+        return deviceSummary(deviceId, keys);
+    } catch (error) {
+        logger.error('Error looking up device', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Revokes a single key.
+ * @param {Object} input - `{ keyId, reason }`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ keyId, revokedAt, revokeReason }`, or `{ error: AppAttestError }` (KEY_NOT_FOUND for unknown keys)
+ */
+const revokeKey = async ({ keyId, reason = null } = {}, options = {}) => {
+    try {
+        if (!keyId || typeof keyId !== 'string') {
+            return { error: createError('INVALID_INPUT', 'Missing or invalid required value: keyId') };
+        }
+
+        const revokedAt = Date.now();
+        const revoked = await resolveConfig(options).store.revokeKey(keyId, { reason, revokedAt });
+        if (!revoked) return { error: createError('KEY_NOT_FOUND', `Key ${keyId} is not registered`) };
+        forgetPublicKey(keyId);
+        return { keyId, revokedAt, revokeReason: reason };
+    } catch (error) {
+        logger.error('Error revoking key', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Revokes every key of a device that is not revoked yet, which also blocks new attestations from it.
+ * @param {Object} input - `{ deviceId, reason }`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ deviceId, revokedKeys, revokedAt, revokeReason }`, or `{ error: AppAttestError }`
+ */
+const revokeDevice = async ({ deviceId, reason = null } = {}, options = {}) => {
+    try {
+        if (!isValidDeviceId(deviceId)) return invalidDeviceId();
+
+        const store = resolveConfig(options).store;
+        const keys = await store.listKeys(deviceId);
+        if (keys.length === 0) return deviceNotFound(deviceId);
+
+        const revokedAt = Date.now();
+        let revokedKeys = 0;
+        for (const key of keys.filter(key => !key.revokedAt)) {
+            if (await store.revokeKey(key.keyId, { reason, revokedAt })) revokedKeys++;
+            forgetPublicKey(key.keyId);
+        }
+        return { deviceId, revokedKeys, revokedAt, revokeReason: reason };
+    } catch (error) {
+        logger.error('Error revoking device', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Lifts the revocation of a key (`{ keyId }`) or of every key of a device (`{ deviceId }`).
+ * @param {Object} input - `{ keyId }` or `{ deviceId }`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ unrevokedKeys }`, or `{ error: AppAttestError }`
+ */
+const unrevoke = async ({ keyId, deviceId } = {}, options = {}) => {
+    try {
+        const store = resolveConfig(options).store;
+
+        if (keyId) {
+            return { unrevokedKeys: await store.unrevokeKey(keyId) ? 1 : 0 };
+        }
+
+        if (!isValidDeviceId(deviceId)) {
+            return { error: createError('INVALID_INPUT', 'Missing or invalid required value: keyId or deviceId') };
+        }
+        const keys = await store.listKeys(deviceId);
+        if (keys.length === 0) return deviceNotFound(deviceId);
+
+        let unrevokedKeys = 0;
+        for (const key of keys.filter(key => key.revokedAt)) {
+            if (await store.unrevokeKey(key.keyId)) unrevokedKeys++;
+        }
+        return { unrevokedKeys };
+    } catch (error) {
+        logger.error('Error lifting revocation', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+/**
+ * Deletes a device with all its keys, receipts and challenges. Unlike revoking, this
+ * lets the device attest again.
+ * @param {Object} input - `{ deviceId }`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ deviceId, deletedKeys }`, or `{ error: AppAttestError }`
+ */
+const deleteDevice = async ({ deviceId } = {}, options = {}) => {
+    try {
+        if (!isValidDeviceId(deviceId)) return invalidDeviceId();
+
+        const store = resolveConfig(options).store;
+        const keys = await store.listKeys(deviceId);
+        const deletedKeys = await store.deleteDevice(deviceId);
+        if (deletedKeys === 0) return deviceNotFound(deviceId);
+        keys.forEach(key => forgetPublicKey(key.keyId));
+        return { deviceId, deletedKeys };
+    } catch (error) {
+        logger.error('Error deleting device', { error });
+        return { error: toAppAttestError(error) };
+    }
+}
+
+module.exports = {
+    listDevices,
+    getDevice,
+    revokeKey,
+    revokeDevice,
+    unrevoke,
+    deleteDevice,
+    isDeviceRevoked
+}
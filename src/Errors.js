@@ -0,0 +1,156 @@
+/**
+ * Error types returned by app-attest-server.
+ *
+ * Every failure is an AppAttestError (or subclass) with:
+ *   - code:          stable machine-readable code, safe to branch on
+ *   - status:        suggested HTTP status
+ *   - clientMessage: message that is safe to send to the client
+ *   - reason:        detailed server-side explanation (not meant for clients)
+ * Public functions return failures as `{ error: AppAttestError }`; they do not throw them.
+ */
+
+class AppAttestError extends Error {
+    /**
+     * @param {string} code - Error code from ERROR_CODES
+     * @param {string} [reason] - Detailed server-side explanation
+     * @param {Object} [options] - Overrides
+     * @param {number} [options.status] - HTTP status
+     * @param {string} [options.clientMessage] - Client-safe message
+     * @param {Error} [options.cause] - Underlying error
+     * @param {number} [options.retryAfter] - Seconds before retrying (RateLimitError)
+     */
+    constructor(code, reason, options = {}) {
+        const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+        super(reason || definition.message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+        this.status = options.status || definition.status;
+        this.clientMessage = options.clientMessage || definition.message;
+        this.reason = reason || definition.message;
+    }
+
+    /**
+     * Client-safe representation, used as the JSON body by the HTTP integrations
+     */
+    toJSON() {
+        return { error: this.clientMessage, code: this.code };
+    }
+}
+
+/** The request or input values are missing or malformed */
+class InvalidInputError extends AppAttestError {}
+
+/** The server was called with an invalid configuration (team ID, bundle identifier, ...) */
+class ConfigurationError extends AppAttestError {}
+
+/** The challenge is unknown, expired or not covered by the signature */
+class ChallengeError extends AppAttestError {}
+
+/** The attestation or assertion failed one of Apple's verification steps */
+class VerificationError extends AppAttestError {}
+
+/** The key is not registered for the device; the client should attest again */
+class KeyNotFoundError extends AppAttestError {}
+
+/** The key or device was revoked, or the key is quarantined; the client should not attest again */
+class RevokedError extends AppAttestError {}
+
+/** The assertion was already used, or raced with a concurrent use of the same key */
+class ReplayError extends AppAttestError {}
+
+/** Too many challenges or registrations from a device or IP address; `retryAfter` is in seconds */
+class RateLimitError extends AppAttestError {
+    constructor(code, reason, options = {}) {
+        super(code, reason, options);
+        this.retryAfter = options.retryAfter;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), retryAfter: this.retryAfter };
+    }
+}
+
+/** Unexpected failure (storage, crypto); details are never sent to the client */
+class InternalError extends AppAttestError {}
+
+const ERROR_CODES = {
+    INVALID_INPUT: { type: InvalidInputError, status: 400, message: 'Invalid request.' },
+    ATTESTATION_MALFORMED: { type: InvalidInputError, status: 400, message: 'Attestation object could not be decoded.' },
+    ASSERTION_MALFORMED: { type: InvalidInputError, status: 400, message: 'Assertion could not be decoded.' },
+    INVALID_CONFIGURATION: { type: ConfigurationError, status: 500, message: 'Internal server error' },
+
+    CHALLENGE_UNKNOWN: { type: ChallengeError, status: 401, message: 'Unknown challenge. Please request a new challenge.' },
+    CHALLENGE_EXPIRED: { type: ChallengeError, status: 401, message: 'Challenge expired. Please request a new challenge.' },
+    CHALLENGE_NOT_SIGNED: { type: ChallengeError, status: 400, message: 'The challenge must be part of the signed clientData.' },
+    ASSERTION_EXPIRED: { type: ChallengeError, status: 401, message: 'Signature is too old.' },
+
+    CERT_CHAIN_INVALID: { type: VerificationError, status: 401, message: 'Attestation could not be validated.' },
+    NONCE_MISMATCH: { type: VerificationError, status: 401, message: 'Attestation could not be validated.' },
+    KEY_ID_MISMATCH: { type: VerificationError, status: 401, message: 'Attestation could not be validated.' },
+    RP_ID_MISMATCH: { type: VerificationError, status: 401, message: 'App ID does not match.' },
+    COUNTER_NOT_ZERO: { type: VerificationError, status: 401, message: 'Attestation could not be validated.' },
+    AAGUID_MISMATCH: { type: VerificationError, status: 401, message: 'Attestation environment is not accepted.' },
+    CREDENTIAL_ID_MISMATCH: { type: VerificationError, status: 401, message: 'Attestation could not be validated.' },
+    SIGNATURE_INVALID: { type: VerificationError, status: 401, message: 'Assertion could not be verified.' },
+    COUNTER_REPLAY: { type: VerificationError, status: 401, message: 'Assertion could not be verified.' },
+    RECEIPT_INVALID: { type: VerificationError, status: 401, message: 'Attestation could not be validated.' },
+    CONTENT_DIGEST_MISMATCH: { type: VerificationError, status: 400, message: 'Request body does not match its digest.' },
+    ENVIRONMENT_NOT_ACCEPTED: { type: VerificationError, status: 403, message: 'Device key environment is not accepted.' },
+    KEY_CONFLICT: { type: VerificationError, status: 409, message: 'Attestation could not be validated.' },
+
+    KEY_NOT_FOUND: { type: KeyNotFoundError, status: 422, message: 'Device not registered. Please re-attest.' },
+    KEY_SUPERSEDED: { type: KeyNotFoundError, status: 422, message: 'Device key was replaced. Please use the new key or re-attest.' },
+    RECEIPT_NOT_FOUND: { type: KeyNotFoundError, status: 404, message: 'No receipt stored for this key.' },
+    DEVICE_NOT_FOUND: { type: KeyNotFoundError, status: 404, message: 'Device not found.' },
+
+    KEY_REVOKED: { type: RevokedError, status: 403, message: 'Device key has been revoked.' },
+    DEVICE_REVOKED: { type: RevokedError, status: 403, message: 'Device has been revoked.' },
+    KEY_QUARANTINED: { type: RevokedError, status: 403, message: 'Device key is under review.' },
+    KEY_LIMIT_REACHED: { type: RevokedError, status: 403, message: 'Device cannot register more keys.' },
+
+    ASSERTION_REPLAYED: { type: ReplayError, status: 409, message: 'Assertion has already been used.' },
+    COUNTER_CONFLICT: { type: ReplayError, status: 409, message: 'Assertion was processed concurrently. Please retry.' },
+
+    RATE_LIMITED: { type: RateLimitError, status: 429, message: 'Too many requests. Please retry later.' },
+
+    RECEIPT_REFRESH_FAILED: { type: InternalError, status: 502, message: 'Receipt could not be refreshed.' },
+    INTERNAL_ERROR: { type: InternalError, status: 500, message: 'Internal server error' }
+};
+
+/**
+ * Creates the error class registered for a code.
+ * @param {string} code - Error code from ERROR_CODES
+ * @param {string} [reason] - Detailed server-side explanation
+ * @param {Object} [options] - See AppAttestError
+ * @returns {AppAttestError} Error instance
+ */
+const createError = (code, reason, options) => {
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    return new definition.type(code, reason, options);
+}
+
+/**
+ * Wraps an unexpected thrown error. AppAttestErrors are returned unchanged.
+ * @param {Error} error - Thrown error
+ * @returns {AppAttestError} Error instance
+ */
+const toAppAttestError = (error) => {
+    if (error instanceof AppAttestError) return error;
+    return new InternalError('INTERNAL_ERROR', error && error.message, { cause: error });
+}
+
+module.exports = {
+    AppAttestError,
+    InvalidInputError,
+    ConfigurationError,
+    ChallengeError,
+    VerificationError,
+    KeyNotFoundError,
+    RevokedError,
+    ReplayError,
+    RateLimitError,
+    InternalError,
+    ERROR_CODES,
+    createError,
+    toAppAttestError
+}
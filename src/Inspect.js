@@ -0,0 +1,201 @@
+/**
+ * Decodes App Attest artifacts for inspection, without verifying anything: the
+ * fields of an attestation object (authenticator data, certificates and their
+ * extensions, receipt) or of an assertion. Used by the CLI's decode commands; see
+ * verifyAttestationDetailed for the verification report.
+ */
+
+const { X509Certificate } = require('node:crypto');
+const cbor = require('cbor');
+const { AsnConvert } = require('@peculiar/asn1-schema');
+const { Certificate } = require('@peculiar/asn1-x509');
+const decodeCborObject = require('./utils/CBORDecoder');
+const { environmentOf } = require('./AttestationValidator');
+const { decodeReceipt } = require('./Receipt');
+const { createError } = require('./Errors');
+
+const APP_ATTEST_NONCE_OID = '1.2.840.113635.100.8.2'
+
+const EXTENSION_NAMES = {
+    '2.5.29.14': 'subjectKeyIdentifier',
+    '2.5.29.15': 'keyUsage',
+    '2.5.29.19': 'basicConstraints',
+    '2.5.29.35': 'authorityKeyIdentifier',
+    [APP_ATTEST_NONCE_OID]: 'appAttestNonce'
+}
+
+//Authenticator data flag bits
+const FLAG_USER_PRESENT = 0x01
+const FLAG_USER_VERIFIED = 0x04
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40
+const FLAG_EXTENSION_DATA = 0x80
+
+//COSE key parameters (RFC 9053)
+const COSE_KTY = 1
+const COSE_ALG = 3
+const COSE_EC2_CRV = -1
+const COSE_EC2_X = -2
+const COSE_EC2_Y = -3
+
+const toBase64 = (value) => Buffer.isBuffer(value) ? value.toString('base64') : value
+
+const describeCoseKey = (bytes) => {
+    try {
+        const key = cbor.decodeFirstSync(bytes)
+        if (!(key instanceof Map)) return null
+        return {
+            kty: key.get(COSE_KTY),
+            alg: key.get(COSE_ALG),
+            crv: key.get(COSE_EC2_CRV),
+            x: key.has(COSE_EC2_X) ? Buffer.from(key.get(COSE_EC2_X)).toString('hex') : undefined,
+            y: key.has(COSE_EC2_Y) ? Buffer.from(key.get(COSE_EC2_Y)).toString('hex') : undefined
+        }
+    } catch (error) {
+        return null
+    }
+}
+
+/**
+ * Decodes authenticator data: RP ID hash, flags and counter, plus the attested
+ * credential data (AAGUID, credential ID, public key) when present.
+ * @param {Buffer} authData - Authenticator data of an attestation or assertion
+ * @returns {Object} Decoded fields (hashes and AAGUID in hex, credential ID in base64)
+ */
+const decodeAuthenticatorData = (authData) => {
+    if (authData.length < 37) return { length: authData.length, error: 'Authenticator data is shorter than 37 bytes.' }
+
+    const flags = authData[32]
+    const decoded = {
+        length: authData.length,
+        rpIdHash: authData.slice(0, 32).toString('hex'),
+        flags: {
+            value: flags,
+            userPresent: Boolean(flags & FLAG_USER_PRESENT),
+            userVerified: Boolean(flags & FLAG_USER_VERIFIED),
+            attestedCredentialData: Boolean(flags & FLAG_ATTESTED_CREDENTIAL_DATA),
+            extensionData: Boolean(flags & FLAG_EXTENSION_DATA)
+        },
+        counter: authData.readUInt32BE(33)
+    }
+
+    //aaguid (16 bytes), credentialIdLength (2 bytes), credentialId, credentialPublicKey (COSE)
+    if (authData.length >= 55) {
+        decoded.aaguid = authData.slice(37, 53).toString('hex')
+        decoded.environment = environmentOf(decoded.aaguid)
+
+        const credentialIdLength = authData.readUInt16BE(53)
+        decoded.credentialId = authData.slice(55, 55 + credentialIdLength).toString('base64')
+
+        const rest = authData.slice(55 + credentialIdLength)
+        if (rest.length > 0) decoded.credentialPublicKey = describeCoseKey(rest)
+    }
+    return decoded
+}
+
+/**
+ * Describes a DER certificate, including every extension (the App Attest nonce
+ * extension is also decoded).
+ * @param {Buffer} der - DER-encoded certificate
+ * @returns {Object} `{ subject, issuer, serialNumber, validFrom, validTo, fingerprint256, publicKey, ca, extensions }`
+ */
+const describeCertificate = (der) => {
+    const cert = new X509Certificate(der)
+    const extensions = (AsnConvert.parse(der, Certificate).tbsCertificate.extensions || []).map(extension => {
+        const value = Buffer.from(extension.extnValue.buffer)
+        const described = {
+            oid: extension.extnID,
+            name: EXTENSION_NAMES[extension.extnID] || null,
+            critical: extension.critical,
+            value: value.toString('hex')
+        }
+        //SEQUENCE { [1] { OCTET STRING nonce } }, like compareAttestNonce reads it
+        if (extension.extnID === APP_ATTEST_NONCE_OID) described.nonce = value.toString('hex').substring(12)
+        return described
+    })
+
+    return {
+        subject: cert.subject,
+        issuer: cert.issuer,
+        serialNumber: cert.serialNumber,
+        validFrom: new Date(cert.validFrom).toISOString(),
+        validTo: new Date(cert.validTo).toISOString(),
+        fingerprint256: cert.fingerprint256,
+        publicKey: {
+            type: cert.publicKey.asymmetricKeyType,
+            ...cert.publicKey.asymmetricKeyDetails
+        },
+        ca: cert.ca,
+        extensions
+    }
+}
+
+/**
+ * Decodes an App Attest receipt without verifying its signature.
+ * @param {Buffer} receipt - DER receipt
+ * @returns {Object} `{ size, fields, certificates }`, or `{ size, error }` if it cannot be decoded
+ */
+const describeReceipt = (receipt) => {
+    try {
+        const { fields, certificates } = decodeReceipt(receipt)
+        const described = {}
+        for (const [name, value] of Object.entries(fields)) {
+            described[name] = ['createdAt', 'notBefore', 'expiresAt'].includes(name) && Number.isFinite(value)
+                ? new Date(value).toISOString()
+                : toBase64(value)
+        }
+        return {
+            size: receipt.length,
+            fields: described,
+            certificates: certificates.map(cert => ({ subject: cert.subject, issuer: cert.issuer, validTo: new Date(cert.validTo).toISOString() }))
+        }
+    } catch (error) {
+        return { size: receipt.length, error: error.message }
+    }
+}
+
+const cborInput = (value) => Buffer.isBuffer(value) ? value.toString('base64') : value
+
+/**
+ * Decodes an attestation object.
+ * @param {string|Buffer} attestationObject - Base64 or base64url text, or the raw CBOR bytes
+ * @returns {Object} `{ fmt, authenticatorData, certificates, receipt }`, or `{ error: AppAttestError }`
+ */
+const decodeAttestation = (attestationObject) => {
+    const decoded = decodeCborObject(cborInput(attestationObject))
+    if (!decoded || !Buffer.isBuffer(decoded.authData) || !decoded.attStmt) {
+        return { error: createError('ATTESTATION_MALFORMED', 'Attestation object could not be decoded.') }
+    }
+
+    const { x5c = [], receipt } = decoded.attStmt
+    return {
+        fmt: decoded.fmt,
+        authenticatorData: decodeAuthenticatorData(decoded.authData),
+        certificates: x5c.map(der => {
+            try {
+                return describeCertificate(der)
+            } catch (error) {
+                return { error: `Certificate could not be decoded: ${error.message}` }
+            }
+        }),
+        receipt: Buffer.isBuffer(receipt) && receipt.length > 0 ? describeReceipt(receipt) : null
+    }
+}
+
+/**
+ * Decodes an assertion object.
+ * @param {string|Buffer} assertion - Base64 or base64url text, or the raw CBOR bytes
+ * @returns {Object} `{ signature, authenticatorData }` (DER signature in base64), or `{ error: AppAttestError }`
+ */
+const decodeAssertion = (assertion) => {
+    const decoded = decodeCborObject(cborInput(assertion))
+    if (!decoded || !Buffer.isBuffer(decoded.signature) || !Buffer.isBuffer(decoded.authenticatorData)) {
+        return { error: createError('ASSERTION_MALFORMED', 'Assertion object could not be decoded.') }
+    }
+
+    return {
+        signature: decoded.signature.toString('base64'),
+        authenticatorData: decodeAuthenticatorData(decoded.authenticatorData)
+    }
+}
+
+module.exports = { decodeAttestation, decodeAssertion, decodeAuthenticatorData, describeCertificate }
@@ -0,0 +1,123 @@
+/**
+ * Process-wide caches of parsed key material, so that hot paths do not parse and verify
+ * the same keys and certificates on every request:
+ *   publicKeys        - KeyObjects of registered keys by keyId, used by verifyAssertion
+ *   intermediates     - Intermediate certificates by SHA256 fingerprint whose signature and
+ *                       CA constraints were verified against a trust anchor
+ *   rootCertificates  - Parsed trust anchors by PEM
+ *
+ * A cached public key is only used while it was parsed from the same PEM, and keys are
+ * dropped when they are revoked, deleted or attested again. A cached intermediate is only
+ * trusted while the root that signed it is still a trust anchor of the call; validity
+ * periods are checked on every call.
+ */
+
+const crypto = require('crypto');
+const LRUCache = require('./utils/LRUCache');
+
+const DEFAULT_PUBLIC_KEY_CACHE_SIZE = 10000;
+const DEFAULT_CERTIFICATE_CACHE_SIZE = 100;
+const ROOT_CERTIFICATE_CACHE_SIZE = 16;
+
+const publicKeys = new LRUCache({ maxEntries: DEFAULT_PUBLIC_KEY_CACHE_SIZE });
+const intermediates = new LRUCache({ maxEntries: DEFAULT_CERTIFICATE_CACHE_SIZE });
+const rootCertificates = new LRUCache({ maxEntries: ROOT_CERTIFICATE_CACHE_SIZE });
+
+/**
+ * Returns the KeyObject of a stored public key, parsing it only on a cache miss.
+ * @param {?string} keyId - Key identifier (without one the key is parsed and not cached)
+ * @param {string} pem - PEM-encoded public key stored during attestation
+ * @returns {KeyObject} Public key
+ */
+const publicKeyOf = (keyId, pem) => {
+    if (!keyId) return crypto.createPublicKey(Buffer.from(pem));
+
+    const cached = publicKeys.get(keyId);
+    if (cached && cached.pem === pem) return cached.keyObject;
+
+    const keyObject = crypto.createPublicKey(Buffer.from(pem));
+    publicKeys.set(keyId, { pem, keyObject });
+    return keyObject;
+}
+
+/**
+ * Drops the cached public key of a key that was revoked, deleted or attested again.
+ * @param {string} keyId - Key identifier
+ */
+const forgetPublicKey = (keyId) => {
+    if (keyId) publicKeys.delete(keyId);
+}
+
+/**
+ * @param {string} pem - PEM-encoded trust anchor
+ * @returns {X509Certificate} Parsed certificate
+ */
+const rootCertificateOf = (pem) => {
+    let certificate = rootCertificates.get(pem);
+    if (!certificate) {
+        certificate = new crypto.X509Certificate(pem);
+        rootCertificates.set(pem, certificate);
+    }
+    return certificate;
+}
+
+/**
+ * Looks up an intermediate certificate that was verified before.
+ * @param {X509Certificate} certificate - Intermediate certificate
+ * @param {X509Certificate[]} roots - Trust anchors of this call
+ * @returns {?X509Certificate} The root that signed it, or null if it has to be verified
+ */
+const verifiedIntermediateRoot = (certificate, roots) => {
+    const rootFingerprint = intermediates.get(certificate.fingerprint256);
+    if (!rootFingerprint) return null;
+    return roots.find(root => root.fingerprint256 === rootFingerprint) || null;
+}
+
+/**
+ * Remembers an intermediate certificate whose signature and CA constraints passed.
+ * @param {X509Certificate} certificate - Intermediate certificate
+ * @param {X509Certificate} root - Trust anchor that signed it
+ */
+const rememberVerifiedIntermediate = (certificate, root) => {
+    intermediates.set(certificate.fingerprint256, root.fingerprint256);
+}
+
+/**
+ * Changes the capacity of the caches.
+ * @param {Object} sizes - Cache sizes
+ * @param {number} [sizes.publicKeyCacheSize] - Public keys kept (defaults to 10000)
+ * @param {number} [sizes.certificateCacheSize] - Verified intermediate certificates kept (defaults to 100)
+ */
+const resizeCaches = ({ publicKeyCacheSize, certificateCacheSize } = {}) => {
+    if (publicKeyCacheSize !== undefined) publicKeys.resize(publicKeyCacheSize || DEFAULT_PUBLIC_KEY_CACHE_SIZE);
+    if (certificateCacheSize !== undefined) intermediates.resize(certificateCacheSize || DEFAULT_CERTIFICATE_CACHE_SIZE);
+}
+
+/**
+ * @returns {Object} `{ publicKeys, intermediates, rootCertificates }`, each `{ size, maxEntries, hits, misses, hitRate }`
+ */
+const getCacheStats = () => ({
+    publicKeys: publicKeys.stats(),
+    intermediates: intermediates.stats(),
+    rootCertificates: rootCertificates.stats()
+})
+
+/**
+ * Empties every cache and resets the statistics.
+ */
+const clearCaches = () => {
+    publicKeys.clear();
+    intermediates.clear();
+    rootCertificates.clear();
+}
+
+module.exports = {
+    publicKeyOf,
+    forgetPublicKey,
+    rootCertificateOf,
+    verifiedIntermediateRoot,
+    rememberVerifiedIntermediate,
+    resizeCaches,
+    getCacheStats,
+    clearCaches
+}
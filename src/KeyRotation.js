@@ -0,0 +1,95 @@
+/**
+ * Key rotation: a device may hold several attested keys.
+ *
+ * A key is only stored once registerAttestation has verified it, so requesting an
+ * attestation challenge never touches the keys a device already has. A registration that
+ * takes a device past `maxActiveKeys` active keys supersedes the device's oldest active
+ * keys once the new key is stored (`keyLimitPolicy: 'rotate'`, the default), or is refused
+ * with KEY_LIMIT_REACHED before anything is stored (`keyLimitPolicy: 'reject'`).
+ *
+ * Rotation is the default so that a device that lost its key (after a reinstall, or when
+ * the key was invalidated) gets back in by attesting a new one. Since an attestation does
+ * not prove that it comes from the device named by `device-id`, the same lets anyone who
+ * runs the app and knows a device ID retire that device's key; the device then attests
+ * again in turn. 'reject' prevents that, but leaves a device that lost its key locked out
+ * until an administrator revokes or deletes the old one.
+ *
+ * A superseded key keeps validating assertions for `keyGracePeriod` seconds, so that
+ * requests signed just before the app switched keys still succeed. After that its
+ * assertions fail with KEY_SUPERSEDED, and the `purge` command deletes it. Revoked and
+ * quarantined keys are not active and never superseded.
+ */
+
+const { createError } = require('./Errors');
+const { logger } = require('./utils/Logger');
+
+const KEY_LIMIT_ROTATE = 'rotate';
+const KEY_LIMIT_REJECT = 'reject';
+
+const KEY_LIMIT_POLICIES = [KEY_LIMIT_ROTATE, KEY_LIMIT_REJECT];
+
+/**
+ * @param {Object} key - Stored key
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the key was superseded and its grace period has ended
+ */
+const isKeyRetired = (key, now = Date.now()) => Boolean(key.retiresAt) && key.retiresAt <= now;
+
+//Keys that sign assertions and were not superseded, oldest first (the order of listKeys)
+const activeKeys = (keys) => keys.filter(key => !key.revokedAt && !key.quarantinedAt && !key.supersededAt);
+
+const rotationPolicyProblem = ({ maxActiveKeys, keyLimitPolicy, keyGracePeriod }) => {
+    if (!Number.isInteger(maxActiveKeys) || maxActiveKeys < 1) return 'maxActiveKeys must be a positive integer';
+    if (!KEY_LIMIT_POLICIES.includes(keyLimitPolicy)) return `keyLimitPolicy must be one of ${KEY_LIMIT_POLICIES.join(', ')}`;
+    if (!Number.isFinite(keyGracePeriod) || keyGracePeriod < 0) return 'keyGracePeriod must be a number of seconds';
+    return null;
+}
+
+/**
+ * Checks, before a new key is stored, whether the device may register another one.
+ * @param {Object} config - Resolved configuration
+ * @param {string} deviceId - Registering device
+ * @returns {Promise<?AppAttestError>} INVALID_CONFIGURATION or KEY_LIMIT_REACHED, or null
+ */
+const checkKeyLimit = async (config, deviceId) => {
+    const problem = rotationPolicyProblem(config);
+    if (problem) return createError('INVALID_CONFIGURATION', problem);
+    if (config.keyLimitPolicy !== KEY_LIMIT_REJECT) return null;
+
+    const active = activeKeys(await config.store.listKeys(deviceId));
+    if (active.length < config.maxActiveKeys) return null;
+    return createError('KEY_LIMIT_REACHED', `Device already has ${active.length} active key(s); maxActiveKeys is ${config.maxActiveKeys}.`);
+}
+
+/**
+ * Supersedes the oldest active keys of a device beyond maxActiveKeys, after a new key was stored.
+ *
+ * The keys to keep are always the newest ones, so that concurrent registrations of the
+ * same device agree on which keys to supersede.
+ * @param {Object} config - Resolved configuration
+ * @param {string} deviceId - Device that registered a key
+ * @returns {Promise<string[]>} IDs of the superseded keys
+ */
+const rotateKeys = async (config, deviceId) => {
+    const store = config.store;
+    const now = Date.now();
+    const active = activeKeys(await store.listKeys(deviceId));
+    const excess = Math.max(active.length - config.maxActiveKeys, 0);
+
+    const superseded = [];
+    for (const key of active.slice(0, excess)) {
+        if (await store.supersedeKey(key.keyId, { supersededAt: now, retiresAt: now + config.keyGracePeriod * 1000 })) {
+            superseded.push(key.keyId);
+        }
+    }
+    if (superseded.length > 0) logger.info('Superseded device keys', { deviceId, keyIds: superseded, keyGracePeriod: config.keyGracePeriod });
+    return superseded;
+}
+
+module.exports = {
+    isKeyRetired,
+    checkKeyLimit,
+    rotateKeys,
+    KEY_LIMIT_ROTATE,
+    KEY_LIMIT_REJECT
+}
@@ -0,0 +1,233 @@
+/**
+ * Metrics for attestation and assertion outcomes, challenges and storage latency.
+ *
+ * The library reports to a metrics recorder, which implements two methods:
+ *   increment(metric, labels)       - adds 1 to a counter
+ *   observe(metric, labels, value)  - records a value in a histogram
+ * where `metric` is one of the METRICS definitions `{ name, type, help, labelNames, buckets }`,
+ * so that another metrics client (prom-client, StatsD, OpenTelemetry) can create its
+ * own instruments from it. The default recorder is a PrometheusMetrics registry that
+ * renders the Prometheus text exposition format.
+ */
+
+const { logger } = require('./utils/Logger');
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const STORE_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+const METRICS = {
+    challenges: {
+        name: 'app_attest_challenges_issued_total',
+        type: 'counter',
+        help: 'Attestation nonces and assertion challenges issued.',
+        labelNames: ['purpose', 'tenant']
+    },
+    attestations: {
+        name: 'app_attest_attestations_total',
+        type: 'counter',
+        help: 'Attestation registrations by outcome, failure reason (error code) and environment.',
+        labelNames: ['outcome', 'reason', 'environment', 'tenant']
+    },
+    assertions: {
+        name: 'app_attest_assertions_total',
+        type: 'counter',
+        help: 'Assertion validations by outcome, failure reason (error code) and key environment.',
+        labelNames: ['outcome', 'reason', 'environment', 'tenant']
+    },
+    verificationDuration: {
+        name: 'app_attest_verification_duration_seconds',
+        type: 'histogram',
+        help: 'Duration of attestation registrations and assertion validations, storage included.',
+        labelNames: ['operation', 'outcome'],
+        buckets: DURATION_BUCKETS
+    },
+    storeDuration: {
+        name: 'app_attest_store_duration_seconds',
+        type: 'histogram',
+        help: 'Duration of storage adapter calls.',
+        labelNames: ['operation'],
+        buckets: STORE_BUCKETS
+    }
+};
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+const formatNumber = (value) => {
+    if (value === Infinity) return '+Inf';
+    return String(value);
+}
+
+/**
+ * In-process metrics registry rendering the Prometheus text exposition format (the default recorder).
+ */
+class PrometheusMetrics {
+    /**
+     * @param {Object} [options] - Registry options
+     * @param {Object} [options.defaultLabels] - Labels added to every series, e.g. `{ instance: 'api-1' }`
+     */
+    constructor(options = {}) {
+        this.defaultLabels = options.defaultLabels || {};
+        this.families = new Map();
+        for (const metric of Object.values(METRICS)) this.family(metric);
+    }
+
+    family(metric) {
+        if (!this.families.has(metric.name)) this.families.set(metric.name, { metric, series: new Map() });
+        return this.families.get(metric.name);
+    }
+
+    //Series are keyed by their label values in the order of labelNames; missing labels are empty
+    series(metric, labels, create) {
+        const family = this.family(metric);
+        const values = { ...this.defaultLabels };
+        for (const name of metric.labelNames) values[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name];
+
+        const key = JSON.stringify(values);
+        if (!family.series.has(key)) family.series.set(key, { labels: values, ...create() });
+        return family.series.get(key);
+    }
+
+    increment(metric, labels = {}, value = 1) {
+        this.series(metric, labels, () => ({ value: 0 })).value += value;
+    }
+
+    observe(metric, labels = {}, value) {
+        const buckets = metric.buckets || DURATION_BUCKETS;
+        const series = this.series(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * @returns {string} Every metric in the Prometheus text exposition format (version 0.0.4)
+     */
+    render() {
+        const lines = [];
+        for (const { metric, series } of this.families.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+
+            for (const sample of series.values()) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${formatLabels(sample.labels)} ${formatNumber(sample.value)}`);
+                    continue;
+                }
+
+                //Bucket counts are cumulative in the exposition format
+                const buckets = metric.buckets || DURATION_BUCKETS;
+                buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: formatNumber(bound) })} ${sample.counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Forgets every recorded value.
+     */
+    reset() {
+        for (const family of this.families.values()) family.series.clear();
+    }
+}
+
+const defaultMetrics = new PrometheusMetrics();
+
+/**
+ * @returns {function(): number} Returns the seconds elapsed since the timer was started
+ */
+const startTimer = () => {
+    const start = process.hrtime.bigint();
+    return () => Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+//A failing recorder must never fail the request it reports on
+const record = (recorder, method, metric, labels, value) => {
+    if (!recorder) return;
+    try {
+        recorder[method](metric, labels, value);
+    } catch (error) {
+        logger.error('Error recording metric', { error });
+    }
+}
+
+/**
+ * Counts an issued challenge.
+ * @param {Object} context - `{ metrics, tenant }` (a resolved configuration)
+ * @param {string} purpose - 'attestation' or 'assertion'
+ */
+const countChallenge = ({ metrics, tenant }, purpose) => {
+    record(metrics, 'increment', METRICS.challenges, { purpose, tenant });
+}
+
+/**
+ * Counts the outcome of an attestation registration or assertion validation and records its duration.
+ * @param {Object} context - `{ metrics, tenant }`
+ * @param {string} operation - 'attestation' or 'assertion'
+ * @param {Object} result - Result of registerDevice or verifyDeviceAssertion
+ * @param {number} seconds - Duration
+ */
+const recordOutcome = ({ metrics, tenant }, operation, result, seconds) => {
+    const outcome = result.error ? 'failure' : 'success';
+    const reason = result.error ? result.error.code || 'INTERNAL_ERROR' : 'none';
+    const environment = (!result.error && result.environment) || 'unknown';
+
+    record(metrics, 'increment', operation === 'attestation' ? METRICS.attestations : METRICS.assertions, { outcome, reason, environment, tenant });
+    record(metrics, 'observe', METRICS.verificationDuration, { operation, outcome }, seconds);
+}
+
+const instrumentedStores = new WeakMap();
+
+/**
+ * Wraps a storage adapter so that the duration of every asynchronous method call is recorded.
+ * The same store and recorder always give the same wrapper.
+ * @param {Object} store - Storage adapter
+ * @param {?Object} recorder - Metrics recorder (null returns the store itself)
+ * @returns {Object} Instrumented store
+ */
+const instrumentStore = (store, recorder) => {
+    if (!recorder || !store || typeof store !== 'object') return store;
+
+    if (!instrumentedStores.has(store)) instrumentedStores.set(store, new WeakMap());
+    const wrappers = instrumentedStores.get(store);
+    if (!wrappers.has(recorder)) {
+        wrappers.set(recorder, new Proxy(store, {
+            get(target, property) {
+                const value = Reflect.get(target, property);
+                if (typeof value !== 'function' || property === 'constructor') return value;
+
+                return (...args) => {
+                    const elapsed = startTimer();
+                    const result = value.apply(target, args);
+                    if (!result || typeof result.then !== 'function') return result;
+                    return result.finally(() => record(recorder, 'observe', METRICS.storeDuration, { operation: String(property) }, elapsed()));
+                }
+            }
+        }));
+    }
+    return wrappers.get(recorder);
+}
+
+module.exports = {
+    PrometheusMetrics,
+    defaultMetrics,
+    METRICS,
+    PROMETHEUS_CONTENT_TYPE,
+    startTimer,
+    countChallenge,
+    recordOutcome,
+    instrumentStore
+}
@@ -0,0 +1,152 @@
+const LRUCache = require('./utils/LRUCache');
+const { createError } = require('./Errors');
+const { logger } = require('./utils/Logger');
+
+/**
+ * Token bucket rate limiting of attestation challenges and registrations, per
+ * device ID and per client IP address.
+ *
+ * A bucket holds up to `capacity` tokens and regains one every `refillInterval`
+ * seconds; every request takes one. A rate limiter implements
+ *   consume(key, { capacity, refillInterval }) => Promise<{ allowed, remaining, retryAfter }>
+ * where `retryAfter` is the number of seconds until the next token (0 when allowed), and optionally
+ *   refund(key, { capacity, refillInterval }) => Promise<void>
+ * to give back a token taken for a request that another bucket then refused.
+ */
+
+const DEFAULT_RATE_LIMITS = {
+    nonce: {
+        device: { capacity: 10, refillInterval: 60 },
+        ip: { capacity: 100, refillInterval: 1 }
+    },
+    register: {
+        device: { capacity: 10, refillInterval: 60 },
+        ip: { capacity: 100, refillInterval: 1 }
+    }
+};
+
+const RATE_LIMIT_SCOPES = ['ip', 'device'];
+
+const isValidLimit = (limit) => Number.isFinite(limit.capacity) && limit.capacity >= 1
+    && Number.isFinite(limit.refillInterval) && limit.refillInterval > 0;
+
+//Seconds until a bucket holding `tokens` has a whole token again
+const secondsUntilToken = (tokens, refillInterval) => Math.max(1, Math.ceil((1 - tokens) * refillInterval));
+
+/**
+ * In-process rate limiter (default). Only counts the requests of a single server instance;
+ * when more than `maxEntries` buckets are in use, the least recently used ones start over full.
+ */
+class MemoryRateLimiter {
+    /**
+     * @param {Object} [options] - Limiter options
+     * @param {number} [options.maxEntries=10000] - Buckets kept before the least recently used are evicted
+     */
+    constructor(options = {}) {
+        this.buckets = new LRUCache({ maxEntries: options.maxEntries || 10000 });
+    }
+
+    async consume(key, { capacity, refillInterval }) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key);
+        const tokens = bucket
+            ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / (refillInterval * 1000))
+            : capacity;
+
+        if (tokens < 1) return { allowed: false, remaining: 0, retryAfter: secondsUntilToken(tokens, refillInterval) };
+
+        //The bucket is dropped once it would be full again, which is the same as never having been used
+        const remaining = tokens - 1;
+        this.buckets.set(key, { tokens: remaining, updatedAt: now }, (capacity - remaining) * refillInterval * 1000);
+        return { allowed: true, remaining: Math.floor(remaining), retryAfter: 0 };
+    }
+
+    async refund(key, { capacity, refillInterval }) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key);
+        if (!bucket) return;
+
+        const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / (refillInterval * 1000) + 1);
+        if (tokens >= capacity) this.buckets.delete(key);
+        else this.buckets.set(key, { tokens, updatedAt: now }, (capacity - tokens) * refillInterval * 1000);
+    }
+}
+
+/**
+ * Rate limiter backed by the storage adapter, shared by every instance that uses the same store.
+ */
+class StoreRateLimiter {
+    /**
+     * @param {Object} store - Storage adapter implementing takeToken, returnToken and purgeRateLimits
+     * @param {Object} [options] - Limiter options
+     * @param {number} [options.sweepInterval=60] - Minimum seconds between purges of full buckets
+     */
+    constructor(store, options = {}) {
+        if (!store || typeof store.takeToken !== 'function') {
+            throw new TypeError('StoreRateLimiter requires a store that implements takeToken');
+        }
+        this.store = store;
+        this.sweepInterval = options.sweepInterval !== undefined ? options.sweepInterval : 60;
+        this.lastSweep = 0;
+    }
+
+    async consume(key, limit) {
+        const now = Date.now();
+        if (this.sweepInterval && now - this.lastSweep >= this.sweepInterval * 1000) {
+            this.lastSweep = now;
+            this.store.purgeRateLimits(now).catch((error) => {
+                logger.error('Error purging rate limits', { error });
+            });
+        }
+
+        const { allowed, tokens } = await this.store.takeToken(key, limit, now);
+        if (!allowed) return { allowed, remaining: 0, retryAfter: secondsUntilToken(tokens, limit.refillInterval) };
+        return { allowed, remaining: Math.floor(tokens), retryAfter: 0 };
+    }
+
+    async refund(key, limit) {
+        await this.store.returnToken(key, limit, Date.now());
+    }
+}
+
+/**
+ * Takes a token from the buckets of the client IP address and of the device for an action.
+ * @param {Object} config - Resolved configuration (`rateLimiter`, `rateLimits`, `tenant`)
+ * @param {string} action - 'nonce' or 'register'
+ * @param {Object} client - `{ deviceId, clientIp }`; a missing value skips its bucket
+ * @returns {Promise<?AppAttestError>} RATE_LIMITED error with `retryAfter`, or null if the request may proceed
+ */
+const checkRateLimit = async (config, action, { deviceId, clientIp }) => {
+    if (!config.rateLimiter || !config.rateLimits) return null;
+
+    //Actions and scopes that are not configured keep their defaults; null disables them
+    const limits = { ...DEFAULT_RATE_LIMITS[action], ...config.rateLimits[action] };
+    const subjects = { ip: clientIp, device: deviceId };
+
+    const buckets = [];
+    for (const scope of RATE_LIMIT_SCOPES) {
+        const limit = limits[scope];
+        if (!limit || !subjects[scope]) continue;
+        if (!isValidLimit(limit)) {
+            return createError('INVALID_CONFIGURATION', `rateLimits.${action}.${scope} needs a capacity of at least 1 and a positive refillInterval`);
+        }
+        buckets.push({ scope, limit, key: `${config.tenant}:${action}:${scope}:${subjects[scope]}` });
+    }
+
+    const taken = [];
+    for (const { scope, limit, key } of buckets) {
+        const { allowed, retryAfter } = await config.rateLimiter.consume(key, limit);
+        if (!allowed) {
+            //A refused request must not use up the budget of the other buckets, e.g. of devices behind the same NAT
+            if (typeof config.rateLimiter.refund === 'function') {
+                await Promise.all(taken.map(bucket => config.rateLimiter.refund(bucket.key, bucket.limit)));
+            }
+            logger.warn('Rate limit exceeded', { action, scope, deviceId, clientIp, retryAfter });
+            return createError('RATE_LIMITED', `Too many ${action} requests per ${scope}.`, { retryAfter });
+        }
+        taken.push({ key, limit });
+    }
+    return null;
+}
+
+module.exports = { MemoryRateLimiter, StoreRateLimiter, checkRateLimit, DEFAULT_RATE_LIMITS }
@@ -0,0 +1,375 @@
+/**
+ * App Attest receipts. Every attestation carries a receipt: a PKCS#7 (CMS) structure
+ * signed by Apple that can later be exchanged with Apple's data endpoint for a fresh
+ * receipt, which adds a fraud risk metric (the number of attested keys for the device).
+ */
+
+const crypto = require('crypto');
+const { X509Certificate } = require('node:crypto');
+const asn1js = require('asn1js');
+const { AsnConvert, OctetString } = require('@peculiar/asn1-schema');
+const { ContentInfo, SignedData, id_signedData, id_messageDigest } = require('@peculiar/asn1-cms');
+const { resolveConfig } = require('./Config');
+const { createError, toAppAttestError } = require('./Errors');
+const { resolveApps, findAppById } = require('./Apps');
+const { logger } = require('./utils/Logger');
+
+
+//Official Apple Root Certificate for receipts. Found here: https://www.apple.com/certificateauthority/AppleRootCA-G3.cer
+//SHA-256 fingerprint: 63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79
+const Apple_Root_CA_G3 = `-----BEGIN CERTIFICATE-----
+MIICQzCCAcmgAwIBAgIILcX8iNLFS5UwCgYIKoZIzj0EAwMwZzEbMBkGA1UEAwwS
+QXBwbGUgUm9vdCBDQSAtIEczMSYwJAYDVQQLDB1BcHBsZSBDZXJ0aWZpY2F0aW9u
+IEF1dGhvcml0eTETMBEGA1UECgwKQXBwbGUgSW5jLjELMAkGA1UEBhMCVVMwHhcN
+MTQwNDMwMTgxOTA2WhcNMzkwNDMwMTgxOTA2WjBnMRswGQYDVQQDDBJBcHBsZSBS
+b290IENBIC0gRzMxJjAkBgNVBAsMHUFwcGxlIENlcnRpZmljYXRpb24gQXV0aG9y
+aXR5MRMwEQYDVQQKDApBcHBsZSBJbmMuMQswCQYDVQQGEwJVUzB2MBAGByqGSM49
+AgEGBSuBBAAiA2IABJjpLz1AcqTtkyJygRMc3RCV8cWjTnHcFBbZDuWmBSp3ZHtf
+TjjTuxxEtX/1H7YyYl3J6YRbTzBPEVoA/VhYDKX1DyxNB0cTddqXl5dvMVztK517
+IDvYuVTZXpmkOlEKMaNCMEAwHQYDVR0OBBYEFLuw3qFYM4iapIqZ3r6966/ayySr
+MA8GA1UdEwEB/wQFMAMBAf8wDgYDVR0PAQH/BAQDAgEGMAoGCCqGSM49BAMDA2gA
+MGUCMQCD6cHEFl4aXTQY2e3v9GwOAEZLuN+yRhHFD/3meoyhpmvOwgPUnPWTxnS4
+at+qIxUCMG1mihDK1A3UT82NQz60imOlM27jbdoXt2QfyFMm+YhidDkLF1vLUagM
+6BgD56KyKA==
+-----END CERTIFICATE-----`
+
+const SHA256_OID = '2.16.840.1.101.3.4.2.1'
+
+//Receipt payload fields (type numbers from Apple's "Assessing fraud risk")
+const RECEIPT_FIELDS = {
+    2: 'appId',
+    3: 'attestedCertificate',
+    4: 'clientHash',
+    5: 'token',
+    6: 'type',
+    12: 'createdAt',
+    17: 'riskMetric',
+    19: 'notBefore',
+    21: 'expiresAt'
+}
+const TEXT_FIELDS = ['appId', 'type', 'createdAt', 'riskMetric', 'notBefore', 'expiresAt']
+const DATE_FIELDS = ['createdAt', 'notBefore', 'expiresAt']
+
+const RECEIPT_TYPE_ATTEST = 'ATTEST'
+const RECEIPT_TYPE_RECEIPT = 'RECEIPT'
+
+//Apple requires attestation receipts to be used within five minutes of their creation
+const ATTESTATION_RECEIPT_MAX_AGE = 300
+const CLOCK_SKEW = 60
+
+const REFRESH_BASE_URLS = {
+    production: 'https://data.appattest.apple.com',
+    development: 'https://data-development.appattest.apple.com'
+}
+const REFRESH_PATH = '/v1/attestationData'
+
+
+//Failure result of validateReceipt, shaped like the failures of validateAttestation
+const receiptFailure = (reason) => ({
+    result: false,
+    reason,
+    code: 'RECEIPT_INVALID',
+    error: createError('RECEIPT_INVALID', reason)
+})
+
+const toBuffer = (value) => Buffer.from(value instanceof ArrayBuffer ? new Uint8Array(value) : value)
+
+/**
+ * Decodes the receipt payload: a SET of SEQUENCE { type INTEGER, version INTEGER, value OCTET STRING }.
+ */
+const decodePayload = (content) => {
+    const { result, offset } = asn1js.fromBER(new Uint8Array(content))
+    if (offset === -1 || !(result instanceof asn1js.Set)) throw new Error('Receipt payload is not an ASN.1 set')
+
+    const fields = {}
+    for (const entry of result.valueBlock.value) {
+        const [type, , value] = entry.valueBlock.value || []
+        const name = type && RECEIPT_FIELDS[type.valueBlock.valueDec]
+        if (!name || !(value instanceof asn1js.OctetString)) continue
+
+        const bytes = Buffer.from(value.valueBlock.valueHexView)
+        fields[name] = TEXT_FIELDS.includes(name) ? bytes.toString('utf8') : bytes
+    }
+
+    for (const name of DATE_FIELDS) {
+        if (fields[name] !== undefined) fields[name] = new Date(fields[name]).getTime()
+    }
+    if (fields.riskMetric !== undefined) fields.riskMetric = Number(fields.riskMetric)
+    return fields
+}
+
+//Apple encodes the content as a constructed OCTET STRING: the bytes are split over nested chunks
+const chunkValue = (block) => block.valueBlock.isConstructed
+    ? Buffer.concat(block.valueBlock.value.map(chunkValue))
+    : Buffer.from(block.valueBlock.valueHexView)
+
+const octetStringValue = (der) => {
+    const { result, offset } = asn1js.fromBER(new Uint8Array(der))
+    if (offset === -1 || !(result instanceof asn1js.OctetString)) throw new Error('Receipt content is not an OCTET STRING')
+    return chunkValue(result)
+}
+
+/**
+ * Decodes a receipt without verifying it.
+ * @param {Buffer|string} receipt - DER receipt, or its base64 encoding
+ * @returns {Object} `{ fields, content, certificates, signerInfo }`
+ * @throws {Error} When the receipt is not a CMS SignedData structure
+ */
+const decodeReceipt = (receipt) => {
+    const der = Buffer.isBuffer(receipt) ? receipt : Buffer.from(receipt, 'base64')
+    const contentInfo = AsnConvert.parse(der, ContentInfo)
+    if (contentInfo.contentType !== id_signedData) throw new Error('Receipt is not a CMS SignedData structure')
+
+    const signedData = AsnConvert.parse(contentInfo.content, SignedData)
+    const eContent = signedData.encapContentInfo.eContent
+    const content = eContent && (eContent.single ? toBuffer(eContent.single.buffer) : eContent.any && octetStringValue(toBuffer(eContent.any)))
+    if (!content) throw new Error('Receipt has no content')
+
+    const certificates = (signedData.certificates || [])
+        .filter(choice => choice.certificate)
+        .map(choice => new X509Certificate(toBuffer(AsnConvert.serialize(choice.certificate))))
+
+    return { fields: decodePayload(content), content, certificates, signerInfo: signedData.signerInfos[0] }
+}
+
+/**
+ * Verifies the CMS signature and returns the signing certificate, or a failure reason.
+ */
+const verifySignature = ({ content, certificates, signerInfo }) => {
+    if (!signerInfo) return { reason: 'Receipt has no signer.' }
+    if (signerInfo.digestAlgorithm.algorithm !== SHA256_OID) return { reason: 'Receipt is not signed with SHA-256.' }
+
+    //Apple signs the content itself; with signed attributes the signature covers them instead
+    let signedBytes = content
+    if (signerInfo.signedAttrs) {
+        const messageDigest = signerInfo.signedAttrs.find(attribute => attribute.attrType === id_messageDigest)
+        const digest = messageDigest && toBuffer(AsnConvert.parse(messageDigest.attrValues[0], OctetString).buffer)
+        if (!digest || !digest.equals(crypto.createHash('sha256').update(content).digest())) {
+            return { reason: 'Receipt content does not match its signed digest.' }
+        }
+
+        //The signature covers the attributes encoded as a DER SET OF, not their implicit [0] encoding
+        signedBytes = Buffer.from(new asn1js.Set({
+            value: signerInfo.signedAttrs.map(attribute => asn1js.fromBER(AsnConvert.serialize(attribute)).result)
+        }).toBER())
+    }
+    const signature = toBuffer(signerInfo.signature.buffer)
+
+    const signer = certificates.find(cert => crypto.verify('sha256', signedBytes, cert.publicKey, signature))
+    return signer ? { signer } : { reason: 'Receipt signature could not be verified.' }
+}
+
+/**
+ * Walks from the signing certificate to a trusted root, using the certificates in the receipt.
+ */
+const verifyChain = (signer, certificates, roots, now, clockSkew) => {
+    const tolerance = clockSkew * 1000
+    const chain = [signer]
+    let current = signer
+
+    while (chain.length <= certificates.length + 1) {
+        if (now.getTime() + tolerance < new Date(current.validFrom).getTime() || now.getTime() - tolerance > new Date(current.validTo).getTime()) {
+            return `Receipt certificate '${current.subject.replace(/\n/g, ', ')}' is outside its validity period.`
+        }
+
+        if (roots.some(root => current.checkIssued(root) && current.verify(root.publicKey))) return null
+
+        const issuer = certificates.find(cert => !chain.includes(cert) && current.checkIssued(cert) && current.verify(cert.publicKey))
+        if (!issuer) break
+        chain.push(issuer)
+        current = issuer
+    }
+    return 'Receipt certificate chain does not lead to the Apple Root CA - G3.'
+}
+
+/**
+ * Validates an App Attest receipt as described in Apple's "Assessing fraud risk":
+ * 1. Verifies the PKCS#7 signature and that its certificate chain leads to the Apple Root CA - G3
+ * 2. Checks the App ID against your team and bundle identifier
+ * 3. Checks the creation time (and, optionally, its age)
+ * 4. Checks the receipt type, and the attested certificate when given
+ *
+ * @param {Buffer|string} receipt - DER receipt, or its base64 encoding
+ * @param {Object} expected - Expected values
+ * @param {string} expected.appId - `TEAMID.bundle.identifier`
+ * @param {string} [expected.type] - 'ATTEST' for attestation receipts, 'RECEIPT' for refreshed ones
+ * @param {Buffer} [expected.attestedCertificate] - DER credential certificate from the attestation
+ * @param {number} [expected.maxAge] - Maximum age of the receipt in seconds
+ * @param {Date} [expected.now] - Reference time
+ * @param {number} [expected.clockSkew=60] - Seconds a certificate may be outside its validity period, and the creation time ahead of `now`
+ * @param {string[]} [expected.rootCertificates] - PEM trust anchors (defaults to the Apple Root CA - G3)
+ * @returns {Object} `{ result: true, receipt }` with the decoded fields, or `{ result: false, reason, code, error }`
+ */
+const validateReceipt = (receipt, expected = {}) => {
+    const now = expected.now || new Date()
+    const clockSkew = expected.clockSkew !== undefined ? expected.clockSkew : CLOCK_SKEW
+
+    let decoded
+    try {
+        decoded = decodeReceipt(receipt)
+    } catch (error) {
+        return receiptFailure(`Receipt could not be decoded: ${error.message}`)
+    }
+    const { fields } = decoded
+
+    const { signer, reason } = verifySignature(decoded)
+    if (!signer) return receiptFailure(reason)
+
+    const roots = (expected.rootCertificates || [Apple_Root_CA_G3]).map(pem => new X509Certificate(pem))
+    const chainProblem = verifyChain(signer, decoded.certificates, roots, now, clockSkew)
+    if (chainProblem) return receiptFailure(chainProblem)
+
+    if (fields.appId !== expected.appId) return receiptFailure('Receipt App ID does not match your App ID.')
+
+    if (!Number.isFinite(fields.createdAt)) return receiptFailure('Receipt has no creation time.')
+    if (fields.createdAt > now.getTime() + clockSkew * 1000) return receiptFailure('Receipt creation time is in the future.')
+    if (expected.maxAge && now.getTime() - fields.createdAt > expected.maxAge * 1000) {
+        return receiptFailure('Receipt is too old.')
+    }
+
+    if (expected.type && fields.type !== expected.type) {
+        return receiptFailure(`Receipt type is '${fields.type}', expected '${expected.type}'.`)
+    }
+
+    if (expected.attestedCertificate && !(fields.attestedCertificate && fields.attestedCertificate.equals(expected.attestedCertificate))) {
+        return receiptFailure('Receipt does not belong to the attested key.')
+    }
+
+    return { result: true, receipt: fields }
+}
+
+/**
+ * Shapes a validated receipt for `store.saveReceipt`.
+ * @param {Buffer|string} receipt - DER receipt, or its base64 encoding
+ * @param {Object} fields - Decoded fields returned by validateReceipt
+ * @returns {Object} Stored receipt record
+ */
+const receiptRecord = (receipt, fields) => ({
+    receipt: Buffer.isBuffer(receipt) ? receipt.toString('base64') : receipt,
+    type: fields.type,
+    createdAt: fields.createdAt ?? null,
+    notBefore: fields.notBefore ?? null,
+    expiresAt: fields.expiresAt ?? null,
+    riskMetric: fields.riskMetric ?? null,
+    updatedAt: Date.now()
+})
+
+const base64urlJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url')
+
+/**
+ * Creates the ES256 JWT that authenticates requests to Apple's data endpoint.
+ */
+const createAuthorizationToken = (teamId, keyId, privateKey, now) => {
+    const header = base64urlJson({ alg: 'ES256', kid: keyId })
+    const payload = base64urlJson({ iss: teamId, iat: Math.floor(now / 1000) })
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+    return `${header}.${payload}.${signature.toString('base64url')}`
+}
+
+//Default HTTP client, based on the global fetch of Node.js 18+
+const fetchClient = async ({ url, method, headers, body }) => {
+    const response = await fetch(url, { method, headers, body })
+    return { status: response.status, body: await response.text() }
+}
+
+const refreshSummary = (keyId, record, refreshed) => ({
+    keyId,
+    riskMetric: record.riskMetric,
+    createdAt: record.createdAt,
+    notBefore: record.notBefore,
+    expiresAt: record.expiresAt,
+    refreshed
+})
+
+/**
+ * Exchanges the stored receipt of a key for a fresh one at Apple's data endpoint,
+ * and records the new receipt and its risk metric. Apple only issues a new receipt
+ * after the stored one's `notBefore` time; before that the stored values are returned.
+ *
+ * @param {string} keyId - Registered key identifier
+ * @param {Object} config - `{ teamId, bundleIdentifier }` (or the configured `apps`) plus configuration overrides
+ * @param {string} [config.receiptKeyId] - ID of the Apple private key used to sign requests (apps may set their own)
+ * @param {string|KeyObject} [config.receiptPrivateKey] - That private key (PEM from the .p8 file)
+ * @param {string} [config.receiptBaseUrl] - Endpoint base URL (defaults to Apple's, for the environment the key was attested in)
+ * @param {string[]} [config.receiptRootCertificates] - PEM trust anchors for the refreshed receipt
+ * @param {function(Object): Promise<Object>} [config.httpClient] - `({ url, method, headers, body }) => Promise<{ status, body }>`
+ * @returns {Promise<Object>} `{ keyId, riskMetric, createdAt, notBefore, expiresAt, refreshed }`, or `{ error: AppAttestError }` on failure
+ *
+ * @example
+ * const result = await refreshReceipt(keyId, { teamId, bundleIdentifier, receiptKeyId: 'ABC123DEFG', receiptPrivateKey: fs.readFileSync('AuthKey.p8') });
+ * if (!result.error && result.riskMetric > 5) flagDevice(keyId);
+ */
+const refreshReceipt = async (keyId, config = {}) => {
+    const { teamId, bundleIdentifier, devMode, ...options } = config
+
+    try {
+        const settings = resolveConfig(options)
+        const { apps, error } = resolveApps(teamId, bundleIdentifier, devMode, settings)
+        if (error) return { error }
+
+        const stored = keyId ? await settings.store.loadReceipt(keyId) : null
+        if (!stored) return { error: createError('RECEIPT_NOT_FOUND', `No receipt stored for key ${keyId}`) }
+
+        //The stored receipt was validated at registration, so its App ID tells which app (and Apple key) to use,
+        //and its attested certificate which key a refreshed receipt must belong to
+        const { appId, attestedCertificate } = decodeReceipt(stored.receipt).fields
+        const app = findAppById(apps, appId)
+        if (!app) return { error: createError('INVALID_CONFIGURATION', `App ID ${appId} is not configured`) }
+
+        const receiptKeyId = app.receiptKeyId || settings.receiptKeyId
+        const receiptPrivateKey = app.receiptPrivateKey || settings.receiptPrivateKey
+        if (!receiptKeyId || !receiptPrivateKey) {
+            return { error: createError('INVALID_CONFIGURATION', 'receiptKeyId and receiptPrivateKey are required to refresh receipts') }
+        }
+
+        const now = Date.now()
+        if (stored.notBefore && now < stored.notBefore) return refreshSummary(keyId, stored, false)
+
+        //Receipts stored before environments were recorded follow the app's policy
+        const environment = stored.environment || (app.environment === 'development' ? 'development' : 'production')
+        const baseUrl = settings.receiptBaseUrl || REFRESH_BASE_URLS[environment]
+        const httpClient = settings.httpClient || fetchClient
+        const response = await httpClient({
+            url: baseUrl + REFRESH_PATH,
+            method: 'POST',
+            headers: { Authorization: createAuthorizationToken(app.teamId, receiptKeyId, receiptPrivateKey, now) },
+            body: stored.receipt
+        })
+
+        //304: the stored receipt is still current
+        if (response.status === 304) return refreshSummary(keyId, stored, false)
+        if (response.status !== 200) {
+            return { error: createError('RECEIPT_REFRESH_FAILED', `Apple's data endpoint responded with status ${response.status}`) }
+        }
+
+        const receipt = String(response.body).trim()
+        const validation = validateReceipt(receipt, {
+            appId: app.appId,
+            type: RECEIPT_TYPE_RECEIPT,
+            attestedCertificate,
+            rootCertificates: settings.receiptRootCertificates,
+            clockSkew: settings.clockSkew
+        })
+        if (!validation.result) {
+            logger.warn('Refreshed receipt could not be validated', { keyId, reason: validation.reason })
+            return { error: createError('RECEIPT_REFRESH_FAILED', validation.reason) }
+        }
+
+        const record = { ...receiptRecord(receipt, validation.receipt), environment: stored.environment || null }
+        await settings.store.saveReceipt(keyId, record)
+        return refreshSummary(keyId, record, true)
+    } catch (error) {
+        logger.error('Error refreshing receipt', { error })
+        return { error: toAppAttestError(error) }
+    }
+}
+
+module.exports = {
+    validateReceipt,
+    decodeReceipt,
+    receiptRecord,
+    refreshReceipt,
+    RECEIPT_TYPE_ATTEST,
+    RECEIPT_TYPE_RECEIPT,
+    ATTESTATION_RECEIPT_MAX_AGE
+}
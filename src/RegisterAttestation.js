@@ -1,69 +1,199 @@
 const crypto = require('crypto');
-const dbQuery = require("./utils/SQLiteHelper")
-const { validateAttestation } = require("./AttestationValidator")
-const { validateAttestationBody, validateHeaders, sanitizeInput } = require('./utils/InputValidator')
-
-const registerAttestation = async (req, teamId, bundleIdentifier, DEV_MODE = false) => {
-    if (!req) return { error: 'Request object is required' }
-    if (!teamId) return { error: 'Team ID is required' }
-    if (!bundleIdentifier) return { error: 'Bundle identifier is required' }
-    if (typeof teamId !== 'string' || teamId.length !== 10) {
-        return { error: 'Team ID must be a 10-character string' }
-    }
-    if (typeof bundleIdentifier !== 'string' || !bundleIdentifier.includes('.')) {
-        return { error: 'Bundle identifier must be a valid reverse domain string' }
+const { resolveConfig, getMetrics } = require("./Config")
+const { consumeChallenge, CHALLENGE_EXPIRED, CHALLENGE_UNKNOWN } = require("./Challenges")
+const { validateAttestation, attestedRpIdHash, attestedChallenge } = require("./AttestationValidator")
+const { resolveApps, findAppByRpIdHash } = require("./Apps")
+const { validateReceipt, decodeReceipt, receiptRecord, RECEIPT_TYPE_ATTEST, ATTESTATION_RECEIPT_MAX_AGE } = require("./Receipt")
+const { validateAttestationInput, sanitizeInput } = require('./utils/InputValidator')
+const { createError, toAppAttestError } = require('./Errors')
+const { attestationInput, clientIpOf } = require('./utils/RequestValues')
+const { isDeviceRevoked } = require('./Devices')
+const { reportAnomaly, ANOMALY_KEY_CONFLICT } = require('./Anomalies')
+const { checkRateLimit } = require('./RateLimiter')
+const { logger } = require('./utils/Logger')
+const { startTimer, recordOutcome } = require('./Metrics')
+const { recordAuditEvent, AUDIT_ATTESTATION } = require('./AuditLog')
+const { forgetPublicKey } = require('./KeyCache')
+const { checkKeyLimit, rotateKeys } = require('./KeyRotation')
+
+/**
+ * Validates the receipt of a valid attestation.
+ * @returns {Object} `{ fields }` of a valid receipt, or `{ error }` plus the `fields` of a receipt that
+ * could be decoded, which is then stored unverified unless `requireReceipt` is set
+ */
+const checkReceipt = (attestationResult, app, config, now) => {
+    const receipt = attestationResult.receipt
+    if (!receipt) return { error: createError('RECEIPT_INVALID', 'Attestation has no receipt.') }
+
+    const receiptResult = validateReceipt(receipt, {
+        appId: app.appId,
+        type: RECEIPT_TYPE_ATTEST,
+        attestedCertificate: attestationResult.credCertificate,
+        maxAge: ATTESTATION_RECEIPT_MAX_AGE,
+        rootCertificates: config.receiptRootCertificates,
+        now,
+        clockSkew: config.clockSkew
+    })
+    if (receiptResult.result) return { fields: receiptResult.receipt }
+
+    try {
+        const { fields } = decodeReceipt(receipt)
+        return { error: receiptResult.error, fields: fields.type ? fields : undefined }
+    } catch (error) {
+        return { error: receiptResult.error }
     }
+}
 
+/**
+ * Registers a device attestation from plain values (framework independent).
+ *
+ * @param {Object} input - Attestation values
+ * @param {string} input.deviceId - Unique device identifier from client
+ * @param {string} input.keyId - Base64 key identifier generated on the device
+ * @param {string} input.attestationObject - Base64-encoded CBOR attestation object
+ * @param {string} [input.clientIp] - Client IP address, for the per-IP rate limit
+ * @param {string} [teamId] - 10-character Apple Developer Team ID (omit to accept the configured `apps`)
+ * @param {string} [bundleIdentifier] - App bundle identifier
+ * @param {boolean|string} [DEV_MODE] - Environment policy: 'production', 'development' or 'either' (true is 'development',
+ * false 'production'); defaults to the configured `environment`
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ deviceId, keyId, appId, environment, supersededKeys }` on success (the App ID and environment the key
+ * was attested for, and the IDs of the device's keys it superseded, see KeyRotation.js), or `{ error: AppAttestError }` on failure
+ */
+const registerDevice = async (input, teamId, bundleIdentifier, DEV_MODE, options = {}) => {
+    const elapsed = startTimer()
+    const result = await attestDevice(input, teamId, bundleIdentifier, DEV_MODE, options)
+    recordOutcome(getMetrics(options), 'attestation', result, elapsed())
+
+    const { deviceId, keyId, clientIp } = input || {}
+    await recordAuditEvent(options, { type: AUDIT_ATTESTATION, deviceId, keyId, clientIp }, result)
+    return result
+}
+
+const attestDevice = async (input, teamId, bundleIdentifier, DEV_MODE, options = {}) => {
     try {
-        // Validate request body
-        const bodyValidation = validateAttestationBody(req.body);
-        if (!bodyValidation.isValid) {
-            return { error: `Invalid request body: ${bodyValidation.errors.join(', ')}` }
-        }
+        const config = resolveConfig(options)
+        const { apps, error } = resolveApps(teamId, bundleIdentifier, DEV_MODE, config)
+        if (error) return { error }
 
-        // Validate headers
-        const headerValidation = validateHeaders(req.headers);
-        if (!headerValidation.isValid) {
-            return { error: `Invalid headers: ${headerValidation.errors.join(', ')}` }
+        // Validate input
+        const inputValidation = validateAttestationInput(input);
+        if (!inputValidation.isValid) {
+            return { error: createError('INVALID_INPUT', `Invalid input: ${inputValidation.errors.join(', ')}`) }
         }
 
-        const { keyId, attestationObject } = req.body
-        const deviceId = sanitizeInput(req.headers['device-id'], { maxLength: 64, allowedChars: 'a-zA-Z0-9-' })
+        const { keyId, attestationObject } = input
+        const deviceId = sanitizeInput(input.deviceId, { maxLength: 64, allowedChars: 'a-zA-Z0-9-' })
 
         if (!keyId || !attestationObject || !deviceId) {
-            return { error: 'Missing required fields: keyId, attestationObject, device-id' }
+            return { error: createError('INVALID_INPUT', 'Missing required fields: keyId, attestationObject, device-id') }
         }
 
-        const nonceQuery = await dbQuery(`SELECT nonce FROM attestations WHERE deviceId = ?`, [deviceId])
+        //Registration attempts are rate limited per device and IP address, whatever their outcome
+        const rateLimited = await checkRateLimit(config, 'register', { deviceId, clientIp: input.clientIp })
+        if (rateLimited) return { error: rateLimited }
 
-        if (!nonceQuery[0] || !nonceQuery[0].nonce) {
-            console.error('Error: Invalid or missing nonce for device:', deviceId)
-            return { error: 'Device not found or nonce expired. Please request a new nonce.' }
+        const store = config.store
+        if (!config.allowRevokedReattestation && await isDeviceRevoked(store, deviceId)) {
+            logger.warn('Attestation from revoked device', { deviceId })
+            return { error: createError('DEVICE_REVOKED', 'Device has revoked keys and may not attest again.') }
         }
 
-        const attestationResult = validateAttestation(nonceQuery[0].nonce, keyId, attestationObject, teamId, bundleIdentifier, DEV_MODE)
-        if (!attestationResult.result) {
+        //Refused before the challenge is burned, since attesting again would not help
+        const keyLimitError = await checkKeyLimit(config, deviceId)
+        if (keyLimitError) {
+            logger.warn('Device cannot register another key', { deviceId, code: keyLimitError.code, reason: keyLimitError.reason })
+            return { error: keyLimitError }
+        }
 
-            if (attestationResult?.reason) {
-                console.error(`Error: Attestation could not be validated - ${attestationResult.reason}`)
-            } else {
-                console.error('Error: Attestation could not be validated.')
-            }
-        
-            return { error: 'Attestation could not be validated.' } //Validation failed
+        //A device may hold several pending challenges, since requesting one does not cancel the
+        //others; the attestation tells which one it answers, and only that one is burned
+        const pending = await store.listChallenges(deviceId, 'attestation')
+        const answered = pending.length > 0 ? attestedChallenge(attestationObject, pending.map(({ nonce }) => nonce)) : {}
+        if (answered.error) {
+            logger.warn('Attestation does not answer a pending challenge', { deviceId, keyId, code: answered.error.code })
+            return { error: answered.error }
+        }
+
+        //The challenge is burned here, before validation, so it can never be presented twice
+        const { status, challenge } = answered.nonce
+            ? await consumeChallenge(store, deviceId, 'attestation', answered.nonce)
+            : { status: CHALLENGE_UNKNOWN, challenge: null }
+
+        if (status === CHALLENGE_UNKNOWN) {
+            logger.warn('Unknown attestation challenge', { deviceId })
+            return { error: createError('CHALLENGE_UNKNOWN', 'Unknown attestation challenge.', { clientMessage: 'Unknown challenge. Please request a new nonce.' }) }
+        }
+
+        if (status === CHALLENGE_EXPIRED) {
+            logger.warn('Expired attestation challenge', { deviceId })
+            return { error: createError('CHALLENGE_EXPIRED', 'Expired attestation challenge.', { clientMessage: 'Challenge expired. Please request a new nonce.' }) }
+        }
+
+        //With several accepted apps, the RP ID hash tells which one the key belongs to;
+        //if none matches, validating against the first one reports the mismatch
+        const app = findAppByRpIdHash(apps, attestedRpIdHash(attestationObject)) || apps[0]
+
+        //The receipt is checked at the same verification time as the attestation
+        const now = config.verificationTime ? new Date(config.verificationTime) : undefined
+        const attestationResult = validateAttestation(challenge.nonce, keyId, attestationObject, app.teamId, app.bundleIdentifier, app.environment, {
+            rootCertificates: config.attestationRootCertificates,
+            now,
+            clockSkew: config.clockSkew
+        })
+        if (!attestationResult.result) {
+            logger.warn('Attestation could not be validated', { deviceId, keyId, code: attestationResult.code, reason: attestationResult.reason })
+            return { error: attestationResult.error } //Validation failed
         }
 
         const publicKeyPEM = attestationResult.publicKeyPEM
 
-    
+        //The receipt is kept with the key so that it can be exchanged for fraud metrics later (see refreshReceipt)
+        const receiptResult = checkReceipt(attestationResult, app, config, now)
+        if (receiptResult.error) {
+            logger.warn('Attestation receipt could not be validated', { deviceId, keyId, reason: receiptResult.error.reason, requireReceipt: config.requireReceipt })
+            if (config.requireReceipt) return { error: receiptResult.error }
+        }
+
+
+        //The attestation proves possession of the key, so a key registered for another device is a copy
+        const existingKey = await store.findKey(keyId)
+        if (existingKey && existingKey.deviceId !== deviceId) {
+            logger.warn('Key is already registered for another device', { deviceId, keyId })
+            await reportAnomaly(config, { type: ANOMALY_KEY_CONFLICT, keyId, deviceId: existingKey.deviceId, details: { attestingDeviceId: deviceId } })
+            return { error: createError('KEY_CONFLICT', 'Key is already registered for another device.') }
+        }
+        if (existingKey) {
+            const code = existingKey.quarantinedAt ? 'KEY_QUARANTINED' : existingKey.revokedAt ? 'KEY_REVOKED' : 'KEY_CONFLICT'
+            logger.warn('Key is already registered', { deviceId, keyId, code })
+            return { error: createError(code, 'Key is already registered.') }
+        }
+
         //Save public key PEM to db and keyId for later use:
-        await dbQuery(`UPDATE attestations SET publicKey = ?, keyId = ?, updatedAt = CURRENT_TIMESTAMP WHERE deviceId = ?`, [publicKeyPEM, keyId, deviceId])
+        const environment = attestationResult.environment
+        await store.saveKey(deviceId, keyId, publicKeyPEM, { appId: app.appId, environment })
+        forgetPublicKey(keyId)
+        if (receiptResult.fields) {
+            await store.saveReceipt(keyId, { ...receiptRecord(attestationResult.receipt, receiptResult.fields), environment })
+        }
 
-        return true
+        //Only now that the new key works do the device's older keys make way for it
+        const supersededKeys = await rotateKeys(config, deviceId)
+
+        return { deviceId, keyId, appId: app.appId, environment, supersededKeys }
     } catch (error) {
-        console.error('Error: Could not registering attestation: ', error)
-        return { error: error }
+        logger.error('Could not register attestation', { error })
+        return { error: toAppAttestError(error) }
     }
 }
 
-module.exports = registerAttestation
\ No newline at end of file
+const registerAttestation = async (req, teamId, bundleIdentifier, DEV_MODE, options = {}) => {
+    if (!req) return { error: createError('INVALID_INPUT', 'Request object is required') }
+
+    const input = { ...attestationInput(req.headers, req.body), clientIp: clientIpOf(req) }
+    const result = await registerDevice(input, teamId, bundleIdentifier, DEV_MODE, options)
+    return result.error ? result : true
+}
+
+//registerAttestation stays the module's export, as before registerDevice was added
+module.exports = Object.assign(registerAttestation, { registerAttestation, registerDevice })
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const decodeCborObject = require('./utils/CBORDecoder');
+const LRUCache = require('./utils/LRUCache');
+const { logger } = require('./utils/Logger');
+
+/**
+ * Replay caches remember every accepted assertion for the length of the freshness
+ * window and reject exact duplicates, even when they arrive concurrently.
+ *
+ * A replay cache implements a single method:
+ *   checkAndRecord(fingerprint, ttl) => Promise<boolean>
+ * which resolves true the first time a fingerprint is seen within `ttl` seconds.
+ */
+
+/**
+ * Computes the replay fingerprint of an assertion: SHA256 over keyId, authenticatorData and signature.
+ * @param {string} keyId - Base64 key identifier
+ * @param {string} assertion - Base64url-encoded CBOR assertion (the `signature` header)
+ * @returns {?string} Hex fingerprint, or null if the assertion cannot be decoded
+ */
+const assertionFingerprint = (keyId, assertion) => {
+    const decoded = decodeCborObject(assertion);
+    if (!decoded || !decoded.authenticatorData || !decoded.signature) return null;
+
+    return crypto.createHash('sha256')
+        .update(Buffer.from(keyId, 'base64'))
+        .update(decoded.authenticatorData)
+        .update(decoded.signature)
+        .digest('hex');
+}
+
+/**
+ * In-process replay cache (default). Only protects a single server instance.
+ */
+class MemoryReplayCache {
+    /**
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.maxEntries=10000] - Fingerprints kept before the oldest are evicted
+     */
+    constructor(options = {}) {
+        this.cache = new LRUCache({ maxEntries: options.maxEntries || 10000 });
+    }
+
+    async checkAndRecord(fingerprint, ttl) {
+        if (this.cache.has(fingerprint)) return false;
+        this.cache.set(fingerprint, true, ttl * 1000);
+        return true;
+    }
+}
+
+/**
+ * Replay cache backed by the storage adapter, shared by every instance that uses the same store.
+ */
+class StoreReplayCache {
+    /**
+     * @param {Object} store - Storage adapter implementing recordAssertion and purgeAssertions
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.sweepInterval=60] - Minimum seconds between purges of expired fingerprints
+     */
+    constructor(store, options = {}) {
+        if (!store || typeof store.recordAssertion !== 'function') {
+            throw new TypeError('StoreReplayCache requires a store that implements recordAssertion');
+        }
+        this.store = store;
+        this.sweepInterval = options.sweepInterval !== undefined ? options.sweepInterval : 60;
+        this.lastSweep = 0;
+    }
+
+    async checkAndRecord(fingerprint, ttl) {
+        const now = Date.now();
+        if (this.sweepInterval && now - this.lastSweep >= this.sweepInterval * 1000) {
+            this.lastSweep = now;
+            this.store.purgeAssertions(now).catch((error) => {
+                logger.error('Error purging replay cache', { error });
+            });
+        }
+        return this.store.recordAssertion(fingerprint, now + ttl * 1000, now);
+    }
+}
+
+module.exports = { assertionFingerprint, MemoryReplayCache, StoreReplayCache }
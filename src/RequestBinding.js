@@ -0,0 +1,92 @@
+/**
+ * Request binding: with `requestBinding` enabled, the signed clientData must also
+ * cover the HTTP method, the request target (path and query) and a digest of the
+ * raw request body, so that a signed request cannot be replayed against another
+ * route or with another body.
+ *
+ * The server adds these entries to the clientData it rebuilds from the headers:
+ *   '@method'         - Request method in upper case, e.g. 'POST'
+ *   '@request-target' - Path and query exactly as received, e.g. '/api/orders?draft=1'
+ *   'content-digest'  - SHA-256 digest of the raw body in the format of the RFC 9530
+ *                       Content-Digest header: `sha-256=:<base64>:` (also for an empty body)
+ */
+
+const { computeSHA256Base64 } = require('./utils/SHA256Compute');
+const { createError } = require('./Errors');
+
+/**
+ * @param {Buffer|string} body - Raw request body (strings are UTF-8 encoded)
+ * @returns {string} Content-Digest value with the SHA-256 of the body
+ */
+const contentDigest = (body) => `sha-256=:${computeSHA256Base64(body || '')}:`
+
+/**
+ * Reads the digests of a Content-Digest header (RFC 9530), a dictionary such as
+ * `sha-256=:X48E9q...=:, sha-512=:WZDP...=:`.
+ * @param {string} header - Content-Digest header value
+ * @returns {Object} Base64 digests by lowercase algorithm name
+ */
+const parseContentDigest = (header) => {
+    const digests = {};
+    for (const member of String(header).split(',')) {
+        const match = member.trim().match(/^([a-z0-9-]+)=:([A-Za-z0-9+/=]*):$/i);
+        if (match) digests[match[1].toLowerCase()] = match[2];
+    }
+    return digests;
+}
+
+/**
+ * Adds the bound request values to the clientData rebuilt from the headers. A
+ * Content-Digest header sent by the client must match the body as well.
+ *
+ * @param {Object} clientData - Key-value pairs from the headers named in assertion-inputs
+ * @param {Object} request - `{ method, path, body, contentDigest }` of the incoming request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path and query as received
+ * @param {Buffer|string|null} [request.body] - Raw body; undefined if the integration could not capture it,
+ *   null if it was too large to read
+ * @param {string} [request.contentDigest] - Content-Digest header, if any
+ * @returns {Object} `{ clientData }` including the bound values, or `{ error: AppAttestError }`
+ */
+const bindRequest = (clientData, request) => {
+    if (!request || !request.method || !request.path) {
+        return { error: createError('INVALID_CONFIGURATION', 'requestBinding needs the request method and path') }
+    }
+    if (request.body === undefined) {
+        return { error: createError('INVALID_CONFIGURATION', 'requestBinding needs the raw request body; see the README on capturing it') }
+    }
+    if (request.body === null) {
+        return { error: createError('INVALID_INPUT', 'Request body is too large to be verified') }
+    }
+
+    const digest = contentDigest(request.body)
+    if (request.contentDigest) {
+        const claimed = parseContentDigest(request.contentDigest)['sha-256']
+        if (claimed !== undefined && `sha-256=:${claimed}:` !== digest) {
+            return { error: createError('CONTENT_DIGEST_MISMATCH', 'Content-Digest header does not match the request body') }
+        }
+    }
+
+    return {
+        clientData: {
+            ...clientData,
+            '@method': String(request.method).toUpperCase(),
+            '@request-target': request.path,
+            'content-digest': digest
+        }
+    }
+}
+
+/**
+ * Request values of a node:http style request (also Express): the raw body is taken
+ * from `req.rawBody`, which the integrations (or a body parser) set.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Object} `{ method, path, body }`
+ */
+const requestOf = (req) => ({
+    method: req.method,
+    path: req.originalUrl || req.url,
+    body: req.rawBody
+})
+
+module.exports = { bindRequest, contentDigest, parseContentDigest, requestOf }
@@ -1,35 +1,128 @@
-const validateAssertion = require("./AssertionValidator");
-const { validateAttestation, getNonce } = require("./AttestationValidator");
-const registerAttestation = require("./RegisterAttestation");
-const dbQuery = require("./utils/SQLiteHelper");
+const { validateAssertion, getAssertionChallenge } = require("./AssertionValidator");
+const { validateAttestation, verifyAttestationDetailed, getNonce, Apple_App_Attestation_Root_CA } = require("./AttestationValidator");
+const { registerAttestation } = require("./RegisterAttestation");
+const { refreshReceipt, validateReceipt } = require("./Receipt");
+const { decodeAttestation, decodeAssertion } = require("./Inspect");
+const { configure, getStore, resolveConfig } = require("./Config");
+const Challenges = require("./Challenges");
+const { SqlStore, SQLiteStore, MemoryStore, SCHEMA_VERSION } = require("./storage");
+const { MemoryReplayCache, StoreReplayCache } = require("./ReplayCache");
+const { MemoryRateLimiter, StoreRateLimiter } = require("./RateLimiter");
+const { PrometheusMetrics, defaultMetrics, METRICS } = require("./Metrics");
+const core = require("./Core");
+const { listDevices, getDevice, revokeKey, revokeDevice, unrevoke, deleteDevice } = require("./Devices");
+const { listAnomalies, quarantineKey, releaseKey } = require("./Anomalies");
+const { listAuditEvents, exportAuditLog, purgeAuditLog } = require("./AuditLog");
+const { getCacheStats, clearCaches } = require("./KeyCache");
+const express = require("./integrations/Express");
+const fastify = require("./integrations/Fastify");
+const koa = require("./integrations/Koa");
+const http = require("./integrations/NodeHttp");
+const Errors = require("./Errors");
 const { logger } = require("./utils/Logger");
 
-const initDb = async () => {
+/**
+ * Prepares the configured storage adapter. Stores also initialize themselves
+ * on first use, so calling this is only needed to surface errors at startup.
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<void>}
+ */
+const initDb = async (options = {}) => {
     try {
-        const appAttestTableCreation = `CREATE TABLE IF NOT EXISTS attestations(
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            deviceId TEXT NOT NULL,
-            nonce TEXT,
-            keyId TEXT UNIQUE,
-            publicKey TEXT,
-            counter INTEGER DEFAULT 0,
-            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`
-
-        await dbQuery(appAttestTableCreation, [])
+        await getStore(options).init()
         logger.info('Database initialized successfully')
     } catch (error) {
         logger.error('Failed to initialize database', { error: error.message })
-        throw new Error('Failed to initialize attestation database')
+        throw new Error('Failed to initialize attestation database', { cause: error })
     }
 }
 
-initDb()
+/**
+ * Applies pending schema migrations to the configured store. SQL stores also migrate
+ * on first use, unless they were created with `createSchema: false`.
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<Object>} `{ from, to, applied: [{ version, description }] }`, or `{ error: AppAttestError }`
+ * (INVALID_CONFIGURATION if the database was migrated by a newer release)
+ */
+const migrate = async (options = {}) => {
+    try {
+        const store = getStore(options)
+        if (typeof store.migrate !== 'function') return { applied: [] }
+        return await store.migrate()
+    } catch (error) {
+        logger.error('Failed to migrate database', { error })
+        return { error: Errors.toAppAttestError(error) }
+    }
+}
+
+/**
+ * Deletes expired challenges from the configured store.
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {Promise<number>} Number of purged challenges
+ */
+const purgeExpiredChallenges = async (options = {}) => {
+    return Challenges.purgeExpiredChallenges(getStore(options))
+}
+
+/**
+ * Purges expired challenges in the background every `sweepInterval` seconds.
+ * @param {Object} [options] - Per-call configuration overrides
+ * @returns {function} Stops the sweeper
+ */
+const startChallengeSweeper = (options = {}) => {
+    const config = resolveConfig(options)
+    return Challenges.startChallengeSweeper(config.store, config.sweepInterval || 60)
+}
 
 module.exports = {
     validateAttestation,
+    verifyAttestationDetailed,
     validateAssertion,
     getNonce,
-    registerAttestation
+    getAssertionChallenge,
+    registerAttestation,
+    refreshReceipt,
+    validateReceipt,
+    decodeAttestation,
+    decodeAssertion,
+    configure,
+    initDb,
+    migrate,
+    purgeExpiredChallenges,
+    startChallengeSweeper,
+    router: express.router,
+    requireAssertion: express.requireAssertion,
+    core,
+    admin: { listDevices, getDevice, revokeKey, revokeDevice, unrevoke, deleteDevice, listAnomalies, quarantineKey, releaseKey, listAuditEvents, exportAuditLog, purgeAuditLog },
+    express,
+    fastify,
+    koa,
+    http,
+    SqlStore,
+    SQLiteStore,
+    MemoryStore,
+    SCHEMA_VERSION,
+    MemoryReplayCache,
+    StoreReplayCache,
+    MemoryRateLimiter,
+    StoreRateLimiter,
+    PrometheusMetrics,
+    metrics: defaultMetrics,
+    METRICS,
+    getCacheStats,
+    clearCaches,
+    AppAttestError: Errors.AppAttestError,
+    InvalidInputError: Errors.InvalidInputError,
+    ConfigurationError: Errors.ConfigurationError,
+    ChallengeError: Errors.ChallengeError,
+    VerificationError: Errors.VerificationError,
+    KeyNotFoundError: Errors.KeyNotFoundError,
+    RevokedError: Errors.RevokedError,
+    ReplayError: Errors.ReplayError,
+    RateLimitError: Errors.RateLimitError,
+    InternalError: Errors.InternalError,
+    ERROR_CODES: Errors.ERROR_CODES,
+    APPLE_APP_ATTESTATION_ROOT_CA: Apple_App_Attestation_Root_CA,
+    createError: Errors.createError,
+    logger
 }
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Framework-independent request handling shared by the HTTP integrations.
+ * Adapters only extract the method, path, headers, body and client IP address from
+ * their request type and write the `{ status, body, headers }` that comes back.
+ */
+
+const core = require('../Core');
+const { resolveConfig } = require('../Config');
+const { deviceIdFrom, attestationInput, assertionInput } = require('../utils/RequestValues');
+const { failureResponse } = require('./Outcomes');
+
+const DEFAULT_PATHS = {
+    nonce: '/nonce',
+    register: '/registerattestation',
+    assertionChallenge: '/assertion-challenge'
+};
+
+const ROUTE_METHODS = {
+    nonce: 'GET',
+    register: 'POST',
+    assertionChallenge: 'GET'
+};
+
+const requireAppIdentity = (name, { teamId, bundleIdentifier, paths, ...options }) => {
+    if (teamId && bundleIdentifier) return;
+    if (!teamId && !bundleIdentifier && (resolveConfig(options).apps || []).length > 0) return;
+    throw new TypeError(`${name} requires teamId and bundleIdentifier, or configured apps`);
+}
+
+const challengeResponse = (result) => {
+    if (result.error) return failureResponse(result.error);
+    return { status: 200, body: { nonce: result.nonce } };
+}
+
+/**
+ * Creates the handlers for the challenge and registration endpoints.
+ * @param {string} name - Integration name used in configuration errors
+ * @param {Object} config - `{ teamId, bundleIdentifier, environment, paths }` (or `{ apps }`) plus configuration overrides
+ * @returns {Object} `{ routes, match(method, path), handle(route, headers, body, client) }`
+ */
+const createEndpoints = (name, config = {}) => {
+    requireAppIdentity(name, config);
+    const { paths = {}, ...coreConfig } = config;
+    const { teamId, bundleIdentifier, devMode, ...options } = coreConfig;
+    const routes = { ...DEFAULT_PATHS, ...paths };
+
+    const isEnabled = (route) => route !== 'assertionChallenge' || resolveConfig(options).assertionMode === 'challenge';
+
+    /**
+     * @returns {?string} The route name for a request, or null if it is not an App Attest endpoint
+     */
+    const match = (method, path) => {
+        const route = Object.keys(routes).find(name => routes[name] === path && ROUTE_METHODS[name] === method);
+        return route && isEnabled(route) ? route : null;
+    }
+
+    /**
+     * @param {Object} [client] - `{ ip }` of the client, for the per-IP rate limits
+     * @returns {Promise<?Object>} `{ status, body, headers }`, or null if the route is disabled
+     */
+    const handle = async (route, headers, body, client = {}) => {
+        if (!isEnabled(route)) return null;
+
+        if (route === 'nonce') {
+            return challengeResponse(await core.getNonce({ deviceId: deviceIdFrom(headers), clientIp: client.ip }, options));
+        }
+
+        if (route === 'assertionChallenge') {
+            return challengeResponse(await core.getAssertionChallenge({ deviceId: deviceIdFrom(headers) }, options));
+        }
+
+        const result = await core.registerAttestation({ ...attestationInput(headers, body), clientIp: client.ip }, coreConfig);
+        if (result.error) return failureResponse(result.error);
+        return { status: 200, body: { success: true } };
+    }
+
+    return { routes, methods: ROUTE_METHODS, match, handle };
+}
+
+/**
+ * Creates an assertion check for protected requests.
+ * @param {string} name - Integration name used in configuration errors
+ * @param {Object} config - `{ teamId, bundleIdentifier }` plus configuration overrides
+ * @returns {function(Object, Object=, Object=): Promise<Object>} Called with the headers, `{ method, path, body }` and
+ * the client `{ ip }`; resolves `{ device }` on success, otherwise `{ status, body, headers }`
+ */
+const createAuthenticator = (name, config = {}) => {
+    requireAppIdentity(name, config);
+
+    return async (headers, request, client = {}) => {
+        const result = await core.validateAssertion({ ...assertionInput(headers, request), clientIp: client.ip }, config);
+        if (result.error) return failureResponse(result.error);
+        return { device: result };
+    }
+}
+
+module.exports = { createEndpoints, createAuthenticator }
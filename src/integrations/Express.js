@@ -0,0 +1,138 @@
+/**
+ * Express integration: a drop-in router for the challenge and registration
+ * endpoints, and middleware that protects routes with App Attest assertions.
+ * Neither depends on the express package itself.
+ */
+
+const { createEndpoints, createAuthenticator } = require('./Endpoints');
+const { readRawBody } = require('./NodeHttp');
+const { resolveConfig, getMetrics } = require('../Config');
+const { PROMETHEUS_CONTENT_TYPE } = require('../Metrics');
+const { requestOf } = require('../RequestBinding');
+const { clientIpOf } = require('../utils/RequestValues');
+const { logger } = require('../utils/Logger');
+
+const requestPath = (req) => req.path || new URL(req.url, 'http://localhost').pathname;
+
+/**
+ * Creates middleware that serves the App Attest endpoints:
+ *   GET  /nonce                - attestation challenge
+ *   POST /registerattestation  - attestation registration (needs a JSON body parser)
+ *   GET  /assertion-challenge  - assertion challenge, only when assertionMode is 'challenge'
+ * Requests for any other path are passed on.
+ *
+ * @param {Object} config - Router configuration
+ * @param {string} config.teamId - 10-character Apple Developer Team ID
+ * @param {string} config.bundleIdentifier - App bundle identifier
+ * @param {string} [config.environment='production'] - Accepted attestation environment: 'production', 'development' or 'either'
+ * @param {boolean} [config.devMode=false] - Earlier form of `environment: 'development'`
+ * @param {Object[]} [config.apps] - Several accepted apps instead of teamId and bundleIdentifier (see configure)
+ * @param {Object} [config.paths] - Overrides for the endpoint paths (`nonce`, `register`, `assertionChallenge`)
+ * @returns {function} Express middleware
+ *
+ * @example
+ * app.use(express.json());
+ * app.use('/api', AppAttest.router({ teamId, bundleIdentifier, environment: isStaging ? 'either' : 'production' }));
+ */
+const router = (config = {}) => {
+    const endpoints = createEndpoints('router', config);
+
+    return async (req, res, next) => {
+        const route = endpoints.match(req.method, requestPath(req));
+        if (!route) return next();
+
+        try {
+            const result = await endpoints.handle(route, req.headers, req.body, { ip: clientIpOf(req) });
+            if (!result) return next();
+            if (result.headers) res.set(result.headers);
+            return res.status(result.status).json(result.body);
+        } catch (error) {
+            return next(error);
+        }
+    }
+}
+
+/**
+ * Creates middleware that only lets requests with a valid assertion through.
+ * On success the verified device is available as `req.appAttest = { deviceId, keyId, counter, appId, environment }`;
+ * otherwise the request is answered with the matching status (422 for unregistered keys,
+ * so the client re-attests).
+ *
+ * @param {Object} options - Middleware configuration
+ * @param {string} options.teamId - 10-character Apple Developer Team ID
+ * @param {string} options.bundleIdentifier - App bundle identifier
+ * @param {string} [options.requireEnvironment] - Refuse keys attested in another environment ('production' or 'development')
+ * @param {boolean} [options.requestBinding] - Verify the signed method, path and body digest. The raw body is read
+ * here unless a body parser already consumed it, in which case the parser must keep it (see captureRawBody):
+ * `express.json()` without `verify: captureRawBody` leaves nothing to digest, and every request fails with
+ * INVALID_CONFIGURATION (500)
+ * @returns {function} Express middleware
+ *
+ * @example
+ * app.post('/api/protectedroute', AppAttest.requireAssertion({ teamId, bundleIdentifier }), (req, res) => {
+ *   res.json({ assertionsCount: req.appAttest.counter });
+ * });
+ */
+const requireAssertion = (options = {}) => {
+    const authenticate = createAuthenticator('requireAssertion', options);
+    let reportedParser = false;
+
+    return async (req, res, next) => {
+        let result;
+        try {
+            //A body parser that ran before without keeping the raw body is a setup mistake, reported once
+            if (resolveConfig(options).requestBinding && await readRawBody(req) === undefined && !reportedParser) {
+                reportedParser = true;
+                logger.error('requestBinding needs the raw body, but a body parser consumed it without keeping it; '
+                    + 'use express.json({ verify: AppAttest.express.captureRawBody })', { path: requestPath(req) });
+            }
+            result = await authenticate(req.headers, requestOf(req), { ip: clientIpOf(req) });
+        } catch (error) {
+            return next(error);
+        }
+
+        if (!result.device) {
+            if (result.headers) res.set(result.headers);
+            return res.status(result.status).json(result.body);
+        }
+
+        req.appAttest = result.device;
+        return next();
+    }
+}
+
+/**
+ * `verify` option for the Express body parsers that keeps the raw body for requestBinding.
+ *
+ * @example
+ * app.use(express.json({ verify: AppAttest.express.captureRawBody }));
+ */
+const captureRawBody = (req, res, buffer) => {
+    req.rawBody = buffer;
+}
+
+/**
+ * Creates a handler that serves the metrics in the Prometheus text exposition format.
+ * It only uses the Node.js response methods, so it also works as a plain http handler.
+ *
+ * @param {Object} [options] - Handler configuration
+ * @param {Object} [options.registry] - Registry to render (defaults to the configured metrics recorder)
+ * @returns {function} Express route handler
+ *
+ * @example
+ * app.get('/metrics', AppAttest.express.metricsHandler());
+ */
+const metricsHandler = (options = {}) => {
+    const registry = options.registry || getMetrics(options).metrics;
+    if (!registry || typeof registry.render !== 'function') {
+        throw new TypeError('metricsHandler requires a metrics registry that implements render');
+    }
+
+    return (req, res) => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.end(registry.render());
+    }
+}
+
+module.exports = { router, requireAssertion, captureRawBody, metricsHandler }
@@ -0,0 +1,115 @@
+/**
+ * Fastify integration. Register the plugin to serve the challenge and
+ * registration endpoints; protect routes with the `appAttestAssertion` hook
+ * it decorates the instance with. Does not depend on the fastify package.
+ */
+
+const { Readable } = require('stream');
+const { createEndpoints, createAuthenticator } = require('./Endpoints');
+const { resolveConfig } = require('../Config');
+
+/**
+ * preParsing hook that keeps a copy of the raw body as `request.rawBody` before
+ * Fastify parses it, for the body digest of requestBinding.
+ */
+const captureRawBody = (options, bodyLimit) => async (request, reply, payload) => {
+    if (!resolveConfig(options).requestBinding) return payload;
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of payload) {
+        size += chunk.length;
+        if (size > bodyLimit) {
+            const error = new Error('Request body is too large');
+            error.statusCode = 413;
+            throw error;
+        }
+        chunks.push(chunk);
+    }
+
+    request.rawBody = Buffer.concat(chunks);
+    const copy = Readable.from([request.rawBody]);
+    copy.receivedEncodedLength = size;
+    return copy;
+}
+
+//Route hooks may be given as a single function or as an array
+const hooksOf = (hooks) => (hooks ? [].concat(hooks) : []);
+
+//Requests without a body (GET) never reach preParsing; their digest is that of an empty body
+const requestOf = (request) => ({
+    method: request.method,
+    path: request.url,
+    body: request.rawBody !== undefined ? request.rawBody : (request.body === undefined ? Buffer.alloc(0) : undefined)
+});
+
+/**
+ * Fastify plugin.
+ *
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} config - Plugin options
+ * @param {string} config.teamId - 10-character Apple Developer Team ID
+ * @param {string} config.bundleIdentifier - App bundle identifier
+ * @param {string} [config.environment='production'] - Accepted attestation environment: 'production', 'development' or 'either'
+ * @param {boolean} [config.devMode=false] - Earlier form of `environment: 'development'`
+ * @param {Object[]} [config.apps] - Several accepted apps instead of teamId and bundleIdentifier (see configure)
+ * @param {Object} [config.paths] - Overrides for the endpoint paths (`nonce`, `register`, `assertionChallenge`)
+ * @param {boolean} [config.requestBinding] - Verify the signed method, path and body digest (the plugin keeps the raw body
+ * of the routes that list `appAttestAssertion` in their `preHandler` option, and only of those)
+ * @param {string} [config.prefix=''] - Prefix for the endpoint paths
+ * @param {function} done - Completion callback
+ *
+ * @example
+ * fastify.register(AppAttest.fastify, { prefix: '/api', teamId, bundleIdentifier });
+ * fastify.post('/api/protectedroute', { preHandler: fastify.appAttestAssertion }, async (request) => {
+ *   return { assertionsCount: request.appAttest.counter };
+ * });
+ */
+function appAttestPlugin(fastify, config, done) {
+    const { prefix = '', ...options } = config;
+    const endpoints = createEndpoints('fastify plugin', options);
+    const authenticate = createAuthenticator('fastify plugin', options);
+
+    for (const route of Object.keys(endpoints.routes)) {
+        fastify.route({
+            method: endpoints.methods[route],
+            url: prefix + endpoints.routes[route],
+            handler: async (request, reply) => {
+                const result = await endpoints.handle(route, request.headers, request.body, { ip: request.ip });
+                if (!result) return reply.callNotFound();
+                if (result.headers) reply.headers(result.headers);
+                return reply.code(result.status).send(result.body);
+            }
+        });
+    }
+
+    //preHandler hook: answers the request itself when the assertion is rejected
+    const appAttestAssertion = async (request, reply) => {
+        const result = await authenticate(request.headers, requestOf(request), { ip: request.ip });
+        if (!result.device) {
+            if (result.headers) reply.headers(result.headers);
+            reply.code(result.status).send(result.body);
+            return reply;
+        }
+        request.appAttest = result.device;
+    }
+
+    fastify.decorateRequest('appAttest', null);
+    fastify.decorate('appAttestAssertion', appAttestAssertion);
+
+    //Only protected routes buffer their body; the others are parsed as a stream, as usual
+    const bodyLimit = fastify.initialConfig.bodyLimit || 1048576;
+    fastify.addHook('onRoute', (routeOptions) => {
+        if (!hooksOf(routeOptions.preHandler).includes(appAttestAssertion)) return;
+        routeOptions.preParsing = [...hooksOf(routeOptions.preParsing), captureRawBody(options, routeOptions.bodyLimit || bodyLimit)];
+    });
+
+    done();
+}
+
+//Same effect as wrapping with fastify-plugin: the decorators are visible outside the plugin.
+//Fastify ignores the `prefix` register option for such plugins, so it is applied above.
+appAttestPlugin[Symbol.for('skip-override')] = true;
+appAttestPlugin[Symbol.for('fastify.display-name')] = 'app-attest-server';
+
+module.exports = appAttestPlugin
@@ -0,0 +1,70 @@
+/**
+ * Koa integration: middleware serving the challenge and registration endpoints,
+ * and middleware that protects routes with App Attest assertions.
+ * Does not depend on the koa package.
+ */
+
+const { createEndpoints, createAuthenticator } = require('./Endpoints');
+const { readRawBody } = require('./NodeHttp');
+const { resolveConfig } = require('../Config');
+
+//koa-bodyparser and @koa/bodyparser keep the raw body as ctx.request.rawBody;
+//without a body parser it is read from the stream
+const rawBodyOf = async (ctx) => {
+    if (ctx.request.rawBody !== undefined) return ctx.request.rawBody;
+    return readRawBody(ctx.req);
+}
+
+/**
+ * Creates middleware that serves the App Attest endpoints (see the Express router).
+ * The registration endpoint needs a body parser that sets `ctx.request.body`.
+ *
+ * @param {Object} config - `{ teamId, bundleIdentifier, environment, paths }` plus configuration overrides
+ * @returns {function} Koa middleware
+ *
+ * @example
+ * app.use(bodyParser());
+ * app.use(AppAttest.koa.router({ teamId, bundleIdentifier, paths: { nonce: '/api/nonce', register: '/api/registerattestation' } }));
+ */
+const router = (config = {}) => {
+    const endpoints = createEndpoints('koa router', config);
+
+    return async (ctx, next) => {
+        const route = endpoints.match(ctx.method, ctx.path);
+        const result = route ? await endpoints.handle(route, ctx.headers, ctx.request.body, { ip: ctx.ip }) : null;
+        if (!result) return next();
+
+        if (result.headers) ctx.set(result.headers);
+        ctx.status = result.status;
+        ctx.body = result.body;
+    }
+}
+
+/**
+ * Creates middleware that only lets requests with a valid assertion through.
+ * The verified device is available as `ctx.state.appAttest = { deviceId, keyId, counter, appId, environment }`.
+ *
+ * @param {Object} options - `{ teamId, bundleIdentifier, requestBinding }` plus configuration overrides
+ * @returns {function} Koa middleware
+ */
+const requireAssertion = (options = {}) => {
+    const authenticate = createAuthenticator('koa requireAssertion', options);
+
+    return async (ctx, next) => {
+        const request = { method: ctx.method, path: ctx.originalUrl };
+        if (resolveConfig(options).requestBinding) request.body = await rawBodyOf(ctx);
+
+        const result = await authenticate(ctx.headers, request, { ip: ctx.ip });
+        if (!result.device) {
+            if (result.headers) ctx.set(result.headers);
+            ctx.status = result.status;
+            ctx.body = result.body;
+            return;
+        }
+
+        ctx.state.appAttest = result.device;
+        return next();
+    }
+}
+
+module.exports = { router, requireAssertion }
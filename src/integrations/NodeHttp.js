@@ -0,0 +1,116 @@
+/**
+ * Integration for plain `node:http` servers.
+ */
+
+const { createEndpoints, createAuthenticator } = require('./Endpoints');
+const { resolveConfig } = require('../Config');
+const { requestOf } = require('../RequestBinding');
+const { clientIpOf } = require('../utils/RequestValues');
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.statusCode = status;
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads the raw request body once and keeps it as `req.rawBody` (a Buffer).
+ * Resolves null for an oversized body, undefined if another handler already consumed the stream.
+ */
+const readRawBody = (req) => {
+    if (req.rawBody !== undefined) return Promise.resolve(req.rawBody);
+    if (req.readableEnded) return Promise.resolve(undefined);
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            req.rawBody = size > MAX_BODY_SIZE ? null : Buffer.concat(chunks);
+            resolve(req.rawBody);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Reads and parses a JSON request body, unless a previous handler already did.
+ * Resolves undefined for a missing, oversized or malformed body.
+ */
+const readJsonBody = async (req) => {
+    if (req.body !== undefined) return req.body;
+
+    const raw = await readRawBody(req);
+    if (!raw) return undefined;
+    try {
+        return JSON.parse(raw.toString('utf8'));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Creates a request handler for the App Attest endpoints (see the Express router).
+ * Resolves true if it answered the request, false if the path is not an App Attest endpoint.
+ *
+ * @param {Object} config - `{ teamId, bundleIdentifier, environment, paths }` plus configuration overrides
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<boolean>} Request handler
+ *
+ * @example
+ * const appAttest = AppAttest.http.handler({ teamId, bundleIdentifier });
+ * http.createServer(async (req, res) => {
+ *   if (await appAttest(req, res)) return;
+ *   // ...your routes
+ * });
+ */
+const handler = (config = {}) => {
+    const endpoints = createEndpoints('http handler', config);
+
+    return async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = endpoints.match(req.method, pathname);
+        if (!route) return false;
+
+        const body = route === 'register' ? await readJsonBody(req) : undefined;
+        const result = await endpoints.handle(route, req.headers, body, { ip: clientIpOf(req) });
+        if (!result) return false;
+
+        sendJson(res, result.status, result.body, result.headers);
+        return true;
+    }
+}
+
+/**
+ * Creates an assertion check for protected requests. Resolves the verified device
+ * `{ deviceId, keyId, counter, appId, environment }` (also set as `req.appAttest`), or null after
+ * answering the request with the matching error status.
+ *
+ * @param {Object} options - `{ teamId, bundleIdentifier, requestBinding }` plus configuration overrides
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<?Object>} Assertion check
+ */
+const requireAssertion = (options = {}) => {
+    const authenticate = createAuthenticator('http requireAssertion', options);
+
+    return async (req, res) => {
+        //With requestBinding the body is read here; later handlers find it in req.rawBody (see readJsonBody)
+        if (resolveConfig(options).requestBinding) await readRawBody(req);
+
+        const result = await authenticate(req.headers, requestOf(req), { ip: clientIpOf(req) });
+        if (!result.device) {
+            sendJson(res, result.status, result.body, result.headers);
+            return null;
+        }
+
+        req.appAttest = result.device;
+        return result.device;
+    }
+}
+
+module.exports = { handler, requireAssertion, readJsonBody, readRawBody }
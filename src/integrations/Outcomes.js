@@ -0,0 +1,21 @@
+/**
+ * Maps the `error` returned by getNonce, registerAttestation and validateAssertion
+ * to an HTTP status and a client-safe JSON body.
+ */
+
+const { toAppAttestError } = require('../Errors');
+
+/**
+ * @param {*} error - The `error` value of a failed result
+ * @returns {{status: number, body: Object, headers: ?Object}} HTTP response for the failure. Unexpected errors
+ * (database, crypto) become a 500 whose details are never shown to the client. Rate limited
+ * requests (429) come with a Retry-After header.
+ */
+const failureResponse = (error) => {
+    const appAttestError = toAppAttestError(error);
+    const response = { status: appAttestError.status, body: appAttestError.toJSON() };
+    if (appAttestError.retryAfter) response.headers = { 'Retry-After': String(appAttestError.retryAfter) };
+    return response;
+}
+
+module.exports = { failureResponse }
@@ -0,0 +1,283 @@
+/**
+ * In-memory storage adapter. Data lives for the lifetime of the process,
+ * which makes it suitable for tests and single-instance development servers.
+ */
+
+const { SCHEMA_VERSION } = require('./Migrations');
+
+const keySummary = ({ deviceId, keyId, counter, appId, environment, revokedAt, revokeReason, quarantinedAt, quarantineReason, supersededAt, retiresAt }) =>
+    ({ deviceId, keyId, counter, appId, environment, revokedAt, revokeReason, quarantinedAt, quarantineReason, supersededAt, retiresAt });
+
+class MemoryStore {
+    constructor() {
+        this.keys = new Map();
+        this.challenges = new Map();
+        this.replays = new Map();
+        this.receipts = new Map();
+        this.anomalies = [];
+        this.auditEvents = [];
+        this.rateLimits = new Map();
+        this.sequence = 0;
+        this.tenantStores = new Map();
+    }
+
+    /**
+     * Returns the store holding a tenant's data (a separate MemoryStore per tenant).
+     * @param {string} tenant - Tenant name
+     * @returns {MemoryStore} Store scoped to the tenant
+     */
+    forTenant(tenant) {
+        if (!tenant || tenant === 'default') return this;
+        if (!this.tenantStores.has(tenant)) this.tenantStores.set(tenant, new MemoryStore());
+        return this.tenantStores.get(tenant);
+    }
+
+    async init() {}
+
+    //Nothing is persisted, so the layout is always the current one
+    async migrate() {
+        return { from: SCHEMA_VERSION, to: SCHEMA_VERSION, applied: [] };
+    }
+
+    async issueChallenge(challenge) {
+        this.challenges.set(challenge.nonce, { ...challenge });
+    }
+
+    async consumeChallenge(deviceId, purpose, nonce) {
+        for (const [key, challenge] of this.challenges) {
+            if (challenge.deviceId !== deviceId || challenge.purpose !== purpose) continue;
+            if (nonce && key !== nonce) continue;
+
+            this.challenges.delete(key);
+            return challenge;
+        }
+        return null;
+    }
+
+    async listChallenges(deviceId, purpose) {
+        return [...this.challenges.values()]
+            .filter(challenge => challenge.deviceId === deviceId && challenge.purpose === purpose)
+            .map(challenge => ({ ...challenge }));
+    }
+
+    async purgeChallenges(now) {
+        let purged = 0;
+        for (const [nonce, challenge] of this.challenges) {
+            if (challenge.expiresAt <= now) {
+                this.challenges.delete(nonce);
+                purged++;
+            }
+        }
+        return purged;
+    }
+
+    async recordAssertion(fingerprint, expiresAt, now) {
+        const existing = this.replays.get(fingerprint);
+        if (existing !== undefined && existing > now) return false;
+
+        this.replays.set(fingerprint, expiresAt);
+        return true;
+    }
+
+    async purgeAssertions(now) {
+        let purged = 0;
+        for (const [fingerprint, expiresAt] of this.replays) {
+            if (expiresAt <= now) {
+                this.replays.delete(fingerprint);
+                purged++;
+            }
+        }
+        return purged;
+    }
+
+    async takeToken(bucket, { capacity, refillInterval }, now) {
+        const existing = this.rateLimits.get(bucket);
+        const tokens = existing
+            ? Math.min(capacity, existing.tokens + (now - existing.updatedAt) / (refillInterval * 1000))
+            : capacity;
+        if (tokens < 1) return { allowed: false, tokens };
+
+        this.rateLimits.set(bucket, { tokens: tokens - 1, updatedAt: now, expiresAt: now + capacity * refillInterval * 1000 });
+        return { allowed: true, tokens: tokens - 1 };
+    }
+
+    async returnToken(bucket, { capacity, refillInterval }, now) {
+        const existing = this.rateLimits.get(bucket);
+        if (!existing) return;
+
+        const tokens = Math.min(capacity, existing.tokens + (now - existing.updatedAt) / (refillInterval * 1000) + 1);
+        this.rateLimits.set(bucket, { ...existing, tokens, updatedAt: now });
+    }
+
+    async purgeRateLimits(now) {
+        let purged = 0;
+        for (const [bucket, { expiresAt }] of this.rateLimits) {
+            if (expiresAt <= now) {
+                this.rateLimits.delete(bucket);
+                purged++;
+            }
+        }
+        return purged;
+    }
+
+    async saveKey(deviceId, keyId, publicKey, details = {}) {
+        if (this.keys.has(keyId)) {
+            throw new Error('Key identifier is already registered');
+        }
+
+        const now = new Date().toISOString();
+        const record = { id: ++this.sequence, deviceId, keyId, publicKey, counter: 0, appId: details.appId || null, environment: details.environment || null, revokedAt: null, revokeReason: null, quarantinedAt: null, quarantineReason: null, supersededAt: null, retiresAt: null, createdAt: now, updatedAt: now };
+        this.keys.set(keyId, record);
+    }
+
+    async loadKey(deviceId, keyId) {
+        const record = this.keys.get(keyId);
+        if (!record || record.deviceId !== deviceId) return null;
+
+        return { ...keySummary(record), publicKey: record.publicKey };
+    }
+
+    async findKey(keyId) {
+        const record = this.keys.get(keyId);
+        return record ? keySummary(record) : null;
+    }
+
+    async updateCounter(keyId, expected, next) {
+        const record = this.keys.get(keyId);
+        if (!record || record.counter !== expected) return false;
+
+        record.counter = next;
+        record.updatedAt = new Date().toISOString();
+        return true;
+    }
+
+    async revokeKey(keyId, { reason = null, revokedAt = Date.now() } = {}) {
+        const record = this.keys.get(keyId);
+        if (!record) return false;
+
+        record.revokedAt = revokedAt;
+        record.revokeReason = reason;
+        return true;
+    }
+
+    async supersedeKey(keyId, { supersededAt = Date.now(), retiresAt = supersededAt } = {}) {
+        const record = this.keys.get(keyId);
+        if (!record || record.supersededAt) return false;
+
+        record.supersededAt = supersededAt;
+        record.retiresAt = retiresAt;
+        return true;
+    }
+
+    async deleteRetiredKeys(now) {
+        let deleted = 0;
+        for (const [keyId, record] of this.keys) {
+            if (!record.retiresAt || record.retiresAt > now) continue;
+            this.keys.delete(keyId);
+            this.receipts.delete(keyId);
+            deleted++;
+        }
+        return deleted;
+    }
+
+    async unrevokeKey(keyId) {
+        const record = this.keys.get(keyId);
+        if (!record || !record.revokedAt) return false;
+
+        record.revokedAt = null;
+        record.revokeReason = null;
+        return true;
+    }
+
+    async quarantineKey(keyId, { reason = null, quarantinedAt = Date.now() } = {}) {
+        const record = this.keys.get(keyId);
+        if (!record || record.quarantinedAt) return false;
+
+        record.quarantinedAt = quarantinedAt;
+        record.quarantineReason = reason;
+        return true;
+    }
+
+    async releaseKey(keyId, reviewedAt = Date.now()) {
+        for (const anomaly of this.anomalies) {
+            if (anomaly.keyId === keyId && !anomaly.reviewedAt) anomaly.reviewedAt = reviewedAt;
+        }
+
+        const record = this.keys.get(keyId);
+        if (!record || !record.quarantinedAt) return false;
+
+        record.quarantinedAt = null;
+        record.quarantineReason = null;
+        return true;
+    }
+
+    async recordAnomaly({ keyId, deviceId, type, details = {}, occurredAt }) {
+        this.anomalies.push({ id: ++this.sequence, keyId, deviceId: deviceId || null, type, details, occurredAt, reviewedAt: null });
+    }
+
+    async countAnomalies(keyId, type, since) {
+        return this.anomalies.filter(anomaly =>
+            anomaly.keyId === keyId && anomaly.type === type && anomaly.occurredAt >= since && !anomaly.reviewedAt
+        ).length;
+    }
+
+    async listAnomalies({ keyId, deviceId, type, since, limit = 100 } = {}) {
+        return this.anomalies
+            .filter(anomaly => (!keyId || anomaly.keyId === keyId) && (!deviceId || anomaly.deviceId === deviceId)
+                && (!type || anomaly.type === type) && (!since || anomaly.occurredAt >= since))
+            .reverse()
+            .slice(0, limit)
+            .map(anomaly => ({ ...anomaly }));
+    }
+
+    async recordAuditEvent(event) {
+        this.auditEvents.push({ id: ++this.sequence, ...event });
+    }
+
+    async listAuditEvents({ deviceId, keyId, type, since, until, limit = 100, order = 'desc' } = {}) {
+        const events = this.auditEvents
+            .filter(event => (!deviceId || event.deviceId === deviceId) && (!keyId || event.keyId === keyId)
+                && (!type || event.type === type) && (!since || event.occurredAt >= since) && (!until || event.occurredAt < until));
+        if (order !== 'asc') events.reverse();
+        return (limit ? events.slice(0, limit) : events).map(event => ({ ...event }));
+    }
+
+    async purgeAuditEvents(before) {
+        const count = this.auditEvents.length;
+        this.auditEvents = this.auditEvents.filter(event => event.occurredAt >= before);
+        return count - this.auditEvents.length;
+    }
+
+    async deleteDevice(deviceId) {
+        let deleted = 0;
+        for (const [keyId, record] of this.keys) {
+            if (record.deviceId !== deviceId) continue;
+            this.keys.delete(keyId);
+            this.receipts.delete(keyId);
+            deleted++;
+        }
+        for (const [nonce, challenge] of this.challenges) {
+            if (challenge.deviceId === deviceId) this.challenges.delete(nonce);
+        }
+        this.anomalies = this.anomalies.filter(anomaly => anomaly.deviceId !== deviceId);
+        return deleted;
+    }
+
+    async saveReceipt(keyId, receipt) {
+        this.receipts.set(keyId, { keyId, ...receipt });
+    }
+
+    async loadReceipt(keyId) {
+        const receipt = this.receipts.get(keyId);
+        return receipt ? { ...receipt } : null;
+    }
+
+    async listKeys(deviceId) {
+        return [...this.keys.values()]
+            .filter(record => !deviceId || record.deviceId === deviceId)
+            .sort((a, b) => a.id - b.id)
+            .map(record => ({ ...keySummary(record), createdAt: record.createdAt, updatedAt: record.updatedAt }));
+    }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,147 @@
+/**
+ * Ordered schema migrations of SqlStore.
+ *
+ * The `schema_migrations` table records every applied version. SqlStore.migrate()
+ * applies the migrations above the recorded version in order, and a database whose
+ * version is above SCHEMA_VERSION is refused. Append new migrations at the end with the
+ * next version; never change one that has been released.
+ *
+ * Drivers may send each statement over a different pooled connection, so migrations
+ * do not rely on transactions. Every statement is idempotent instead (IF NOT EXISTS,
+ * addColumn), so a migration interrupted halfway or run by two processes at once can
+ * simply be applied again.
+ */
+
+const DEFAULT_TENANT = 'default';
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial schema',
+        //Also brings databases created before versioning up to date
+        up: async (store) => {
+            const { primaryKey, timestamp } = store.dialect;
+            const tenantColumn = `TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}'`;
+
+            await store.execute(`CREATE TABLE IF NOT EXISTS attestations(
+                id ${primaryKey},
+                deviceId TEXT NOT NULL,
+                nonce TEXT,
+                keyId TEXT UNIQUE,
+                publicKey TEXT,
+                counter INTEGER DEFAULT 0,
+                appId TEXT,
+                environment TEXT,
+                revokedAt BIGINT,
+                revokeReason TEXT,
+                quarantinedAt BIGINT,
+                quarantineReason TEXT,
+                tenant ${tenantColumn},
+                createdAt ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+                updatedAt ${timestamp} DEFAULT CURRENT_TIMESTAMP
+            )`);
+
+            await store.execute(`CREATE TABLE IF NOT EXISTS challenges(
+                nonce TEXT PRIMARY KEY,
+                deviceId TEXT NOT NULL,
+                purpose TEXT NOT NULL,
+                tenant ${tenantColumn},
+                issuedAt BIGINT NOT NULL,
+                expiresAt BIGINT NOT NULL
+            )`);
+
+            await store.execute(`CREATE TABLE IF NOT EXISTS assertion_replays(
+                fingerprint TEXT PRIMARY KEY,
+                expiresAt BIGINT NOT NULL
+            )`);
+
+            await store.execute(`CREATE TABLE IF NOT EXISTS receipts(
+                keyId TEXT PRIMARY KEY,
+                receipt TEXT NOT NULL,
+                type TEXT NOT NULL,
+                createdAt BIGINT,
+                notBefore BIGINT,
+                expiresAt BIGINT,
+                riskMetric INTEGER,
+                environment TEXT,
+                tenant ${tenantColumn},
+                updatedAt BIGINT NOT NULL
+            )`);
+
+            await store.execute(`CREATE TABLE IF NOT EXISTS anomalies(
+                id ${primaryKey},
+                keyId TEXT NOT NULL,
+                deviceId TEXT,
+                type TEXT NOT NULL,
+                details TEXT,
+                tenant ${tenantColumn},
+                occurredAt BIGINT NOT NULL,
+                reviewedAt BIGINT
+            )`);
+
+            await store.execute(`CREATE TABLE IF NOT EXISTS audit_events(
+                id ${primaryKey},
+                type TEXT NOT NULL,
+                deviceId TEXT,
+                keyId TEXT,
+                outcome TEXT NOT NULL,
+                reason TEXT,
+                counterBefore BIGINT,
+                counterAfter BIGINT,
+                clientIp TEXT,
+                tenant ${tenantColumn},
+                occurredAt BIGINT NOT NULL
+            )`);
+
+            await store.execute(`CREATE TABLE IF NOT EXISTS rate_limits(
+                bucket TEXT PRIMARY KEY,
+                tokens DOUBLE PRECISION NOT NULL,
+                updatedAt BIGINT NOT NULL,
+                expiresAt BIGINT NOT NULL
+            )`);
+
+            //Columns added by releases before versioning
+            await store.addColumn('attestations', 'appId', 'TEXT');
+            await store.addColumn('attestations', 'tenant', tenantColumn);
+            await store.addColumn('challenges', 'tenant', tenantColumn);
+            await store.addColumn('receipts', 'tenant', tenantColumn);
+            await store.addColumn('attestations', 'environment', 'TEXT');
+            await store.addColumn('receipts', 'environment', 'TEXT');
+            await store.addColumn('attestations', 'revokedAt', 'BIGINT');
+            await store.addColumn('attestations', 'revokeReason', 'TEXT');
+            await store.addColumn('attestations', 'quarantinedAt', 'BIGINT');
+            await store.addColumn('attestations', 'quarantineReason', 'TEXT');
+        }
+    },
+    {
+        version: 2,
+        description: 'Indexes for device lookups and expiry purges',
+        up: async (store) => {
+            await store.execute(`CREATE INDEX IF NOT EXISTS attestations_device ON attestations (tenant, deviceId)`);
+            await store.execute(`CREATE INDEX IF NOT EXISTS challenges_device ON challenges (tenant, deviceId, purpose)`);
+            await store.execute(`CREATE INDEX IF NOT EXISTS challenges_expiry ON challenges (expiresAt)`);
+            await store.execute(`CREATE INDEX IF NOT EXISTS assertion_replays_expiry ON assertion_replays (expiresAt)`);
+            await store.execute(`CREATE INDEX IF NOT EXISTS anomalies_key ON anomalies (tenant, keyId, occurredAt)`);
+            await store.execute(`CREATE INDEX IF NOT EXISTS audit_events_device ON audit_events (tenant, deviceId, occurredAt)`);
+            await store.execute(`CREATE INDEX IF NOT EXISTS audit_events_time ON audit_events (tenant, occurredAt)`);
+            await store.execute(`CREATE INDEX IF NOT EXISTS rate_limits_expiry ON rate_limits (expiresAt)`);
+        }
+    },
+    {
+        version: 3,
+        description: 'Superseded keys for key rotation',
+        up: async (store) => {
+            await store.addColumn('attestations', 'supersededAt', 'BIGINT');
+            await store.addColumn('attestations', 'retiresAt', 'BIGINT');
+            await store.execute(`CREATE INDEX IF NOT EXISTS attestations_retirement ON attestations (tenant, retiresAt)`);
+        }
+    }
+];
+
+//The newest schema version this release understands
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = {
+    MIGRATIONS,
+    SCHEMA_VERSION
+}
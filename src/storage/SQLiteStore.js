@@ -0,0 +1,18 @@
+const SqlStore = require('./SqlStore');
+const { createDbQuery } = require('../utils/SQLiteHelper');
+
+/**
+ * SQLite storage adapter (the default). Uses the database file named by
+ * `options.filename`, ATTESTATION_DB_PATH, or ./attestations.db.
+ */
+class SQLiteStore extends SqlStore {
+    /**
+     * @param {Object} [options] - Adapter options
+     * @param {string} [options.filename] - Path to the SQLite database file
+     */
+    constructor(options = {}) {
+        super(createDbQuery(options.filename), { dialect: 'sqlite' });
+    }
+}
+
+module.exports = SQLiteStore
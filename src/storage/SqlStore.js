@@ -0,0 +1,494 @@
+/**
+ * Generic SQL storage adapter. Works with any database driver through a
+ * user-supplied query function of the form `(sql, params) => Promise<rows[]>`.
+ * The schema is versioned and upgraded by the migrations in Migrations.js.
+ */
+
+const { MIGRATIONS, SCHEMA_VERSION } = require('./Migrations');
+const { createError } = require('../Errors');
+const { logger } = require('../utils/Logger');
+
+const DIALECTS = {
+    sqlite: {
+        placeholder: () => '?',
+        primaryKey: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        timestamp: 'DATETIME',
+        listColumns: `SELECT name FROM pragma_table_info(?)`
+    },
+    postgres: {
+        placeholder: (index) => `$${index}`,
+        primaryKey: 'SERIAL PRIMARY KEY',
+        timestamp: 'TIMESTAMP',
+        listColumns: `SELECT column_name AS name FROM information_schema.columns WHERE table_name = ?`
+    }
+};
+
+const DEFAULT_TENANT = 'default';
+
+//Some drivers return BIGINT columns as strings
+const toNumber = (value) => value === null || value === undefined ? null : Number(value);
+
+const keyRow = (row) => ({
+    ...row,
+    revokedAt: toNumber(row.revokedAt),
+    quarantinedAt: toNumber(row.quarantinedAt),
+    supersededAt: toNumber(row.supersededAt),
+    retiresAt: toNumber(row.retiresAt)
+});
+
+const KEY_COLUMNS = `deviceId, keyId, counter, appId, environment, revokedAt, revokeReason, quarantinedAt, quarantineReason, supersededAt, retiresAt`;
+
+class SqlStore {
+    /**
+     * @param {function(string, Array): Promise<Array>} query - Executes a statement and resolves with the result rows
+     * @param {Object} [options] - Adapter options
+     * @param {string|Object} [options.dialect='sqlite'] - 'sqlite', 'postgres' or a custom dialect object
+     *   (`{ placeholder(index), primaryKey, timestamp, listColumns }`)
+     * @param {boolean} [options.createSchema=true] - Apply pending migrations on first use (false only checks
+     *   that the database is not newer than this release; call migrate() yourself)
+     */
+    constructor(query, options = {}) {
+        if (typeof query !== 'function') {
+            throw new TypeError('SqlStore requires a query function');
+        }
+
+        const dialect = options.dialect || 'sqlite';
+        this.dialect = typeof dialect === 'string' ? DIALECTS[dialect] : dialect;
+        if (!this.dialect) {
+            throw new Error(`Unsupported SQL dialect: ${dialect}`);
+        }
+
+        this.query = query;
+        this.createSchema = options.createSchema !== false;
+        this.initPromise = null;
+        this.tenant = DEFAULT_TENANT;
+        this.root = this;
+        this.tenantViews = new Map();
+    }
+
+    /**
+     * Returns a view of this store whose attestations, challenges and receipts are
+     * kept apart from those of other tenants. Views share the connection and schema.
+     * @param {string} tenant - Tenant name
+     * @returns {SqlStore} Store scoped to the tenant
+     */
+    forTenant(tenant) {
+        if (!tenant || tenant === this.tenant) return this;
+
+        const root = this.root;
+        if (tenant === DEFAULT_TENANT) return root;
+        if (!root.tenantViews.has(tenant)) {
+            const view = Object.create(root);
+            view.tenant = tenant;
+            root.tenantViews.set(tenant, view);
+        }
+        return root.tenantViews.get(tenant);
+    }
+
+    /**
+     * Rewrites `?` placeholders for the configured dialect.
+     * @param {string} text - SQL statement using `?` placeholders
+     * @returns {string} Statement for the database driver
+     */
+    format(text) {
+        let index = 0;
+        return text.replace(/\?/g, () => this.dialect.placeholder(++index));
+    }
+
+    async execute(text, args = []) {
+        return this.query(this.format(text), args);
+    }
+
+    async run(text, args = []) {
+        await this.init();
+        return this.execute(text, args);
+    }
+
+    /**
+     * Applies pending migrations (or with `createSchema: false`, checks the schema version) once.
+     * Safe to call repeatedly.
+     * @returns {Promise<void>}
+     */
+    init() {
+        const root = this.root;
+        if (!root.initPromise) {
+            const prepare = root.createSchema ? root.migrate() : root.checkSchemaVersion().then((version) => {
+                if (version < SCHEMA_VERSION) logger.warn('Database schema is out of date; run migrate()', { version, latestVersion: SCHEMA_VERSION });
+            });
+            root.initPromise = prepare.then(() => {}, (error) => {
+                root.initPromise = null;
+                throw error;
+            });
+        }
+        return root.initPromise;
+    }
+
+    /**
+     * Adds a column to a table created by an earlier version, unless it already exists.
+     */
+    async addColumn(table, column, type) {
+        const existing = await this.execute(this.dialect.listColumns, [table]);
+        if (existing.some(row => row.name.toLowerCase() === column.toLowerCase())) return;
+        await this.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+
+    /**
+     * @returns {Promise<number>} Latest migration applied to the database (0 for an empty or unversioned database)
+     */
+    async schemaVersion() {
+        const table = await this.execute(this.dialect.listColumns, ['schema_migrations']);
+        if (table.length === 0) return 0;
+
+        const rows = await this.execute(`SELECT MAX(version) AS version FROM schema_migrations`);
+        return toNumber(rows[0] && rows[0].version) || 0;
+    }
+
+    //Refuses databases migrated by a newer release, whose schema this one may write inconsistently
+    async checkSchemaVersion() {
+        const version = await this.root.schemaVersion();
+        if (version > SCHEMA_VERSION) {
+            throw createError('INVALID_CONFIGURATION', `Database schema version ${version} is newer than the version this release of app-attest-server supports (${SCHEMA_VERSION}); upgrade app-attest-server.`);
+        }
+        return version;
+    }
+
+    /**
+     * Applies the migrations the database has not seen yet, in order (see Migrations.js).
+     * @returns {Promise<Object>} `{ from, to, applied: [{ version, description }] }`
+     * @throws {AppAttestError} INVALID_CONFIGURATION if the database is newer than this release
+     */
+    async migrate() {
+        const root = this.root;
+        const from = await root.checkSchemaVersion();
+
+        await root.execute(`CREATE TABLE IF NOT EXISTS schema_migrations(
+            version INTEGER PRIMARY KEY,
+            description TEXT NOT NULL,
+            appliedAt BIGINT NOT NULL
+        )`);
+
+        const applied = [];
+        for (const { version, description, up } of MIGRATIONS.filter(migration => migration.version > from)) {
+            await up(root);
+            await root.execute(
+                `INSERT INTO schema_migrations (version, description, appliedAt) VALUES (?, ?, ?) ON CONFLICT (version) DO NOTHING`,
+                [version, description, Date.now()]
+            );
+            logger.info('Applied schema migration', { version, description });
+            applied.push({ version, description });
+        }
+        return { from, to: Math.max(from, SCHEMA_VERSION), applied };
+    }
+
+    async issueChallenge({ nonce, deviceId, purpose, issuedAt, expiresAt }) {
+        await this.run(
+            `INSERT INTO challenges (nonce, deviceId, purpose, tenant, issuedAt, expiresAt) VALUES (?, ?, ?, ?, ?, ?)`,
+            [nonce, deviceId, purpose, this.tenant, issuedAt, expiresAt]
+        );
+    }
+
+    async consumeChallenge(deviceId, purpose, nonce) {
+        const rows = nonce
+            ? await this.run(
+                `DELETE FROM challenges WHERE deviceId = ? AND purpose = ? AND tenant = ? AND nonce = ? RETURNING nonce, deviceId, purpose, issuedAt, expiresAt`,
+                [deviceId, purpose, this.tenant, nonce]
+            )
+            : await this.run(
+                `DELETE FROM challenges WHERE deviceId = ? AND purpose = ? AND tenant = ? RETURNING nonce, deviceId, purpose, issuedAt, expiresAt`,
+                [deviceId, purpose, this.tenant]
+            );
+        if (!rows[0]) return null;
+
+        //Some drivers return BIGINT columns as strings
+        const challenge = rows[0];
+        return { ...challenge, issuedAt: Number(challenge.issuedAt), expiresAt: Number(challenge.expiresAt) };
+    }
+
+    //Challenges that were not consumed or purged yet, expired ones included
+    async listChallenges(deviceId, purpose) {
+        const rows = await this.run(
+            `SELECT nonce, deviceId, purpose, issuedAt, expiresAt FROM challenges WHERE deviceId = ? AND purpose = ? AND tenant = ? ORDER BY issuedAt`,
+            [deviceId, purpose, this.tenant]
+        );
+        return rows.map(challenge => ({ ...challenge, issuedAt: Number(challenge.issuedAt), expiresAt: Number(challenge.expiresAt) }));
+    }
+
+    //Expired data is purged for every tenant at once
+    async purgeChallenges(now) {
+        const expired = await this.run(`DELETE FROM challenges WHERE expiresAt <= ? RETURNING nonce`, [now]);
+        //Pending rows written by versions that kept the challenge in the attestations table
+        await this.run(`DELETE FROM attestations WHERE keyId IS NULL`);
+        return expired.length;
+    }
+
+    async recordAssertion(fingerprint, expiresAt, now) {
+        //Inserts the fingerprint, or takes over an expired one; returns no row for a live duplicate
+        const rows = await this.run(
+            `INSERT INTO assertion_replays (fingerprint, expiresAt) VALUES (?, ?)
+            ON CONFLICT (fingerprint) DO UPDATE SET expiresAt = excluded.expiresAt WHERE assertion_replays.expiresAt <= ?
+            RETURNING fingerprint`,
+            [fingerprint, expiresAt, now]
+        );
+        return rows.length > 0;
+    }
+
+    async purgeAssertions(now) {
+        const rows = await this.run(`DELETE FROM assertion_replays WHERE expiresAt <= ? RETURNING fingerprint`, [now]);
+        return rows.length;
+    }
+
+    /**
+     * Takes a token from a rate limit bucket in one statement, so that concurrent
+     * requests cannot both take the last token.
+     * @returns {Promise<Object>} `{ allowed, tokens }` with the tokens left (or available, when refused)
+     */
+    async takeToken(bucket, { capacity, refillInterval }, now) {
+        const level = `rate_limits.tokens + (CAST(? AS BIGINT) - rate_limits.updatedAt) * CAST(? AS DOUBLE PRECISION)`;
+        const refilled = `CASE WHEN ${level} > ? THEN ? ELSE ${level} END`;
+        const refilledArgs = [now, 1 / (refillInterval * 1000), capacity, capacity, now, 1 / (refillInterval * 1000)];
+        //A bucket left alone for capacity * refillInterval is full again, the same as a missing one
+        const expiresAt = now + capacity * refillInterval * 1000;
+
+        const rows = await this.run(
+            `INSERT INTO rate_limits (bucket, tokens, updatedAt, expiresAt) VALUES (?, ?, ?, ?)
+            ON CONFLICT (bucket) DO UPDATE SET tokens = ${refilled} - 1, updatedAt = excluded.updatedAt, expiresAt = excluded.expiresAt
+            WHERE ${refilled} >= 1
+            RETURNING tokens`,
+            [bucket, capacity - 1, now, expiresAt, ...refilledArgs, ...refilledArgs]
+        );
+        if (rows.length > 0) return { allowed: true, tokens: Number(rows[0].tokens) };
+
+        const current = await this.run(`SELECT ${refilled} AS tokens FROM rate_limits WHERE bucket = ?`, [...refilledArgs, bucket]);
+        return { allowed: false, tokens: current[0] ? Number(current[0].tokens) : 0 };
+    }
+
+    //Gives back a token taken for a request that was refused by another bucket
+    async returnToken(bucket, { capacity, refillInterval }, now) {
+        const level = `tokens + (CAST(? AS BIGINT) - updatedAt) * CAST(? AS DOUBLE PRECISION) + 1`;
+        const levelArgs = [now, 1 / (refillInterval * 1000)];
+        await this.run(
+            `UPDATE rate_limits SET tokens = CASE WHEN ${level} > ? THEN ? ELSE ${level} END, updatedAt = ? WHERE bucket = ?`,
+            [...levelArgs, capacity, capacity, ...levelArgs, now, bucket]
+        );
+    }
+
+    async purgeRateLimits(now) {
+        const rows = await this.run(`DELETE FROM rate_limits WHERE expiresAt <= ? RETURNING bucket`, [now]);
+        return rows.length;
+    }
+
+    async saveKey(deviceId, keyId, publicKey, details = {}) {
+        await this.run(
+            `INSERT INTO attestations (deviceId, keyId, publicKey, counter, appId, environment, tenant) VALUES (?, ?, ?, 0, ?, ?, ?)`,
+            [deviceId, keyId, publicKey, details.appId || null, details.environment || null, this.tenant]
+        );
+    }
+
+    async loadKey(deviceId, keyId) {
+        const rows = await this.run(
+            `SELECT ${KEY_COLUMNS}, publicKey FROM attestations WHERE keyId = ? AND deviceId = ? AND tenant = ?`,
+            [keyId, deviceId, this.tenant]
+        );
+        return rows[0] ? keyRow(rows[0]) : null;
+    }
+
+    //Looks a key up whatever device it is registered for
+    async findKey(keyId) {
+        const rows = await this.run(`SELECT ${KEY_COLUMNS} FROM attestations WHERE keyId = ? AND tenant = ?`, [keyId, this.tenant]);
+        return rows[0] ? keyRow(rows[0]) : null;
+    }
+
+    async updateCounter(keyId, expected, next) {
+        const rows = await this.run(
+            `UPDATE attestations SET counter = ?, updatedAt = CURRENT_TIMESTAMP WHERE keyId = ? AND tenant = ? AND counter = ? RETURNING counter`,
+            [next, keyId, this.tenant, expected]
+        );
+        return rows.length > 0;
+    }
+
+    async revokeKey(keyId, { reason = null, revokedAt = Date.now() } = {}) {
+        const rows = await this.run(
+            `UPDATE attestations SET revokedAt = ?, revokeReason = ? WHERE keyId = ? AND tenant = ? RETURNING keyId`,
+            [revokedAt, reason, keyId, this.tenant]
+        );
+        return rows.length > 0;
+    }
+
+    //Starts the grace period of a key replaced by a newer one (see KeyRotation.js)
+    async supersedeKey(keyId, { supersededAt = Date.now(), retiresAt = supersededAt } = {}) {
+        const rows = await this.run(
+            `UPDATE attestations SET supersededAt = ?, retiresAt = ? WHERE keyId = ? AND tenant = ? AND supersededAt IS NULL RETURNING keyId`,
+            [supersededAt, retiresAt, keyId, this.tenant]
+        );
+        return rows.length > 0;
+    }
+
+    //Deletes superseded keys whose grace period has ended, with their receipts
+    async deleteRetiredKeys(now) {
+        await this.run(
+            `DELETE FROM receipts WHERE tenant = ? AND keyId IN (SELECT keyId FROM attestations WHERE tenant = ? AND retiresAt <= ?)`,
+            [this.tenant, this.tenant, now]
+        );
+        const rows = await this.run(`DELETE FROM attestations WHERE tenant = ? AND retiresAt <= ? RETURNING keyId`, [this.tenant, now]);
+        return rows.length;
+    }
+
+    async unrevokeKey(keyId) {
+        const rows = await this.run(
+            `UPDATE attestations SET revokedAt = NULL, revokeReason = NULL WHERE keyId = ? AND tenant = ? AND revokedAt IS NOT NULL RETURNING keyId`,
+            [keyId, this.tenant]
+        );
+        return rows.length > 0;
+    }
+
+    async quarantineKey(keyId, { reason = null, quarantinedAt = Date.now() } = {}) {
+        const rows = await this.run(
+            `UPDATE attestations SET quarantinedAt = ?, quarantineReason = ? WHERE keyId = ? AND tenant = ? AND quarantinedAt IS NULL RETURNING keyId`,
+            [quarantinedAt, reason, keyId, this.tenant]
+        );
+        return rows.length > 0;
+    }
+
+    //Lifts the quarantine; the anomalies that led to it are marked as reviewed and no longer count
+    async releaseKey(keyId, reviewedAt = Date.now()) {
+        const rows = await this.run(
+            `UPDATE attestations SET quarantinedAt = NULL, quarantineReason = NULL WHERE keyId = ? AND tenant = ? AND quarantinedAt IS NOT NULL RETURNING keyId`,
+            [keyId, this.tenant]
+        );
+        await this.run(`UPDATE anomalies SET reviewedAt = ? WHERE keyId = ? AND tenant = ? AND reviewedAt IS NULL`, [reviewedAt, keyId, this.tenant]);
+        return rows.length > 0;
+    }
+
+    async recordAnomaly({ keyId, deviceId, type, details = {}, occurredAt }) {
+        await this.run(
+            `INSERT INTO anomalies (keyId, deviceId, type, details, tenant, occurredAt) VALUES (?, ?, ?, ?, ?, ?)`,
+            [keyId, deviceId || null, type, JSON.stringify(details), this.tenant, occurredAt]
+        );
+    }
+
+    //Counts the anomalies of a type that were not reviewed yet
+    async countAnomalies(keyId, type, since) {
+        const rows = await this.run(
+            `SELECT COUNT(*) AS count FROM anomalies WHERE keyId = ? AND type = ? AND tenant = ? AND occurredAt >= ? AND reviewedAt IS NULL`,
+            [keyId, type, this.tenant, since]
+        );
+        return Number(rows[0].count);
+    }
+
+    async listAnomalies({ keyId, deviceId, type, since, limit = 100 } = {}) {
+        const filters = [['keyId', keyId], ['deviceId', deviceId], ['type', type]].filter(([, value]) => value);
+        const conditions = ['tenant = ?', ...filters.map(([column]) => `${column} = ?`)];
+        const args = [this.tenant, ...filters.map(([, value]) => value)];
+        if (since) {
+            conditions.push('occurredAt >= ?');
+            args.push(since);
+        }
+
+        const rows = await this.run(
+            `SELECT id, keyId, deviceId, type, details, occurredAt, reviewedAt FROM anomalies WHERE ${conditions.join(' AND ')} ORDER BY id DESC LIMIT ?`,
+            [...args, limit]
+        );
+        return rows.map(row => ({
+            ...row,
+            id: Number(row.id),
+            details: row.details ? JSON.parse(row.details) : {},
+            occurredAt: toNumber(row.occurredAt),
+            reviewedAt: toNumber(row.reviewedAt)
+        }));
+    }
+
+    async recordAuditEvent({ type, deviceId, keyId, outcome, reason, counterBefore, counterAfter, clientIp, occurredAt }) {
+        await this.run(
+            `INSERT INTO audit_events (type, deviceId, keyId, outcome, reason, counterBefore, counterAfter, clientIp, tenant, occurredAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [type, deviceId, keyId, outcome, reason, counterBefore, counterAfter, clientIp, this.tenant, occurredAt]
+        );
+    }
+
+    //Events in insertion order ('asc') or newest first ('desc'); a null limit returns every match
+    async listAuditEvents({ deviceId, keyId, type, since, until, limit = 100, order = 'desc' } = {}) {
+        const filters = [['deviceId', deviceId], ['keyId', keyId], ['type', type]].filter(([, value]) => value);
+        const conditions = ['tenant = ?', ...filters.map(([column]) => `${column} = ?`)];
+        const args = [this.tenant, ...filters.map(([, value]) => value)];
+        if (since) {
+            conditions.push('occurredAt >= ?');
+            args.push(since);
+        }
+        if (until) {
+            conditions.push('occurredAt < ?');
+            args.push(until);
+        }
+
+        const rows = await this.run(
+            `SELECT id, type, deviceId, keyId, outcome, reason, counterBefore, counterAfter, clientIp, occurredAt FROM audit_events
+            WHERE ${conditions.join(' AND ')} ORDER BY id ${order === 'asc' ? 'ASC' : 'DESC'}${limit ? ' LIMIT ?' : ''}`,
+            limit ? [...args, limit] : args
+        );
+        return rows.map(row => ({
+            ...row,
+            id: Number(row.id),
+            counterBefore: toNumber(row.counterBefore),
+            counterAfter: toNumber(row.counterAfter),
+            occurredAt: toNumber(row.occurredAt)
+        }));
+    }
+
+    async purgeAuditEvents(before) {
+        const rows = await this.run(`DELETE FROM audit_events WHERE tenant = ? AND occurredAt < ? RETURNING id`, [this.tenant, before]);
+        return rows.length;
+    }
+
+    async deleteDevice(deviceId) {
+        await this.run(
+            `DELETE FROM receipts WHERE tenant = ? AND keyId IN (SELECT keyId FROM attestations WHERE deviceId = ? AND tenant = ?)`,
+            [this.tenant, deviceId, this.tenant]
+        );
+        await this.run(`DELETE FROM challenges WHERE deviceId = ? AND tenant = ?`, [deviceId, this.tenant]);
+        await this.run(`DELETE FROM anomalies WHERE deviceId = ? AND tenant = ?`, [deviceId, this.tenant]);
+        const rows = await this.run(`DELETE FROM attestations WHERE deviceId = ? AND tenant = ? RETURNING keyId`, [deviceId, this.tenant]);
+        return rows.length;
+    }
+
+    async saveReceipt(keyId, { receipt, type, createdAt, notBefore, expiresAt, riskMetric, environment, updatedAt }) {
+        await this.run(
+            `INSERT INTO receipts (keyId, receipt, type, createdAt, notBefore, expiresAt, riskMetric, environment, tenant, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (keyId) DO UPDATE SET receipt = excluded.receipt, type = excluded.type, createdAt = excluded.createdAt,
+            notBefore = excluded.notBefore, expiresAt = excluded.expiresAt, riskMetric = excluded.riskMetric,
+            environment = excluded.environment, updatedAt = excluded.updatedAt
+            WHERE receipts.tenant = excluded.tenant`,
+            [keyId, receipt, type, createdAt, notBefore, expiresAt, riskMetric, environment || null, this.tenant, updatedAt]
+        );
+    }
+
+    async loadReceipt(keyId) {
+        const rows = await this.run(
+            `SELECT keyId, receipt, type, createdAt, notBefore, expiresAt, riskMetric, environment, updatedAt FROM receipts WHERE keyId = ? AND tenant = ?`,
+            [keyId, this.tenant]
+        );
+        if (!rows[0]) return null;
+
+        //Some drivers return BIGINT columns as strings
+        const row = rows[0];
+        return {
+            ...row,
+            createdAt: toNumber(row.createdAt),
+            notBefore: toNumber(row.notBefore),
+            expiresAt: toNumber(row.expiresAt),
+            riskMetric: toNumber(row.riskMetric),
+            updatedAt: toNumber(row.updatedAt)
+        };
+    }
+
+    async listKeys(deviceId) {
+        const columns = `${KEY_COLUMNS}, createdAt, updatedAt`;
+        const rows = deviceId
+            ? await this.run(`SELECT ${columns} FROM attestations WHERE keyId IS NOT NULL AND tenant = ? AND deviceId = ? ORDER BY id`, [this.tenant, deviceId])
+            : await this.run(`SELECT ${columns} FROM attestations WHERE keyId IS NOT NULL AND tenant = ? ORDER BY id`, [this.tenant]);
+        return rows.map(keyRow);
+    }
+}
+
+SqlStore.DIALECTS = DIALECTS;
+SqlStore.DEFAULT_TENANT = DEFAULT_TENANT;
+
+module.exports = SqlStore
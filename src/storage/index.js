@@ -0,0 +1,39 @@
+/**
+ * Storage adapters for attestation data.
+ *
+ * Every adapter implements the same asynchronous interface:
+ *
+ * @typedef {Object} AttestationStore
+ * @property {function(): Promise<void>} init - Prepares the backing storage (idempotent)
+ * @property {function(): Promise<Object>} [migrate] - Applies pending schema migrations and returns `{ from, to, applied }` (see Migrations.js)
+ * @property {function(Object): Promise<void>} issueChallenge - Stores `{ nonce, deviceId, purpose, issuedAt, expiresAt }`; the device's other challenges and keys are kept
+ * @property {function(string, string, string=): Promise<?Object>} consumeChallenge - Atomically deletes and returns a device's challenge for a purpose (optionally matching a nonce)
+ * @property {function(string, string): Promise<Array>} listChallenges - Lists a device's challenges for a purpose that were not consumed or purged, oldest first
+ * @property {function(number): Promise<number>} purgeChallenges - Deletes challenges that expired before the given time (ms) and returns how many
+ * @property {function(string, number, number): Promise<boolean>} recordAssertion - Records an assertion fingerprint until `expiresAt` (ms); false if a live entry already exists
+ * @property {function(number): Promise<number>} purgeAssertions - Deletes expired assertion fingerprints and returns how many
+ * @property {function(string, string, string, Object=): Promise<void>} saveKey - Stores the attested keyId and PEM public key for a device, with `{ appId, environment }`
+ * @property {function(string, string): Promise<?Object>} loadKey - Returns `{ deviceId, keyId, publicKey, counter, appId, environment, revokedAt, revokeReason, supersededAt, retiresAt }` or null
+ * @property {function(string, number, number): Promise<boolean>} updateCounter - Sets the counter only if it still equals the expected value
+ * @property {function(string, Object=): Promise<boolean>} revokeKey - Marks a key as revoked with `{ reason, revokedAt }` (ms); revoked keys are kept until the device is deleted
+ * @property {function(string, Object): Promise<boolean>} supersedeKey - Marks a key as replaced with `{ supersededAt, retiresAt }` (ms), unless it already is
+ * @property {function(number): Promise<number>} deleteRetiredKeys - Deletes superseded keys (and their receipts) whose `retiresAt` has passed and returns how many
+ * @property {function(string): Promise<boolean>} unrevokeKey - Lifts the revocation of a key
+ * @property {function(string): Promise<number>} deleteDevice - Deletes every key, receipt and challenge of a device and returns how many keys were removed
+ * @property {function(string, Object): Promise<void>} saveReceipt - Stores or replaces the App Attest receipt of a key: `{ receipt, type, createdAt, notBefore, expiresAt, riskMetric, environment, updatedAt }` (base64 receipt, times in ms)
+ * @property {function(string): Promise<?Object>} loadReceipt - Returns the stored receipt of a key or null
+ * @property {function(string=): Promise<Array>} listKeys - Lists registered keys (with `revokedAt`, `revokeReason`), optionally for a single device
+ * @property {function(string): AttestationStore} [forTenant] - Returns the store partition of a tenant (needed for tenants without their own store)
+ */
+
+const SqlStore = require('./SqlStore');
+const SQLiteStore = require('./SQLiteStore');
+const MemoryStore = require('./MemoryStore');
+const { SCHEMA_VERSION } = require('./Migrations');
+
+module.exports = {
+    SqlStore,
+    SQLiteStore,
+    MemoryStore,
+    SCHEMA_VERSION
+}
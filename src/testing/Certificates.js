@@ -0,0 +1,161 @@
+/**
+ * Minimal X.509 and CMS builders for test fixtures: certificates signed by a given
+ * key, and CMS SignedData structures like App Attest receipts. Only what the
+ * validators read is supported; do not use this for real PKI.
+ */
+
+const crypto = require('crypto');
+const asn1js = require('asn1js');
+const { AsnConvert, OctetString } = require('@peculiar/asn1-schema');
+const x509 = require('@peculiar/asn1-x509');
+const cms = require('@peculiar/asn1-cms');
+
+const COMMON_NAME_OID = '2.5.4.3'
+const ORGANIZATION_OID = '2.5.4.10'
+const ECDSA_WITH_SHA256_OID = '1.2.840.10045.4.3.2'
+const ECDSA_WITH_SHA384_OID = '1.2.840.10045.4.3.3'
+const SHA256_OID = '2.16.840.1.101.3.4.2.1'
+const CONTENT_TYPE_ATTRIBUTE_OID = '1.2.840.113549.1.9.3'
+
+const SIGNATURE_ALGORITHMS = {
+    sha256: ECDSA_WITH_SHA256_OID,
+    sha384: ECDSA_WITH_SHA384_OID
+}
+
+const toArrayBuffer = (buffer) => new Uint8Array(buffer).buffer
+
+const name = ({ commonName, organization }) => new x509.Name([
+    ...(organization ? [new x509.RelativeDistinguishedName([
+        new x509.AttributeTypeAndValue({ type: ORGANIZATION_OID, value: new x509.AttributeValue({ utf8String: organization }) })
+    ])] : []),
+    new x509.RelativeDistinguishedName([
+        new x509.AttributeTypeAndValue({ type: COMMON_NAME_OID, value: new x509.AttributeValue({ utf8String: commonName }) })
+    ])
+])
+
+const extension = (extnID, critical, value) => new x509.Extension({
+    extnID,
+    critical,
+    extnValue: new OctetString(toArrayBuffer(value))
+})
+
+//A positive serial number of 16 random bytes; a non-zero first byte keeps the DER integer minimal
+const serialNumber = () => {
+    const serial = crypto.randomBytes(16)
+    serial[0] = (serial[0] & 0x7f) || 0x01
+    return toArrayBuffer(serial)
+}
+
+/**
+ * Creates a certificate.
+ * @param {Object} options - Certificate contents
+ * @param {Object} options.subject - `{ commonName, organization }`
+ * @param {Object} [options.issuer] - `{ commonName, organization }` of the issuer (defaults to the subject, for self-signed roots)
+ * @param {KeyObject} options.publicKey - Subject public key
+ * @param {KeyObject} options.signingKey - Issuer private key (EC)
+ * @param {string} [options.hash='sha256'] - 'sha256' or 'sha384'
+ * @param {Date} [options.notBefore] - Start of validity (defaults to an hour ago)
+ * @param {Date} [options.notAfter] - End of validity (defaults to a year from now)
+ * @param {boolean} [options.ca=false] - Adds basicConstraints CA:true and keyUsage keyCertSign, cRLSign
+ * @param {Object[]} [options.extensions] - More extensions: `{ oid, critical, value }` with a DER Buffer value
+ * @returns {Buffer} DER certificate
+ */
+const createCertificate = (options) => {
+    const hash = options.hash || 'sha256'
+    const signature = new x509.AlgorithmIdentifier({ algorithm: SIGNATURE_ALGORITHMS[hash] })
+    const now = Date.now()
+
+    const extensions = (options.extensions || []).map(({ oid, critical = false, value }) => extension(oid, critical, value))
+    if (options.ca) {
+        extensions.unshift(
+            extension(x509.id_ce_basicConstraints, true, AsnConvert.serialize(new x509.BasicConstraints({ cA: true }))),
+            extension(x509.id_ce_keyUsage, true, AsnConvert.serialize(
+                new x509.KeyUsage(x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign)
+            ))
+        )
+    }
+
+    const tbsCertificate = new x509.TBSCertificate({
+        version: x509.Version.v3,
+        serialNumber: serialNumber(),
+        signature,
+        issuer: name(options.issuer || options.subject),
+        validity: new x509.Validity({
+            notBefore: options.notBefore || new Date(now - 60 * 60 * 1000),
+            notAfter: options.notAfter || new Date(now + 365 * 24 * 60 * 60 * 1000)
+        }),
+        subject: name(options.subject),
+        subjectPublicKeyInfo: AsnConvert.parse(options.publicKey.export({ type: 'spki', format: 'der' }), x509.SubjectPublicKeyInfo),
+        extensions: extensions.length > 0 ? new x509.Extensions(extensions) : undefined
+    })
+
+    const tbs = Buffer.from(AsnConvert.serialize(tbsCertificate))
+    return Buffer.from(AsnConvert.serialize(new x509.Certificate({
+        tbsCertificate,
+        signatureAlgorithm: signature,
+        signatureValue: toArrayBuffer(crypto.sign(hash, tbs, options.signingKey))
+    })))
+}
+
+/**
+ * Signs content into a CMS SignedData structure (SHA-256, with signed attributes),
+ * the format of App Attest receipts.
+ * @param {Buffer} content - Encapsulated content
+ * @param {Object} signer - Signing identity
+ * @param {Buffer} signer.certificate - DER certificate of the signer
+ * @param {KeyObject} signer.privateKey - Private key of the signer (EC)
+ * @param {Buffer[]} [certificates] - More DER certificates to include (intermediates)
+ * @returns {Buffer} DER ContentInfo
+ */
+const signContent = (content, signer, certificates = []) => {
+    const signerCertificate = AsnConvert.parse(signer.certificate, x509.Certificate)
+    const signedAttrs = [
+        new cms.Attribute({ attrType: CONTENT_TYPE_ATTRIBUTE_OID, attrValues: [AsnConvert.serialize(new asn1js.ObjectIdentifier({ value: cms.id_data }))] }),
+        new cms.Attribute({ attrType: cms.id_messageDigest, attrValues: [AsnConvert.serialize(new OctetString(toArrayBuffer(crypto.createHash('sha256').update(content).digest())))] })
+    ]
+
+    //The signature covers the attributes encoded as a DER SET OF, as Receipt.js verifies them
+    const signedAttributes = Buffer.from(new asn1js.Set({
+        value: signedAttrs.map(attribute => asn1js.fromBER(AsnConvert.serialize(attribute)).result)
+    }).toBER())
+
+    const signerInfo = new cms.SignerInfo({
+        version: cms.CMSVersion.v1,
+        sid: new cms.SignerIdentifier({
+            issuerAndSerialNumber: new cms.IssuerAndSerialNumber({
+                issuer: signerCertificate.tbsCertificate.issuer,
+                serialNumber: signerCertificate.tbsCertificate.serialNumber
+            })
+        }),
+        digestAlgorithm: new x509.AlgorithmIdentifier({ algorithm: SHA256_OID }),
+        signedAttrs,
+        signatureAlgorithm: new x509.AlgorithmIdentifier({ algorithm: ECDSA_WITH_SHA256_OID }),
+        signature: new OctetString(toArrayBuffer(crypto.sign('sha256', signedAttributes, signer.privateKey)))
+    })
+
+    const signedData = new cms.SignedData({
+        version: cms.CMSVersion.v1,
+        digestAlgorithms: new cms.DigestAlgorithmIdentifiers([new x509.AlgorithmIdentifier({ algorithm: SHA256_OID })]),
+        encapContentInfo: new cms.EncapsulatedContentInfo({
+            eContentType: cms.id_data,
+            eContent: new cms.EncapsulatedContent({ single: new OctetString(toArrayBuffer(content)) })
+        }),
+        certificates: new cms.CertificateSet([signer.certificate, ...certificates].map(der =>
+            new cms.CertificateChoices({ certificate: AsnConvert.parse(der, x509.Certificate) })
+        )),
+        signerInfos: new cms.SignerInfos([signerInfo])
+    })
+
+    return Buffer.from(AsnConvert.serialize(new cms.ContentInfo({
+        contentType: cms.id_signedData,
+        content: AsnConvert.serialize(signedData)
+    })))
+}
+
+/**
+ * @param {string} [namedCurve='P-256'] - Curve name
+ * @returns {{ privateKey: KeyObject, publicKey: KeyObject }} New EC key pair
+ */
+const generateKeyPair = (namedCurve = 'P-256') => crypto.generateKeyPairSync('ec', { namedCurve })
+
+module.exports = { createCertificate, signContent, generateKeyPair }
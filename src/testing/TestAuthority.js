@@ -0,0 +1,254 @@
+/**
+ * A throwaway App Attest certificate authority for offline tests: it plays the part
+ * of Apple's attestation service and of the Secure Enclave, so that attestation and
+ * assertion flows can run end to end without a device.
+ *
+ * Its root signs both the attestation intermediate and the receipt signer, so one
+ * trust anchor is enough: pass `authority.trustedRoots()` to `configure()`.
+ */
+
+const crypto = require('crypto');
+const cbor = require('cbor');
+const asn1js = require('asn1js');
+const { createCertificate, signContent, generateKeyPair } = require('./Certificates');
+const { canonicalJSON } = require('../utils/CanonicalJSON');
+
+const APP_ATTEST_NONCE_OID = '1.2.840.113635.100.8.2'
+
+const AAGUIDS = {
+    development: Buffer.from('appattestdevelop'),
+    production: Buffer.concat([Buffer.from('appattest'), Buffer.alloc(7)])
+}
+
+//Receipt payload field types (Apple's "Assessing fraud risk"), see Receipt.js
+const RECEIPT_FIELD_TYPES = {
+    appId: 2,
+    attestedCertificate: 3,
+    clientHash: 4,
+    token: 5,
+    type: 6,
+    createdAt: 12,
+    riskMetric: 17,
+    notBefore: 19,
+    expiresAt: 21
+}
+
+const ROOT_NAME = { commonName: 'Test App Attestation Root CA', organization: 'app-attest-server' }
+const INTERMEDIATE_NAME = { commonName: 'Test App Attestation CA 1', organization: 'app-attest-server' }
+const RECEIPT_SIGNER_NAME = { commonName: 'Test App Attest Receipt Signing', organization: 'app-attest-server' }
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest()
+
+const toPEM = (der) => new crypto.X509Certificate(der).toString()
+
+const appIdOf = (options) => options.appId || `${options.teamId}.${options.bundleIdentifier}`
+
+//The App Attest nonce extension: SEQUENCE { [1] EXPLICIT OCTET STRING nonce }
+const nonceExtension = (nonce) => Buffer.concat([Buffer.from([0x30, 0x24, 0xa1, 0x22, 0x04, 0x20]), nonce])
+
+//The uncompressed EC point of a P-256 public key, which the key ID is the hash of
+const publicKeyPoint = (publicKey) => publicKey.export({ type: 'spki', format: 'der' }).slice(26)
+
+const coseKey = (publicKey) => {
+    const point = publicKeyPoint(publicKey)
+    return cbor.encode(new Map([[1, 2], [3, -7], [-1, 1], [-2, point.slice(1, 33)], [-3, point.slice(33)]]))
+}
+
+const counterBytes = (counter) => {
+    const bytes = Buffer.alloc(4)
+    bytes.writeUInt32BE(counter)
+    return bytes
+}
+
+const receiptField = (type, value) => new asn1js.Sequence({
+    value: [
+        new asn1js.Integer({ value: type }),
+        new asn1js.Integer({ value: 1 }),
+        new asn1js.OctetString({ valueHex: new Uint8Array(Buffer.from(value)) })
+    ]
+})
+
+class TestAuthority {
+    /**
+     * Creates a new root CA (P-384), an attestation intermediate CA and a receipt signer.
+     * @param {Object} [options] - Authority options
+     * @param {Date} [options.notBefore] - Start of the certificates' validity (defaults to an hour ago)
+     * @param {Date} [options.notAfter] - End of the certificates' validity (defaults to a year from now)
+     */
+    constructor(options = {}) {
+        const validity = { notBefore: options.notBefore, notAfter: options.notAfter }
+
+        this.rootKeys = generateKeyPair('P-384')
+        this.rootCertificate = createCertificate({
+            ...validity, subject: ROOT_NAME, publicKey: this.rootKeys.publicKey, signingKey: this.rootKeys.privateKey, hash: 'sha384', ca: true
+        })
+
+        this.intermediateKeys = generateKeyPair('P-384')
+        this.intermediateCertificate = createCertificate({
+            ...validity, subject: INTERMEDIATE_NAME, issuer: ROOT_NAME, publicKey: this.intermediateKeys.publicKey,
+            signingKey: this.rootKeys.privateKey, hash: 'sha384', ca: true
+        })
+
+        this.receiptKeys = generateKeyPair('P-256')
+        this.receiptCertificate = createCertificate({
+            ...validity, subject: RECEIPT_SIGNER_NAME, issuer: ROOT_NAME, publicKey: this.receiptKeys.publicKey,
+            signingKey: this.rootKeys.privateKey, hash: 'sha384'
+        })
+    }
+
+    /**
+     * @returns {string} PEM of the root certificate
+     */
+    get rootPEM() {
+        return toPEM(this.rootCertificate)
+    }
+
+    /**
+     * Configuration that makes the validators trust this authority instead of Apple.
+     * @returns {Object} `{ attestationRootCertificates, receiptRootCertificates }`
+     */
+    trustedRoots() {
+        return { attestationRootCertificates: [this.rootPEM], receiptRootCertificates: [this.rootPEM] }
+    }
+
+    /**
+     * Creates an App Attest key as the Secure Enclave would (P-256).
+     * @returns {Object} `{ keyId, privateKey, publicKey, publicKeyPEM, counter }`; `counter` is the
+     * last counter used by assertion(), starting at 0
+     */
+    createKey() {
+        const { privateKey, publicKey } = generateKeyPair('P-256')
+        return {
+            keyId: sha256(publicKeyPoint(publicKey)).toString('base64'),
+            privateKey,
+            publicKey,
+            publicKeyPEM: publicKey.export({ type: 'spki', format: 'pem' }),
+            counter: 0
+        }
+    }
+
+    /**
+     * Creates an App Attest receipt signed by this authority.
+     * @param {Object} options - Receipt fields
+     * @param {string} [options.appId] - `TEAMID.bundle.identifier` (or pass teamId and bundleIdentifier)
+     * @param {string} [options.type='ATTEST'] - 'ATTEST' or 'RECEIPT'
+     * @param {Buffer} [options.attestedCertificate] - DER credential certificate
+     * @param {Date} [options.createdAt] - Creation time (defaults to now)
+     * @param {number} [options.riskMetric] - Fraud risk metric, for 'RECEIPT' receipts
+     * @param {Buffer|string} [options.token] - Opaque token
+     * @returns {Buffer} DER receipt
+     */
+    receipt(options = {}) {
+        const createdAt = options.createdAt || new Date()
+        const fields = {
+            appId: appIdOf(options),
+            attestedCertificate: options.attestedCertificate,
+            clientHash: options.clientHash,
+            token: options.token || crypto.randomBytes(16).toString('base64'),
+            type: options.type || 'ATTEST',
+            createdAt: createdAt.toISOString(),
+            riskMetric: options.riskMetric !== undefined ? String(options.riskMetric) : undefined,
+            notBefore: new Date(createdAt.getTime() + 24 * 60 * 60 * 1000).toISOString(),
+            expiresAt: new Date(createdAt.getTime() + 90 * 24 * 60 * 60 * 1000).toISOString()
+        }
+
+        const payload = Buffer.from(new asn1js.Set({
+            value: Object.entries(fields)
+                .filter(([, value]) => value !== undefined)
+                .map(([name, value]) => receiptField(RECEIPT_FIELD_TYPES[name], value))
+        }).toBER())
+
+        return signContent(payload, { certificate: this.receiptCertificate, privateKey: this.receiptKeys.privateKey })
+    }
+
+    /**
+     * Creates an attestation object for a key, as DCAppAttestService.attestKey would.
+     * The defaults produce a valid attestation; the options break single steps on purpose.
+     *
+     * @param {Object} key - Key from createKey()
+     * @param {Object} options - Attestation contents
+     * @param {string} options.challenge - Attestation challenge (the nonce issued by getNonce)
+     * @param {string} [options.appId] - `TEAMID.bundle.identifier` (or pass teamId and bundleIdentifier)
+     * @param {string} [options.environment='production'] - 'production' or 'development' (sets the AAGUID)
+     * @param {Buffer} [options.aaguid] - Raw 16-byte AAGUID, overriding the environment
+     * @param {Buffer} [options.rpIdHash] - RP ID hash, overriding the hash of the App ID
+     * @param {number} [options.counter=0] - Authenticator data counter
+     * @param {Buffer} [options.nonce] - Value of the nonce extension, overriding the correct one
+     * @param {Buffer|false} [options.receipt] - Receipt to embed (false for none; defaults to a valid ATTEST receipt)
+     * @param {Date} [options.notBefore] - Start of the credential certificate's validity
+     * @param {Date} [options.notAfter] - End of the credential certificate's validity
+ * @param {Buffer[]} [options.x5c] - Certificates after the credential certificate (defaults to the intermediate)
+     * @returns {Object} `{ keyId, attestationObject }` with the base64 attestation object, plus `credCertificate` (DER)
+     */
+    attestation(key, options) {
+        const rpIdHash = options.rpIdHash || sha256(appIdOf(options))
+        const aaguid = options.aaguid || AAGUIDS[options.environment || 'production']
+        const credentialId = Buffer.from(key.keyId, 'base64')
+
+        const authData = Buffer.concat([
+            rpIdHash,
+            Buffer.from([0x40]), //Attested credential data included
+            counterBytes(options.counter || 0),
+            aaguid,
+            Buffer.from([0, credentialId.length]),
+            credentialId,
+            coseKey(key.publicKey)
+        ])
+
+        //Apple's clientDataHash is the SHA-256 of the challenge
+        const nonce = options.nonce || sha256(Buffer.concat([authData, sha256(Buffer.from(options.challenge, 'base64'))]))
+        const credCertificate = createCertificate({
+            subject: { commonName: crypto.randomBytes(32).toString('hex') },
+            issuer: INTERMEDIATE_NAME,
+            publicKey: key.publicKey,
+            signingKey: this.intermediateKeys.privateKey,
+            hash: 'sha384',
+            notBefore: options.notBefore,
+            notAfter: options.notAfter,
+            extensions: [{ oid: APP_ATTEST_NONCE_OID, value: nonceExtension(nonce) }]
+        })
+
+        const receipt = options.receipt === false
+            ? undefined
+            : options.receipt || this.receipt({ appId: appIdOf(options), attestedCertificate: credCertificate })
+
+        const x5c = [credCertificate, ...(options.x5c || [this.intermediateCertificate])]
+        const attestationObject = cbor.encode({
+            fmt: 'apple-appattest',
+            attStmt: receipt ? { x5c, receipt } : { x5c },
+            authData
+        })
+
+        return { keyId: key.keyId, attestationObject: attestationObject.toString('base64'), credCertificate }
+    }
+
+    /**
+     * Signs an assertion with a key, as DCAppAttestService.generateAssertion would
+     * after the client hashed its clientData with JSONEncoder (`.sortedKeys`).
+     *
+     * @param {Object} key - Key from createKey(); its counter is advanced
+     * @param {Object} clientData - Values the client signs (e.g. `{ nonce }`)
+     * @param {Object} options - Assertion contents
+     * @param {string} [options.appId] - `TEAMID.bundle.identifier` (or pass teamId and bundleIdentifier)
+     * @param {Buffer} [options.rpIdHash] - RP ID hash, overriding the hash of the App ID
+     * @param {number} [options.counter] - Counter to use (defaults to the key's counter + 1)
+     * @param {boolean} [options.escapeSlashes=true] - false to encode like `.withoutEscapingSlashes`
+     * @returns {string} Base64 assertion object
+     */
+    assertion(key, clientData, options) {
+        const counter = options.counter !== undefined ? options.counter : key.counter + 1
+        key.counter = Math.max(key.counter, counter)
+
+        const authenticatorData = Buffer.concat([
+            options.rpIdHash || sha256(appIdOf(options)),
+            Buffer.from([0x00]),
+            counterBytes(counter)
+        ])
+        const clientDataHash = sha256(canonicalJSON(clientData, { escapeSlashes: options.escapeSlashes }))
+        const signature = crypto.sign('sha256', sha256(Buffer.concat([authenticatorData, clientDataHash])), key.privateKey)
+
+        return cbor.encode({ signature, authenticatorData }).toString('base64')
+    }
+}
+
+module.exports = TestAuthority
@@ -0,0 +1,19 @@
+/**
+ * Fixtures for testing App Attest flows without a device or Apple's servers.
+ * Not loaded by the main entry point: require('app-attest-server/src/testing').
+ *
+ * @example
+ * const { TestAuthority } = require('app-attest-server/src/testing');
+ * const authority = new TestAuthority();
+ * AppAttest.configure({ store: new AppAttest.MemoryStore(), ...authority.trustedRoots() });
+ */
+
+const TestAuthority = require('./TestAuthority');
+const { createCertificate, signContent, generateKeyPair } = require('./Certificates');
+
+module.exports = {
+    TestAuthority,
+    createCertificate,
+    signContent,
+    generateKeyPair
+}
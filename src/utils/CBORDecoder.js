@@ -1,5 +1,6 @@
 const cbor = require('cbor');
 const base64url = require('base64url');
+const { logger } = require('./Logger');
 
 const decodeCborObject = (encryptedAppAttestObjectBase64) => {
 
@@ -18,8 +19,7 @@ const decodeCborObject = (encryptedAppAttestObjectBase64) => {
 
         return decodedAppAttestObjectByteArray;
     } catch (error) {
-        console.error('Error: Decoding Error.')
-        console.error(error)
+        logger.warn('CBOR decoding failed', { error: error.message })
         return false
     }
    
@@ -0,0 +1,157 @@
+/**
+ * JSON encoding that reproduces the output of Swift's JSONEncoder with
+ * `outputFormatting = .sortedKeys` (no pretty printing), so that the server hashes
+ * clientData byte for byte as the device did:
+ *   - object keys are sorted at every level, the way Foundation compares them
+ *     (numeric, case-insensitive, ties broken by code point)
+ *   - `"`, `\` and `/` are escaped (`/` is left alone with `.withoutEscapingSlashes`),
+ *     control characters use the short escapes or `\u00xx`; everything else is written as UTF-8
+ *   - numbers follow Swift's `Double.description`, without a trailing `.0`
+ *     (`1.0` → `1`, `0.00001` → `1e-05`, `1e20` → `1e+20`)
+ *   - Buffers are written as base64 strings, like Data with the default strategy
+ *
+ * Test vectors: test/fixtures/CanonicalJSONVectors.json, run by test/CanonicalJSON.test.js (`npm test`)
+ */
+
+const MAX_DECIMAL_MAGNITUDE = 2 ** 54 //Swift switches to exponent notation above 2^54 ...
+const MIN_DECIMAL_EXPONENT = -4       //... and below 1e-4
+
+const SHORT_ESCAPES = {
+    '"': '\\"',
+    '\\': '\\\\',
+    '/': '\\/',
+    '\b': '\\b',
+    '\f': '\\f',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t'
+};
+
+const escapeString = (value, escapeSlashes) => {
+    const pattern = escapeSlashes ? /["\\/\u0000-\u001f]/g : /["\\\u0000-\u001f]/g;
+    const escaped = value.replace(pattern, (char) =>
+        SHORT_ESCAPES[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+    );
+    return `"${escaped}"`;
+}
+
+/**
+ * Formats a number like Swift's `Double.description` as used by JSONEncoder.
+ * @param {number} value - Finite number
+ * @returns {string} JSON number
+ */
+const formatNumber = (value) => {
+    if (!Number.isFinite(value)) {
+        throw new TypeError(`${value} cannot be encoded as JSON`);
+    }
+    if (Object.is(value, -0)) return '-0';
+    if (Number.isSafeInteger(value)) return String(value);
+
+    //Shortest round-trip digits, as both JavaScript and Swift use them
+    const [mantissa, exponentText] = Math.abs(value).toExponential().split('e');
+    const digits = mantissa.replace('.', '');
+    const exponent = Number(exponentText);
+    const sign = value < 0 ? '-' : '';
+
+    if (exponent < MIN_DECIMAL_EXPONENT || Math.abs(value) > MAX_DECIMAL_MAGNITUDE) {
+        const fraction = digits.length > 1 ? `.${digits.slice(1)}` : '';
+        const exponentDigits = String(Math.abs(exponent)).padStart(2, '0');
+        return `${sign}${digits[0]}${fraction}e${exponent < 0 ? '-' : '+'}${exponentDigits}`;
+    }
+
+    if (exponent < 0) return `${sign}0.${'0'.repeat(-exponent - 1)}${digits}`;
+
+    const integer = digits.slice(0, exponent + 1).padEnd(exponent + 1, '0');
+    const fraction = digits.slice(exponent + 1);
+    return `${sign}${integer}${fraction ? `.${fraction}` : ''}`;
+}
+
+const isDigit = (char) => char >= '0' && char <= '9';
+
+//Splits a key into runs of digits and single other characters
+const keyTokens = (key) => key.toLowerCase().match(/[0-9]+|[^0-9]/gu) || [];
+
+const compareNumbers = (a, b) => {
+    const x = a.replace(/^0+(?=.)/, '');
+    const y = b.replace(/^0+(?=.)/, '');
+    if (x.length !== y.length) return x.length < y.length ? -1 : 1;
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+const compareCodePoints = (a, b) => {
+    const x = [...a];
+    const y = [...b];
+    for (let i = 0; i < Math.min(x.length, y.length); i++) {
+        const difference = x[i].codePointAt(0) - y[i].codePointAt(0);
+        if (difference !== 0) return difference < 0 ? -1 : 1;
+    }
+    return x.length === y.length ? 0 : x.length < y.length ? -1 : 1;
+}
+
+/**
+ * Orders keys like JSONEncoder's `.sortedKeys`: String.compare with the options
+ * `.numeric`, `.caseInsensitive` and `.forcedOrdering` ('a2' < 'a10', 'a' < 'B').
+ * @param {string} a - Key
+ * @param {string} b - Key
+ * @returns {number} Negative, zero or positive
+ */
+const compareKeys = (a, b) => {
+    const x = keyTokens(a);
+    const y = keyTokens(b);
+
+    for (let i = 0; i < Math.min(x.length, y.length); i++) {
+        const result = isDigit(x[i][0]) && isDigit(y[i][0])
+            ? compareNumbers(x[i], y[i])
+            : compareCodePoints(x[i], y[i]);
+        if (result !== 0) return result;
+    }
+    if (x.length !== y.length) return x.length < y.length ? -1 : 1;
+
+    //Forced ordering: keys that only differ in case or leading zeros still get a fixed order
+    return compareCodePoints(a, b);
+}
+
+const encodeValue = (value, escapeSlashes) => {
+    if (value === null || value === undefined) return 'null';
+
+    switch (typeof value) {
+        case 'string':
+            return escapeString(value, escapeSlashes);
+        case 'number':
+            return formatNumber(value);
+        case 'bigint':
+            return value.toString();
+        case 'boolean':
+            return value ? 'true' : 'false';
+    }
+
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return escapeString(Buffer.from(value).toString('base64'), escapeSlashes);
+    }
+
+    if (Array.isArray(value)) {
+        return `[${value.map(item => encodeValue(item, escapeSlashes)).join(',')}]`;
+    }
+
+    if (typeof value === 'object') {
+        const members = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort(compareKeys)
+            .map(key => `${escapeString(key, escapeSlashes)}:${encodeValue(value[key], escapeSlashes)}`);
+        return `{${members.join(',')}}`;
+    }
+
+    throw new TypeError(`Values of type ${typeof value} cannot be encoded as JSON`);
+}
+
+/**
+ * Encodes a value like Swift's `JSONEncoder` with `.sortedKeys`.
+ * @param {*} value - Value to encode (objects, arrays, strings, numbers, booleans, null, Buffers)
+ * @param {Object} [options] - Encoding options
+ * @param {boolean} [options.escapeSlashes=true] - Set to false for `.withoutEscapingSlashes`
+ * @returns {string} JSON text
+ * @throws {TypeError} For NaN, Infinity, functions and symbols, which JSONEncoder cannot encode either
+ */
+const canonicalJSON = (value, options = {}) => encodeValue(value, options.escapeSlashes !== false);
+
+module.exports = { canonicalJSON, compareKeys, formatNumber }
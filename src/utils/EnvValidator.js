@@ -2,6 +2,8 @@
  * Environment variable validation utilities for Apple App Attest
  */
 
+const { logger } = require('./Logger');
+
 /**
  * Validates Apple Team ID format
  * @param {string} teamId - The Team ID to validate
@@ -107,21 +109,16 @@ function loadAndValidateConfig() {
 
     // Log warnings
     if (validation.warnings.length > 0) {
-        console.warn('⚠️  Environment warnings:');
-        validation.warnings.forEach(warning => console.warn(`   ${warning}`));
-        console.warn('');
+        logger.warn('Environment warnings', { warnings: validation.warnings });
     }
 
     // Throw error if validation fails
     if (!validation.isValid) {
-        console.error('❌ Environment validation failed:');
-        validation.errors.forEach(error => console.error(`   ${error}`));
-        console.error('\nRequired environment variables:');
-        console.error('   APPLE_TEAM_ID=YOUR_10_CHAR_TEAM_ID');
-        console.error('   BUNDLE_IDENTIFIER=com.your.app');
-        console.error('\nOptional environment variables:');
-        console.error('   NODE_ENV=production|development');
-        console.error('   ATTESTATION_DB_PATH=./path/to/attestations.db');
+        logger.error('Environment validation failed', {
+            errors: validation.errors,
+            required: ['APPLE_TEAM_ID=YOUR_10_CHAR_TEAM_ID', 'BUNDLE_IDENTIFIER=com.your.app'],
+            optional: ['NODE_ENV=production|development', 'ATTESTATION_DB_PATH=./path/to/attestations.db']
+        });
         throw new Error('Environment validation failed. Please check your environment variables.');
     }
 
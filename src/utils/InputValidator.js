@@ -184,6 +184,105 @@ function validateAttestationBody(body) {
     };
 }
 
+/**
+ * Validates the plain values of an attestation registration
+ * @param {Object} input - `{ deviceId, keyId, attestationObject }`
+ * @returns {Object} Validation result
+ */
+function validateAttestationInput(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+        return { isValid: false, errors: ['Input must be an object'] };
+    }
+
+    if (!input.deviceId) {
+        errors.push('Missing required field: deviceId');
+    } else if (!isValidDeviceId(input.deviceId)) {
+        errors.push('Invalid deviceId format');
+    }
+
+    if (!input.keyId) {
+        errors.push('Missing required field: keyId');
+    } else if (!isValidKeyId(input.keyId)) {
+        errors.push('Invalid keyId format');
+    }
+
+    if (!input.attestationObject) {
+        errors.push('Missing required field: attestationObject');
+    } else if (!isValidBase64(input.attestationObject, { minLength: 100, maxLength: 10000 })) {
+        errors.push('Invalid attestationObject format');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validates the plain values of an assertion
+ * @param {Object} input - `{ deviceId, keyId, signature, nonce, clientData }`
+ * @returns {Object} Validation result
+ */
+function validateAssertionInput(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+        return { isValid: false, errors: ['Input must be an object'] };
+    }
+
+    const required = ['deviceId', 'keyId', 'signature', 'nonce', 'clientData'];
+    for (const field of required) {
+        if (!input[field]) {
+            errors.push(`Missing required field: ${field}`);
+        }
+    }
+
+    if (input.deviceId && !isValidDeviceId(input.deviceId)) {
+        errors.push('Invalid deviceId format');
+    }
+
+    if (input.keyId && !isValidKeyId(input.keyId)) {
+        errors.push('Invalid keyId format');
+    }
+
+    if (input.signature && !isValidBase64(input.signature)) {
+        errors.push('Invalid signature format');
+    }
+
+    if (input.nonce && !isValidNonce(input.nonce)) {
+        errors.push('Invalid nonce format');
+    }
+
+    if (input.clientData && (typeof input.clientData !== 'object' || Array.isArray(input.clientData))) {
+        errors.push('clientData must be an object');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Checks the app identity passed by the server
+ * @param {string} teamId - Apple Developer Team ID
+ * @param {string} bundleIdentifier - App bundle identifier
+ * @returns {?string} Problem description, or null if both are usable
+ */
+function appIdentityProblem(teamId, bundleIdentifier) {
+    if (!teamId) return 'Team ID is required';
+    if (!bundleIdentifier) return 'Bundle identifier is required';
+    if (typeof teamId !== 'string' || teamId.length !== 10) {
+        return 'Team ID must be a 10-character string';
+    }
+    if (typeof bundleIdentifier !== 'string' || !bundleIdentifier.includes('.')) {
+        return 'Bundle identifier must be a valid reverse domain string';
+    }
+    return null;
+}
+
 /**
  * Sanitizes string input for database operations
  * @param {string} input - Input to sanitize
@@ -219,5 +318,8 @@ module.exports = {
     isValidAssertionInputs,
     validateHeaders,
     validateAttestationBody,
+    validateAttestationInput,
+    validateAssertionInput,
+    appIdentityProblem,
     sanitizeInput
 }
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Small bounded LRU cache with optional per-entry expiry and hit/miss counters
+ */
+
+class LRUCache {
+    /**
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.maxEntries=10000] - Entries kept before the least recently used one is evicted
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 10000;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Returns a live entry and marks it as most recently used
+     * @param {string} key - Cache key
+     * @returns {*} Cached value, or undefined if missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.misses++;
+            return undefined;
+        }
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+
+        this.hits++;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    /**
+     * Stores a value, evicting the least recently used entry when full
+     * @param {string} key - Cache key
+     * @param {*} value - Value to store (must not be undefined)
+     * @param {number} [ttl] - Lifetime in milliseconds
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : 0 });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Changes the capacity, evicting the least recently used entries that no longer fit
+     * @param {number} maxEntries - New capacity
+     */
+    resize(maxEntries) {
+        this.maxEntries = maxEntries;
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * @returns {Object} `{ size, maxEntries, hits, misses, hitRate }` since creation or the last clear
+     */
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups ? this.hits / lookups : 0
+        };
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+        this.hits = 0;
+        this.misses = 0;
+    }
+}
+
+module.exports = LRUCache
@@ -1,5 +1,15 @@
 /**
- * Logging utility for app-attest-server with configurable levels and formatting
+ * Logging utility for app-attest-server with configurable levels and formatting.
+ *
+ * Every log call produces a record with stable field names:
+ *   { time, level, name, msg, ...fields }
+ * which is printed as text (default) or as one JSON object per line (`format: 'json'`),
+ * passed to a sink function, or forwarded to a pino/winston-style logger.
+ *
+ * Unless `redact` is false, fields that identify devices are truncated (deviceId, keyId)
+ * and fields that carry attestation material are replaced (nonce, challenge, signature,
+ * attestationObject, assertion, publicKey, receipt, clientData), wherever they are nested.
+ * Long strings are cut at 256 characters.
  */
 
 const LOG_LEVELS = {
@@ -16,29 +26,140 @@ const LEVEL_NAMES = {
     [LOG_LEVELS.DEBUG]: 'DEBUG'
 };
 
+const LOG_FORMATS = ['text', 'json'];
+
+const RESERVED_FIELDS = ['time', 'level', 'name', 'msg'];
+
+//Field names are compared in lower case without dashes and underscores, so that `device-id` matches too
+const TRUNCATED_FIELDS = new Set(['deviceid', 'keyid', 'attestingdeviceid', 'keyids']);
+const REDACTED_FIELDS = new Set([
+    'nonce', 'challenge', 'signature', 'attestationobject', 'assertion',
+    'publickey', 'publickeypem', 'receipt', 'clientdata', 'authenticatordata'
+]);
+
+const TRUNCATED_LENGTH = 8;
+const MAX_STRING_LENGTH = 256;
+const MAX_DEPTH = 5;
+
+const fieldKey = (name) => String(name).toLowerCase().replace(/[-_]/g, '');
+
+const cut = (value, length) => (value.length > length ? `${value.slice(0, length)}...` : value);
+
+const serializeError = (error) => ({
+    type: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.stack ? { stack: error.stack } : {})
+});
+
+/**
+ * Copies log fields for output: errors become plain objects, and with `redact` sensitive
+ * values are truncated or replaced.
+ * @param {*} value - Field value
+ * @param {boolean} redact - Whether to redact
+ * @param {string} [name] - Field name
+ * @param {number} [depth] - Nesting depth
+ * @returns {*} Value safe to print
+ */
+const sanitizeField = (value, redact, name = '', depth = 0) => {
+    const key = fieldKey(name);
+    if (redact && REDACTED_FIELDS.has(key) && value !== null && value !== undefined) return '[REDACTED]';
+
+    if (value instanceof Error) return sanitizeField(serializeError(value), redact, name, depth);
+    if (typeof value === 'string') {
+        if (!redact) return value;
+        return TRUNCATED_FIELDS.has(key) ? cut(value, TRUNCATED_LENGTH) : cut(value, MAX_STRING_LENGTH);
+    }
+    if (Buffer.isBuffer(value)) return redact ? `[${value.length} bytes]` : value.toString('base64');
+    if (typeof value === 'bigint') return value.toString();
+    if (!value || typeof value !== 'object') return value;
+
+    if (depth >= MAX_DEPTH) return '[Object]';
+    if (Array.isArray(value)) return value.map(item => sanitizeField(item, redact, name, depth + 1));
+
+    const copy = {};
+    for (const [field, item] of Object.entries(value)) {
+        if (item !== undefined) copy[field] = sanitizeField(item, redact, field, depth + 1);
+    }
+    return copy;
+}
+
 class Logger {
+    /**
+     * @param {Object} [options] - Logger options
+     * @param {string|number} [options.level='INFO'] - Most verbose level printed (LOG_LEVEL takes precedence)
+     * @param {string} [options.format='text'] - 'text' or 'json' (LOG_FORMAT takes precedence)
+     * @param {boolean} [options.redact=true] - Truncate identifiers and hide attestation material
+     * @param {function|Object} [options.destination] - Sink `(record) => void`, or a pino/winston-style logger
+     * @param {boolean} [options.enableTimestamp=true] - Print the time in text format
+     * @param {boolean} [options.enableColors=true] - Colour the level in text format on a TTY
+     * @param {string} [options.prefix='app-attest-server'] - Logger name
+     */
     constructor(options = {}) {
         this.level = this.parseLogLevel(process.env.LOG_LEVEL || options.level || 'INFO');
+        this.format = this.parseFormat(process.env.LOG_FORMAT || options.format);
+        this.redact = options.redact !== false;
+        this.destination = options.destination || null;
         this.enableTimestamp = options.enableTimestamp !== false;
         this.enableColors = options.enableColors !== false && process.stdout.isTTY;
         this.prefix = options.prefix || 'app-attest-server';
     }
 
+    /**
+     * Changes the options of this logger in place, so that every module using it follows.
+     * Options set to null return to their default.
+     * @param {Object} options - `{ level, format, redact, destination }` (see the constructor)
+     * @returns {Logger} This logger
+     */
+    configure(options = {}) {
+        if (options.level !== undefined) this.level = this.parseLogLevel(options.level || process.env.LOG_LEVEL || 'INFO');
+        if (options.format !== undefined) this.format = this.parseFormat(options.format || process.env.LOG_FORMAT);
+        if (options.redact !== undefined) this.redact = options.redact !== false;
+        if (options.destination !== undefined) this.destination = options.destination || null;
+        return this;
+    }
+
     parseLogLevel(level) {
         if (typeof level === 'number') return level;
         const upperLevel = level.toUpperCase();
         return LOG_LEVELS[upperLevel] !== undefined ? LOG_LEVELS[upperLevel] : LOG_LEVELS.INFO;
     }
 
-    formatMessage(level, message, extra = {}) {
+    parseFormat(format) {
+        const lowerFormat = String(format || 'text').toLowerCase();
+        return LOG_FORMATS.includes(lowerFormat) ? lowerFormat : 'text';
+    }
+
+    /**
+     * @returns {Object} `{ time, level, name, msg, ...fields }` with sanitized fields
+     */
+    createRecord(level, message, extra = {}) {
+        const record = {
+            time: new Date().toISOString(),
+            level: (LEVEL_NAMES[level] || 'INFO').toLowerCase(),
+            name: this.prefix,
+            msg: String(message)
+        };
+
+        const fields = sanitizeField(extra && typeof extra === 'object' ? extra : { value: extra }, this.redact);
+        for (const [field, value] of Object.entries(fields)) {
+            record[RESERVED_FIELDS.includes(field) ? `field_${field}` : field] = value;
+        }
+        return record;
+    }
+
+    formatMessage(level, record) {
+        if (this.format === 'json') return JSON.stringify(record);
+
+        const { time, level: levelField, name, msg, ...fields } = record;
         const parts = [];
-        
+
         if (this.enableTimestamp) {
-            parts.push(new Date().toISOString());
+            parts.push(time);
         }
-        
+
         const levelName = LEVEL_NAMES[level] || 'INFO';
-        
+
         if (this.enableColors) {
             const colors = {
                 [LOG_LEVELS.ERROR]: '\x1b[31m', // Red
@@ -50,27 +171,55 @@ class Logger {
         } else {
             parts.push(`[${levelName}]`);
         }
-        
-        parts.push(`[${this.prefix}]`);
-        parts.push(message);
-        
+
+        parts.push(`[${name}]`);
+        parts.push(msg);
+
+        //Stack traces read better on their own lines than inside the JSON
+        const stack = fields.error && fields.error.stack;
+        if (stack) fields.error = { ...fields.error, stack: undefined };
+
         // Add extra data if provided
-        if (Object.keys(extra).length > 0) {
-            parts.push(JSON.stringify(extra));
+        if (Object.keys(fields).length > 0) {
+            parts.push(JSON.stringify(fields));
+        }
+
+        return stack ? `${parts.join(' ')}\n${stack}` : parts.join(' ');
+    }
+
+    //pino takes the fields first; winston and console-like loggers the message first
+    forward(record) {
+        const { time, level, name, msg, ...fields } = record;
+        const destination = this.destination;
+        const method = typeof destination[level] === 'function' ? level : 'info';
+
+        if (typeof destination.bindings === 'function') {
+            destination[method](fields, msg);
+        } else {
+            destination[method](msg, fields);
         }
-        
-        return parts.join(' ');
     }
 
     log(level, message, extra) {
-        if (level <= this.level) {
-            const formattedMessage = this.formatMessage(level, message, extra);
-            
-            if (level === LOG_LEVELS.ERROR) {
+        //External loggers apply their own level
+        if (level > this.level && (!this.destination || typeof this.destination === 'function')) return;
+
+        try {
+            const record = this.createRecord(level, message, extra);
+            if (typeof this.destination === 'function') return this.destination(record);
+            if (this.destination) return this.forward(record);
+
+            const formattedMessage = this.formatMessage(level, record);
+
+            //Warnings and errors go to stderr, so that they never mix with program output
+            if (level <= LOG_LEVELS.WARN) {
                 console.error(formattedMessage);
             } else {
                 console.log(formattedMessage);
             }
+        } catch (error) {
+            //Logging must never break the request being logged
+            console.error(`[${this.prefix}] Logging failed: ${error.message}`);
         }
     }
 
@@ -92,17 +241,11 @@ class Logger {
 
     // Security-focused logging methods
     securityEvent(event, details = {}) {
-        this.error(`Security Event: ${event}`, {
-            timestamp: new Date().toISOString(),
-            ...details
-        });
+        this.error('Security event', { event, ...details });
     }
 
     attestationEvent(event, deviceId, details = {}) {
-        this.info(`Attestation: ${event}`, {
-            deviceId: deviceId ? deviceId.substring(0, 8) + '...' : 'unknown',
-            ...details
-        });
+        this.info(`Attestation: ${event}`, { deviceId: deviceId || 'unknown', ...details });
     }
 
     validationError(context, error, sanitizedData = {}) {
@@ -120,5 +263,6 @@ const logger = new Logger();
 module.exports = {
     Logger,
     logger,
-    LOG_LEVELS
-}
\ No newline at end of file
+    LOG_LEVELS,
+    sanitizeField
+}
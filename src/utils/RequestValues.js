@@ -0,0 +1,95 @@
+/**
+ * Extracts the plain values used by the core API from HTTP request headers and bodies
+ */
+
+const { isValidAssertionInputs, sanitizeInput } = require('./InputValidator');
+
+/**
+ * Returns a copy of the headers with lowercase names. Accepts plain objects
+ * (any casing, array values are joined) and Fetch API `Headers` instances.
+ * @param {Object|Headers} headers - Request headers
+ * @returns {Object} Headers keyed by lowercase name
+ */
+function normalizeHeaders(headers) {
+    const normalized = {};
+    if (!headers || typeof headers !== 'object') return normalized;
+
+    const entries = typeof headers.entries === 'function' && typeof headers.get === 'function'
+        ? [...headers.entries()]
+        : Object.entries(headers);
+
+    for (const [name, value] of entries) {
+        if (value === undefined) continue;
+        normalized[name.toLowerCase()] = Array.isArray(value) ? value.join(', ') : value;
+    }
+    return normalized;
+}
+
+/**
+ * @param {Object} headers - Request headers
+ * @returns {string|undefined} The device-id header
+ */
+function deviceIdFrom(headers) {
+    return normalizeHeaders(headers)['device-id'];
+}
+
+/**
+ * @param {Object} req - Request object (Express, Fastify or node:http)
+ * @returns {string|undefined} The client IP address: `req.ip` when the framework sets it
+ * (honouring its proxy settings), otherwise the remote address of the connection
+ */
+function clientIpOf(req) {
+    if (!req) return undefined;
+    return req.ip || (req.socket && req.socket.remoteAddress) || undefined;
+}
+
+/**
+ * Values for registerAttestation: device-id header, keyId and attestationObject from the JSON body
+ * @param {Object} headers - Request headers
+ * @param {Object} [body] - Parsed request body
+ * @returns {Object} `{ deviceId, keyId, attestationObject }`
+ */
+function attestationInput(headers, body) {
+    const { keyId, attestationObject } = body && typeof body === 'object' ? body : {};
+    return { deviceId: deviceIdFrom(headers), keyId, attestationObject };
+}
+
+/**
+ * Values for validateAssertion. clientData holds the headers named in the
+ * semicolon-separated assertion-inputs header, which the client signed.
+ * @param {Object} headers - Request headers
+ * @param {Object} [request] - `{ method, path, body }` of the request, for requestBinding
+ * @returns {Object} `{ deviceId, keyId, signature, nonce, clientData, request }`
+ */
+function assertionInput(headers, request) {
+    const normalized = normalizeHeaders(headers);
+    const assertionInputs = normalized['assertion-inputs'];
+
+    let clientData = null;
+    if (isValidAssertionInputs(assertionInputs)) {
+        clientData = {};
+        const clientDataKeys = sanitizeInput(assertionInputs, { maxLength: 500, allowedChars: 'a-z0-9-;' }).split(';');
+        clientDataKeys.forEach(key => {
+            if (normalized[key] !== undefined) {
+                clientData[key] = normalized[key];
+            }
+        });
+    }
+
+    return {
+        deviceId: normalized['device-id'],
+        keyId: normalized['key-id'],
+        signature: normalized['signature'],
+        nonce: normalized['nonce'],
+        clientData,
+        request: request && { ...request, contentDigest: normalized['content-digest'] }
+    };
+}
+
+module.exports = {
+    normalizeHeaders,
+    deviceIdFrom,
+    clientIpOf,
+    attestationInput,
+    assertionInput
+}
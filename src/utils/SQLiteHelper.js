@@ -1,98 +1,104 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { logger } = require('./Logger');
 
-const dbPath = process.env.ATTESTATION_DB_PATH || path.join(process.cwd(), 'attestations.db');
-let db = null;
-let dbConnectionError = null;
+const defaultDbPath = () => process.env.ATTESTATION_DB_PATH || path.join(process.cwd(), 'attestations.db');
 
 /**
- * Initialize database connection with proper error handling
+ * Creates a query function bound to its own SQLite connection.
+ * The connection is opened lazily on the first query.
+ * @param {string} [dbPath] - Database file path (defaults to ATTESTATION_DB_PATH or ./attestations.db)
+ * @returns {function(string, Array): Promise<Array>} Query function
  */
-function initializeDatabase() {
-    if (db && !dbConnectionError) return Promise.resolve();
-    
-    return new Promise((resolve, reject) => {
-        // Ensure directory exists
-        const dbDir = path.dirname(dbPath);
-        if (!fs.existsSync(dbDir)) {
-            try {
-                fs.mkdirSync(dbDir, { recursive: true });
-            } catch (error) {
-                console.error('Failed to create database directory:', error.message);
-                dbConnectionError = error;
-                return reject(error);
-            }
-        }
+function createDbQuery(dbPath = defaultDbPath()) {
+    let db = null;
+    let dbConnectionError = null;
 
-        db = new sqlite3.Database(dbPath, (err) => {
-            if (err) {
-                console.error('Error opening database:', err.message);
-                dbConnectionError = err;
-                reject(err);
-            } else {
-                console.log('Database connection established');
-                dbConnectionError = null;
-                resolve();
-            }
-        });
-    });
-}
+    /**
+     * Initialize database connection with proper error handling
+     */
+    function initializeDatabase() {
+        if (db && !dbConnectionError) return Promise.resolve();
 
-/**
- * Execute database query with connection retry logic
- * @param {string} query - SQL query to execute
- * @param {Array} args - Query parameters
- * @returns {Promise<Array>} Query results
- */
-function dbQuery(query, args) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            // Initialize database if not connected
-            if (!db || dbConnectionError) {
-                await initializeDatabase();
+        return new Promise((resolve, reject) => {
+            // Ensure directory exists
+            const dbDir = path.dirname(dbPath);
+            if (dbPath !== ':memory:' && !fs.existsSync(dbDir)) {
+                try {
+                    fs.mkdirSync(dbDir, { recursive: true });
+                } catch (error) {
+                    logger.error('Failed to create database directory', { path: dbDir, error });
+                    dbConnectionError = error;
+                    return reject(error);
+                }
             }
 
-            db.all(query, args, (err, rows) => {
+            db = new sqlite3.Database(dbPath, (err) => {
                 if (err) {
-                    console.error('Database query error:', err.message);
-                    console.error('Query:', query);
-                    console.error('Args:', args);
-                    
-                    // Check if it's a connection error and retry once
-                    if (err.code === 'SQLITE_CANTOPEN' || err.code === 'SQLITE_NOTADB') {
-                        console.log('Attempting to reconnect to database...');
-                        dbConnectionError = err;
-                        db = null;
-                        
-                        // Retry once
-                        initializeDatabase()
-                            .then(() => {
-                                db.all(query, args, (retryErr, retryRows) => {
-                                    if (retryErr) {
-                                        reject(new Error(`Database error after retry: ${retryErr.message}`));
-                                    } else {
-                                        resolve(retryRows);
-                                    }
-                                });
-                            })
-                            .catch(reject);
-                    } else {
-                        reject(new Error(`Database query failed: ${err.message}`));
-                    }
+                    logger.error('Error opening database', { path: dbPath, error: err });
+                    dbConnectionError = err;
+                    reject(err);
                 } else {
-                    resolve(rows);
+                    logger.debug('Database connection established', { path: dbPath });
+                    dbConnectionError = null;
+                    resolve();
                 }
             });
-        } catch (error) {
-            reject(new Error(`Database initialization failed: ${error.message}`));
-        }
-    });
-}
+        });
+    }
 
-// Initialize database on module load
-initializeDatabase().catch(err => {
-    console.error('Failed to initialize database on startup:', err.message);
-});
+    /**
+     * Execute database query with connection retry logic
+     * @param {string} query - SQL query to execute
+     * @param {Array} args - Query parameters
+     * @returns {Promise<Array>} Query results
+     */
+    function dbQuery(query, args) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // Initialize database if not connected
+                if (!db || dbConnectionError) {
+                    await initializeDatabase();
+                }
+
+                db.all(query, args, (err, rows) => {
+                    if (err) {
+                        //The arguments are left out: they hold device IDs, keys and receipts
+                        logger.error('Database query error', { code: err.code, error: err.message, query });
+
+                        // Check if it's a connection error and retry once
+                        if (err.code === 'SQLITE_CANTOPEN' || err.code === 'SQLITE_NOTADB') {
+                            logger.warn('Attempting to reconnect to database');
+                            dbConnectionError = err;
+                            db = null;
+
+                            // Retry once
+                            initializeDatabase()
+                                .then(() => {
+                                    db.all(query, args, (retryErr, retryRows) => {
+                                        if (retryErr) {
+                                            reject(new Error(`Database error after retry: ${retryErr.message}`));
+                                        } else {
+                                            resolve(retryRows);
+                                        }
+                                    });
+                                })
+                                .catch(reject);
+                        } else {
+                            reject(new Error(`Database query failed: ${err.message}`));
+                        }
+                    } else {
+                        resolve(rows);
+                    }
+                });
+            } catch (error) {
+                reject(new Error(`Database initialization failed: ${error.message}`));
+            }
+        });
+    }
+
+    return dbQuery;
+}
 
-module.exports = dbQuery
\ No newline at end of file
+module.exports = { createDbQuery }
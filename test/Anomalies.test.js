@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AppAttest = require('../src');
+const { deviceId, setup, register, assertion, validate } = require('./helpers/TestContext');
+
+const anomaliesOf = async ({ options }, keyId, type) => (await AppAttest.admin.listAnomalies({ keyId, type }, options)).anomalies;
+
+test('resending a captured assertion records no rollback and does not quarantine the key', async () => {
+    const context = setup();
+    const { key } = await register(context);
+
+    const captured = assertion(context, key, { counter: 1 });
+    assert.strictEqual(await validate(context, captured), 1);
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 20 })), 20);
+
+    for (let resend = 0; resend < 5; resend++) {
+        assert.strictEqual(await validate(context, captured), 'ASSERTION_REPLAYED');
+    }
+    assert.deepStrictEqual(await anomaliesOf(context, key.keyId), []);
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 21 })), 21);
+});
+
+test('an old assertion seen for the first time counts once', async () => {
+    const context = setup();
+    const { key } = await register(context);
+
+    const old = assertion(context, key, { counter: 1 });
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 20 })), 20);
+
+    assert.strictEqual(await validate(context, old), 'COUNTER_REPLAY');
+    assert.strictEqual(await validate(context, old), 'ASSERTION_REPLAYED');
+    const anomalies = await anomaliesOf(context, key.keyId, 'counterRollback');
+    assert.strictEqual(anomalies.length, 1);
+    assert.deepStrictEqual(anomalies[0].details, { counter: 1, storedCounter: 20 });
+});
+
+test('out-of-order requests within counterRollbackTolerance are not anomalies', async () => {
+    const context = setup({ quarantineThresholds: { counterRollback: 1 } });
+    const { key } = await register(context);
+
+    const first = assertion(context, key, { counter: 1 });
+    const second = assertion(context, key, { counter: 2 });
+    assert.strictEqual(await validate(context, second), 2);
+    assert.strictEqual(await validate(context, first), 'COUNTER_REPLAY');
+
+    assert.deepStrictEqual(await anomaliesOf(context, key.keyId), []);
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 3 })), 3);
+});
+
+test('rollbacks are not counted without a signed nonce or a replay cache', async () => {
+    for (const [overrides, signNonce] of [[{}, false], [{ replayCache: false }, true]]) {
+        const context = setup({ ...overrides, quarantineThresholds: { counterRollback: 1 } });
+        const { key } = await register(context);
+
+        assert.strictEqual(await validate(context, assertion(context, key, { counter: 50 })), 50);
+        assert.strictEqual(await validate(context, assertion(context, key, { counter: 1, signNonce })), 'COUNTER_REPLAY');
+        assert.deepStrictEqual(await anomaliesOf(context, key.keyId), []);
+    }
+});
+
+test('distinct rollbacks quarantine the key at the threshold until it is released', async () => {
+    const context = setup();
+    const { key } = await register(context);
+    const stale = [1, 2, 3].map(counter => assertion(context, key, { counter }));
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 100 })), 100);
+
+    assert.strictEqual(await validate(context, stale[0]), 'COUNTER_REPLAY');
+    assert.strictEqual(await validate(context, stale[1]), 'COUNTER_REPLAY');
+    assert.strictEqual(await validate(context, stale[2]), 'KEY_QUARANTINED');
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 101 })), 'KEY_QUARANTINED');
+
+    const device = await AppAttest.admin.getDevice({ deviceId }, context.options);
+    assert.strictEqual(device.quarantined, true);
+
+    const { released } = await AppAttest.admin.releaseKey({ keyId: key.keyId }, context.options);
+    assert.strictEqual(released, true);
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 102 })), 102);
+    assert.ok((await anomaliesOf(context, key.keyId)).every(anomaly => anomaly.reviewedAt));
+});
+
+test('counter jumps are accepted and recorded, and quarantine at the threshold', async () => {
+    const context = setup({ counterJumpThreshold: 100, quarantineThresholds: { counterJump: 2 } });
+    const { key } = await register(context);
+
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 50 })), 50);
+    assert.deepStrictEqual(await anomaliesOf(context, key.keyId), []);
+
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 500 })), 500);
+    const jumps = await anomaliesOf(context, key.keyId, 'counterJump');
+    assert.strictEqual(jumps.length, 1);
+    assert.deepStrictEqual(jumps[0].details, { counter: 500, storedCounter: 50 });
+
+    assert.strictEqual(await validate(context, assertion(context, key, { counter: 1000 })), 'KEY_QUARANTINED');
+});
+
+test('a key attested under another device ID is a key conflict and quarantines the key', async () => {
+    const context = setup();
+    const { key } = await register(context);
+
+    const conflict = await register(context, { key, device: 'device-0002-abcdef' });
+    assert.strictEqual(conflict.result.error.code, 'KEY_CONFLICT');
+
+    const [anomaly] = await anomaliesOf(context, key.keyId, 'keyConflict');
+    assert.strictEqual(anomaly.deviceId, deviceId);
+    assert.deepStrictEqual(anomaly.details, { attestingDeviceId: 'device-0002-abcdef' });
+    assert.strictEqual(await validate(context, assertion(context, key)), 'KEY_QUARANTINED');
+});
+
+test('thresholds of 0 record anomalies without quarantining, and null turns quarantine off', async () => {
+    for (const quarantineThresholds of [{ counterRollback: 0 }, null]) {
+        const context = setup({ quarantineThresholds });
+        const { key } = await register(context);
+        assert.strictEqual(await validate(context, assertion(context, key, { counter: 100 })), 100);
+
+        for (const counter of [1, 2, 3, 4]) {
+            assert.strictEqual(await validate(context, assertion(context, key, { counter })), 'COUNTER_REPLAY');
+        }
+        assert.strictEqual((await anomaliesOf(context, key.keyId, 'counterRollback')).length, 4);
+        assert.strictEqual(await validate(context, assertion(context, key, { counter: 101 })), 101);
+    }
+});
+
+test('keys are quarantined and released by hand', async () => {
+    const context = setup();
+    const { key } = await register(context);
+
+    const quarantined = await AppAttest.admin.quarantineKey({ keyId: key.keyId, reason: 'under investigation' }, context.options);
+    assert.strictEqual(quarantined.quarantineReason, 'under investigation');
+    assert.strictEqual(await validate(context, assertion(context, key)), 'KEY_QUARANTINED');
+
+    assert.strictEqual((await AppAttest.admin.releaseKey({ keyId: key.keyId }, context.options)).released, true);
+    assert.strictEqual((await AppAttest.admin.releaseKey({ keyId: key.keyId }, context.options)).released, false);
+    assert.strictEqual(await validate(context, assertion(context, key)), 2);
+
+    const unknown = await AppAttest.admin.quarantineKey({ keyId: 'unknown' }, context.options);
+    assert.strictEqual(unknown.error.code, 'KEY_NOT_FOUND');
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { canonicalJSON } = require('../src/utils/CanonicalJSON');
+const vectors = require('./fixtures/CanonicalJSONVectors.json');
+
+//The same output with the other slash setting: `/` only ever appears inside strings
+const escapedOutput = (output) => output.replace(/\//g, '\\/');
+const unescapedOutput = (output) => output.replace(/\\\//g, '/');
+
+for (const vector of vectors) {
+    const escapeSlashes = !vector.options || vector.options.escapeSlashes !== false;
+
+    test(`${vector.description} (escapeSlashes: true)`, () => {
+        const output = escapeSlashes ? vector.output : escapedOutput(vector.output);
+        assert.strictEqual(canonicalJSON(vector.input, { escapeSlashes: true }), output);
+    });
+
+    test(`${vector.description} (escapeSlashes: false)`, () => {
+        const output = escapeSlashes ? unescapedOutput(vector.output) : vector.output;
+        assert.strictEqual(canonicalJSON(vector.input, { escapeSlashes: false }), output);
+    });
+
+    test(`${vector.description} (options of the vector)`, () => {
+        assert.strictEqual(canonicalJSON(vector.input, vector.options), vector.output);
+    });
+}
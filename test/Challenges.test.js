@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { purgeExpiredChallenges } = require('../src/Challenges');
+const { deviceId, setup, nonceFor, register } = require('./helpers/TestContext');
+
+test('an attestation challenge can be answered only once', async () => {
+    const context = setup({ maxActiveKeys: 5 });
+    const key = context.authority.createKey();
+    const challenge = await nonceFor(context);
+
+    const first = await register(context, { key, challenge });
+    assert.ifError(first.result.error);
+
+    const replayed = await register(context, { key, challenge });
+    assert.strictEqual(replayed.result.error.code, 'CHALLENGE_UNKNOWN');
+});
+
+test('a failed attestation burns its challenge', async () => {
+    const context = setup();
+    const key = context.authority.createKey();
+    const challenge = await nonceFor(context);
+
+    const failed = await register(context, { key, challenge, attestation: { bundleIdentifier: 'com.example.other' } });
+    assert.strictEqual(failed.result.error.code, 'RP_ID_MISMATCH');
+
+    const retried = await register(context, { key, challenge });
+    assert.strictEqual(retried.result.error.code, 'CHALLENGE_UNKNOWN');
+});
+
+test('an attestation challenge expires after challengeTtl and is purged', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const context = setup({ challengeTtl: 60 });
+    const { store } = context.options;
+
+    const onTime = await register(context, { challenge: await nonceFor(context) });
+    assert.ifError(onTime.result.error);
+
+    const challenge = await nonceFor(context);
+    t.mock.timers.tick(61 * 1000);
+    const late = await register(context, { challenge });
+    assert.strictEqual(late.result.error.code, 'CHALLENGE_EXPIRED');
+
+    await nonceFor(context);
+    t.mock.timers.tick(61 * 1000);
+    assert.strictEqual(await purgeExpiredChallenges(store), 1);
+    assert.deepStrictEqual(await store.listChallenges(deviceId, 'attestation'), []);
+});
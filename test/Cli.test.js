@@ -0,0 +1,75 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { TestAuthority } = require('../src/testing');
+
+const teamId = 'ABCDE12345';
+const bundleIdentifier = 'com.example.app';
+const challenge = Buffer.from('cli test challenge').toString('base64');
+
+const BIN = path.join(__dirname, '..', 'bin', 'app-attest-server.js');
+
+//Runs the installed command in a child process, as an operator would
+const run = (args, input) => {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [BIN, ...args], {
+        input,
+        encoding: 'utf8',
+        timeout: 30000,
+        env: { ...process.env, LOG_LEVEL: 'info' }
+    });
+    return { status, stdout, stderr };
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-attest-cli-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('verify-attestation reports every step and exits 0 for a valid attestation', () => {
+    const authority = new TestAuthority();
+    const key = authority.createKey();
+    const { attestationObject } = authority.attestation(key, { challenge, teamId, bundleIdentifier });
+    const root = path.join(dir, 'root.pem');
+    fs.writeFileSync(root, authority.trustedRoots().attestationRootCertificates[0]);
+
+    const args = ['verify-attestation', '-', '--team-id', teamId, '--bundle-id', bundleIdentifier, '--key-id', key.keyId, '--root', root, '--json'];
+    const valid = run([...args, '--nonce', challenge], attestationObject);
+    assert.strictEqual(valid.status, 0, valid.stderr);
+    const report = JSON.parse(valid.stdout);
+    assert.strictEqual(report.valid, true);
+    assert.ok(report.steps.every(step => step.status !== 'fail'));
+
+    const wrongNonce = run([...args, '--nonce', Buffer.from('another challenge').toString('base64')], attestationObject);
+    assert.strictEqual(wrongNonce.status, 1);
+    assert.strictEqual(JSON.parse(wrongNonce.stdout).code, 'NONCE_MISMATCH');
+});
+
+test('store commands keep log records out of the JSON on stdout', () => {
+    const db = path.join(dir, 'attestations.db');
+    fs.writeFileSync(db, '');
+
+    const migrated = run(['migrate', '--db', db, '--json']);
+    assert.strictEqual(migrated.status, 0, migrated.stderr);
+    assert.ok(JSON.parse(migrated.stdout).applied.length > 0);
+    assert.match(migrated.stderr, /Applied schema migration/);
+
+    const devices = run(['devices', 'list', '--db', db, '--json']);
+    assert.strictEqual(devices.status, 0, devices.stderr);
+    assert.deepStrictEqual(JSON.parse(devices.stdout).devices, []);
+
+    const unknown = run(['keys', 'quarantine', 'unknown-key', '--db', db]);
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stdout, /code: KEY_NOT_FOUND/);
+});
+
+test('usage errors exit 2 and print the usage to stderr', () => {
+    const unknown = run(['frobnicate']);
+    assert.strictEqual(unknown.status, 2);
+    assert.strictEqual(unknown.stdout, '');
+    assert.match(unknown.stderr, /Unknown command 'frobnicate'/);
+
+    const missing = run(['verify-attestation', '-'], 'AAAA');
+    assert.strictEqual(missing.status, 2);
+    assert.match(missing.stderr, /Missing --team-id, --bundle-id, --nonce/);
+});
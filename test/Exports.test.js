@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const registerAttestation = require('../src/RegisterAttestation');
+const validateAssertion = require('../src/AssertionValidator');
+
+test('deep requires keep the functions they exported before', async () => {
+    assert.strictEqual(typeof registerAttestation, 'function');
+    assert.strictEqual(registerAttestation.registerAttestation, registerAttestation);
+    assert.strictEqual(typeof registerAttestation.registerDevice, 'function');
+    assert.strictEqual((await registerAttestation(undefined)).error.code, 'INVALID_INPUT');
+
+    assert.strictEqual(typeof validateAssertion, 'function');
+    assert.strictEqual(validateAssertion.validateAssertion, validateAssertion);
+    assert.strictEqual(typeof validateAssertion.verifyAssertion, 'function');
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('node:stream');
+const AppAttest = require('../src');
+const { contentDigest } = require('../src/RequestBinding');
+const { teamId, bundleIdentifier, setup, register, assertion } = require('./helpers/TestContext');
+
+const body = Buffer.from(JSON.stringify({ item: 'coffee', quantity: 2 }));
+
+//Headers of a request to POST /api/orders whose assertion covers the method, target and body
+const boundRequestHeaders = (context, key) => {
+    const input = assertion(context, key, {
+        clientData: { '@method': 'POST', '@request-target': '/api/orders', 'content-digest': contentDigest(body) }
+    });
+    return { 'device-id': input.deviceId, 'key-id': input.keyId, signature: input.signature, nonce: input.nonce, 'assertion-inputs': 'nonce' };
+}
+
+//An Express request whose body stream a parser already read, keeping the raw body or not
+const parsedExpressRequest = async (headers, { keepRawBody }) => {
+    const req = Readable.from([body]);
+    for await (const chunk of req) if (keepRawBody) AppAttest.express.captureRawBody(req, null, chunk);
+    return Object.assign(req, { method: 'POST', url: '/api/orders', originalUrl: '/api/orders', headers, ip: '127.0.0.1', body: JSON.parse(body) });
+}
+
+const expressResponse = () => ({
+    set() {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+});
+
+const runMiddleware = async (middleware, req) => {
+    const res = expressResponse();
+    let passed = false;
+    await middleware(req, res, (error) => {
+        if (error) throw error;
+        passed = true;
+    });
+    return { passed, res };
+}
+
+test('Express requireAssertion verifies a bound request when the parser kept the raw body', async () => {
+    const context = setup();
+    const { key } = await register(context);
+    const middleware = AppAttest.requireAssertion({ teamId, bundleIdentifier, requestBinding: true, ...context.options });
+
+    const req = await parsedExpressRequest(boundRequestHeaders(context, key), { keepRawBody: true });
+    const { passed } = await runMiddleware(middleware, req);
+    assert.strictEqual(passed, true);
+    assert.strictEqual(req.appAttest.keyId, key.keyId);
+});
+
+test('Express requireAssertion explains once that a parser consumed the raw body', async (t) => {
+    const context = setup();
+    const { key } = await register(context);
+    const middleware = AppAttest.requireAssertion({ teamId, bundleIdentifier, requestBinding: true, ...context.options });
+
+    const records = [];
+    AppAttest.configure({ logger: (record) => records.push(record) });
+    t.after(() => AppAttest.configure({ logger: null }));
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const req = await parsedExpressRequest(boundRequestHeaders(context, key), { keepRawBody: false });
+        const { passed, res } = await runMiddleware(middleware, req);
+        assert.strictEqual(passed, false);
+        assert.strictEqual(res.statusCode, 500);
+    }
+    const explanations = records.filter(record => /captureRawBody/.test(record.msg));
+    assert.strictEqual(explanations.length, 1);
+});
+
+//Just enough of a Fastify instance to register the plugin and run its hooks
+const fakeFastify = () => {
+    const fastify = {
+        initialConfig: { bodyLimit: 1024 },
+        hooks: {},
+        route() {},
+        decorateRequest() {},
+        decorate(name, value) { fastify[name] = value; },
+        addHook(name, hook) { fastify.hooks[name] = hook; }
+    };
+    return fastify;
+}
+
+const fastifyReply = () => ({
+    headers() { return this; },
+    code(status) { this.statusCode = status; return this; },
+    send(payload) { this.payload = payload; return this; }
+});
+
+test('the Fastify plugin only buffers the bodies of routes it protects', async () => {
+    const context = setup();
+    const { key } = await register(context);
+    const fastify = fakeFastify();
+    AppAttest.fastify(fastify, { teamId, bundleIdentifier, requestBinding: true, ...context.options }, () => {});
+
+    const open = { method: 'POST', url: '/api/feedback' };
+    fastify.hooks.onRoute(open);
+    assert.strictEqual(open.preParsing, undefined);
+
+    const protectedRoute = { method: 'POST', url: '/api/orders', preHandler: [fastify.appAttestAssertion] };
+    fastify.hooks.onRoute(protectedRoute);
+    assert.strictEqual(protectedRoute.preParsing.length, 1);
+
+    const request = { method: 'POST', url: '/api/orders', headers: boundRequestHeaders(context, key), ip: '127.0.0.1' };
+    const payload = await protectedRoute.preParsing[0](request, fastifyReply(), Readable.from([body]));
+    assert.deepStrictEqual(Buffer.concat(await payload.toArray()), body);
+    request.body = JSON.parse(body);
+
+    const reply = fastifyReply();
+    await fastify.appAttestAssertion(request, reply);
+    assert.strictEqual(reply.statusCode, undefined);
+    assert.strictEqual(request.appAttest.keyId, key.keyId);
+});
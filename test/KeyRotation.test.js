@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { deviceId, setup, nonceFor, register, assertion, validate } = require('./helpers/TestContext');
+
+//'ok' if the key signs an accepted assertion, or the error code
+const check = async (context, key) => {
+    const result = await validate(context, assertion(context, key));
+    return typeof result === 'number' ? 'ok' : result;
+}
+
+test('a nonce requested by someone else does not cancel a pending registration', async () => {
+    const context = setup();
+    const challenge = await nonceFor(context);
+    const other = await nonceFor(context);
+
+    const { result } = await register(context, { challenge });
+    assert.ifError(result.error);
+    assert.deepStrictEqual((await context.options.store.listChallenges(deviceId, 'attestation')).map(({ nonce }) => nonce), [other]);
+});
+
+test('an attestation for no pending challenge burns none of them', async () => {
+    const context = setup();
+    const challenge = await nonceFor(context);
+
+    const stranger = await register(context, { challenge: 'c3RyYW5nZXI=' });
+    assert.strictEqual(stranger.result.error.code, 'NONCE_MISMATCH');
+
+    const { result } = await register(context, { challenge });
+    assert.ifError(result.error);
+
+    const again = await register(context, { challenge });
+    assert.strictEqual(again.result.error.code, 'CHALLENGE_UNKNOWN');
+});
+
+test('a device that lost its key gets back in by attesting a new one', async () => {
+    const context = setup();
+    const lost = await register(context);
+    assert.ifError(lost.result.error);
+
+    //The reinstalled app signs with a key the server does not know, and is told to re-attest
+    const replacement = context.authority.createKey();
+    assert.strictEqual(await check(context, replacement), 'KEY_NOT_FOUND');
+
+    const { result } = await register(context, { key: replacement });
+    assert.ifError(result.error);
+    assert.deepStrictEqual(result.supersededKeys, [lost.key.keyId]);
+    assert.strictEqual(await check(context, replacement), 'ok');
+});
+
+test('with keyLimitPolicy reject, a device cannot register a key past maxActiveKeys', async () => {
+    const context = setup({ keyLimitPolicy: 'reject' });
+    const first = await register(context);
+    assert.ifError(first.result.error);
+
+    const second = await register(context);
+    assert.strictEqual(second.result.error.code, 'KEY_LIMIT_REACHED');
+    assert.strictEqual(await check(context, first.key), 'ok');
+    assert.strictEqual(await check(context, second.key), 'KEY_NOT_FOUND');
+
+    const roomier = await register(context, { overrides: { maxActiveKeys: 2 } });
+    assert.ifError(roomier.result.error);
+    assert.deepStrictEqual(roomier.result.supersededKeys, []);
+});
+
+test('older keys are superseded and retire after the grace period', async () => {
+    const context = setup();
+    const first = await register(context);
+    const second = await register(context);
+    assert.deepStrictEqual(second.result.supersededKeys, [first.key.keyId]);
+    assert.strictEqual(await check(context, first.key), 'ok');
+    assert.strictEqual(await check(context, second.key), 'ok');
+
+    const third = await register(context, { overrides: { keyGracePeriod: 0 } });
+    assert.deepStrictEqual(third.result.supersededKeys, [second.key.keyId]);
+    assert.strictEqual(await check(context, second.key), 'KEY_SUPERSEDED');
+
+    //Retired keys stay until the purge command deletes them
+    assert.strictEqual(await context.options.store.deleteRetiredKeys(Date.now()), 1);
+    assert.strictEqual(await check(context, second.key), 'KEY_NOT_FOUND');
+    assert.strictEqual(await check(context, third.key), 'ok');
+});
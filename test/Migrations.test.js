@@ -0,0 +1,63 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const AppAttest = require('../src');
+const { createDbQuery } = require('../src/utils/SQLiteHelper');
+const { MIGRATIONS } = require('../src/storage/Migrations');
+const { deviceId } = require('./helpers/TestContext');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-attest-migrations-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+//The only table of releases before versioning, as their initDb created it
+const createUnversionedDatabase = async (filename) => {
+    const query = createDbQuery(filename);
+    await query(`CREATE TABLE IF NOT EXISTS attestations(
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        deviceId TEXT NOT NULL,
+        nonce TEXT,
+        keyId TEXT UNIQUE,
+        publicKey TEXT,
+        counter INTEGER DEFAULT 0,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`, []);
+    await query(`INSERT INTO attestations (deviceId, keyId, publicKey, counter) VALUES (?, ?, ?, ?)`, [deviceId, 'legacy-key', 'legacy-public-key', 7]);
+}
+
+test(`migrate() brings an unversioned database to schema version ${AppAttest.SCHEMA_VERSION} and keeps its keys`, async () => {
+    const filename = path.join(dir, 'unversioned.db');
+    await createUnversionedDatabase(filename);
+    const store = new AppAttest.SQLiteStore({ filename });
+
+    const migrated = await store.migrate();
+    assert.strictEqual(migrated.from, 0);
+    assert.strictEqual(migrated.to, AppAttest.SCHEMA_VERSION);
+    assert.deepStrictEqual(migrated.applied.map(({ version }) => version), MIGRATIONS.map(({ version }) => version));
+    assert.strictEqual(await store.schemaVersion(), AppAttest.SCHEMA_VERSION);
+
+    const key = await store.loadKey(deviceId, 'legacy-key');
+    assert.strictEqual(key.counter, 7);
+    assert.strictEqual(key.publicKey, 'legacy-public-key');
+    assert.strictEqual(key.supersededAt, null);
+
+    const indexes = (await store.execute(`SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'attestations'`)).map(({ name }) => name);
+    assert.ok(indexes.includes('attestations_device'));
+    assert.ok(indexes.includes('attestations_retirement'));
+
+    const again = await store.migrate();
+    assert.deepStrictEqual(again, { from: AppAttest.SCHEMA_VERSION, to: AppAttest.SCHEMA_VERSION, applied: [] });
+});
+
+test('a database migrated by a newer release is refused', async () => {
+    const filename = path.join(dir, 'newer.db');
+    await new AppAttest.SQLiteStore({ filename }).migrate();
+    await createDbQuery(filename)(`INSERT INTO schema_migrations (version, description, appliedAt) VALUES (?, ?, ?)`,
+        [AppAttest.SCHEMA_VERSION + 1, 'From the future', Date.now()]);
+
+    const store = new AppAttest.SQLiteStore({ filename });
+    await assert.rejects(store.migrate(), { code: 'INVALID_CONFIGURATION' });
+    await assert.rejects(store.loadKey(deviceId, 'legacy-key'), { code: 'INVALID_CONFIGURATION' });
+});
@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AppAttest = require('../src');
+const { checkRateLimit } = require('../src/RateLimiter');
+const { teamId, bundleIdentifier, deviceId, setup, register } = require('./helpers/TestContext');
+
+//Two nonce requests per address and one per device, neither refilling during the test
+const rateLimits = {
+    nonce: {
+        device: { capacity: 1, refillInterval: 3600 },
+        ip: { capacity: 2, refillInterval: 3600 }
+    }
+};
+
+const limiters = {
+    MemoryRateLimiter: () => new AppAttest.MemoryRateLimiter(),
+    'StoreRateLimiter on a MemoryStore': () => new AppAttest.StoreRateLimiter(new AppAttest.MemoryStore()),
+    'StoreRateLimiter on a SQLiteStore': () => new AppAttest.StoreRateLimiter(new AppAttest.SQLiteStore({ filename: ':memory:' }))
+};
+
+for (const [name, createLimiter] of Object.entries(limiters)) {
+    test(`${name} gives the address token back when the device bucket refuses`, async () => {
+        const config = { rateLimiter: createLimiter(), rateLimits, tenant: 'default' };
+        const nonce = (deviceId) => checkRateLimit(config, 'nonce', { deviceId, clientIp: '198.51.100.7' });
+
+        assert.strictEqual(await nonce('device-a'), null);
+        const refused = await nonce('device-a');
+        assert.strictEqual(refused.code, 'RATE_LIMITED');
+        assert.match(refused.message, /per device/);
+
+        //Another device behind the same address still has the token device-a was refused
+        assert.strictEqual(await nonce('device-b'), null);
+        assert.match((await nonce('device-c')).message, /per ip/);
+    });
+}
+
+test('getNonce refuses a device past its limit with RATE_LIMITED until a token is back', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { options } = setup({
+        rateLimiter: new AppAttest.MemoryRateLimiter(),
+        rateLimits: { nonce: { device: { capacity: 2, refillInterval: 30 } } }
+    });
+    const getNonce = () => AppAttest.core.getNonce({ deviceId, clientIp: '198.51.100.7' }, options);
+
+    assert.ifError((await getNonce()).error);
+    assert.ifError((await getNonce()).error);
+    const { error } = await getNonce();
+    assert.ok(error instanceof AppAttest.RateLimitError);
+    assert.strictEqual(error.code, 'RATE_LIMITED');
+    assert.strictEqual(error.status, 429);
+    assert.strictEqual(error.retryAfter, 30);
+
+    t.mock.timers.tick(15 * 1000);
+    assert.strictEqual((await getNonce()).error.retryAfter, 15);
+    t.mock.timers.tick(15 * 1000);
+    assert.ifError((await getNonce()).error);
+});
+
+test('registerAttestation refuses a device past its limit', async () => {
+    const context = setup({
+        maxActiveKeys: 5,
+        rateLimiter: new AppAttest.MemoryRateLimiter(),
+        rateLimits: { register: { device: { capacity: 1, refillInterval: 60 } } }
+    });
+
+    assert.ifError((await register(context)).result.error);
+    const refused = await register(context);
+    assert.strictEqual(refused.result.error.code, 'RATE_LIMITED');
+    assert.strictEqual(refused.result.error.retryAfter, 60);
+});
+
+test('the Express router answers a rate limited request with 429 and Retry-After', async () => {
+    const { options } = setup({
+        rateLimiter: new AppAttest.MemoryRateLimiter(),
+        rateLimits: { nonce: { ip: { capacity: 1, refillInterval: 5 } } }
+    });
+    const router = AppAttest.router({ teamId, bundleIdentifier, ...options });
+
+    const get = async (device) => {
+        const res = {
+            set(headers) { this.headers = headers; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(payload) { this.body = payload; return this; }
+        };
+        const req = { method: 'GET', url: '/nonce', path: '/nonce', headers: { 'device-id': device }, ip: '198.51.100.7' };
+        await router(req, res, (error) => { throw error || new Error('Request was passed on'); });
+        return res;
+    };
+
+    assert.strictEqual((await get('device-a')).statusCode, 200);
+    const limited = await get('device-b');
+    assert.strictEqual(limited.statusCode, 429);
+    assert.deepStrictEqual(limited.headers, { 'Retry-After': '5' });
+    assert.strictEqual(limited.body.code, 'RATE_LIMITED');
+    assert.strictEqual(limited.body.retryAfter, 5);
+});
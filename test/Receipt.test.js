@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const cbor = require('cbor');
+const AppAttest = require('../src');
+const { validateAttestation } = require('../src/AttestationValidator');
+const { validateReceipt, decodeReceipt } = require('../src/Receipt');
+const { teamId, bundleIdentifier, setup, register } = require('./helpers/TestContext');
+const fixtures = require('./fixtures/AppleAttestations.json');
+
+const receiptOf = (attestationObject) => cbor.decodeFirstSync(Buffer.from(attestationObject, 'base64')).attStmt.receipt;
+
+//The credential certificates of the recorded attestations expired, so they are checked when the receipts were created
+const createdAtOf = (receipt) => new Date(decodeReceipt(receipt).fields.createdAt);
+
+for (const fixture of fixtures.attestations) {
+    test(`validates the receipt of a recorded ${fixture.environment} attestation`, () => {
+        const receipt = receiptOf(fixture.attestationObject);
+        const now = new Date(createdAtOf(receipt).getTime() + 10 * 1000);
+
+        const attestation = validateAttestation(fixture.challenge, fixture.keyId, fixture.attestationObject,
+            fixtures.teamId, fixtures.bundleIdentifier, fixture.environment, { now });
+        assert.strictEqual(attestation.result, true, attestation.reason);
+
+        const result = validateReceipt(attestation.receipt, {
+            appId: `${fixtures.teamId}.${fixtures.bundleIdentifier}`,
+            type: 'ATTEST',
+            attestedCertificate: attestation.credCertificate,
+            maxAge: 300,
+            now
+        });
+        assert.strictEqual(result.result, true, result.reason);
+        assert.strictEqual(result.receipt.type, 'ATTEST');
+        assert.strictEqual(result.receipt.appId, `${fixtures.teamId}.${fixtures.bundleIdentifier}`);
+    });
+}
+
+test('refuses a recorded receipt whose content was altered', () => {
+    const receipt = Buffer.from(receiptOf(fixtures.attestations[0].attestationObject));
+    const appId = Buffer.from(`${fixtures.teamId}.${fixtures.bundleIdentifier}`);
+    const offset = receipt.indexOf(appId);
+    receipt[offset + appId.length - 1] ^= 1;
+
+    const result = validateReceipt(receipt, { appId: appId.toString(), now: createdAtOf(receiptOf(fixtures.attestations[0].attestationObject)) });
+    assert.strictEqual(result.result, false);
+    assert.strictEqual(result.code, 'RECEIPT_INVALID');
+});
+
+test('registers keys without a valid receipt unless requireReceipt is set', async () => {
+    const context = setup({ maxActiveKeys: 5 });
+    const { authority, options: { store } } = context;
+
+    const lenient = await register(context, { attestation: { receipt: false } });
+    assert.ifError(lenient.result.error);
+    assert.strictEqual(await store.loadReceipt(lenient.key.keyId), null);
+
+    const unverified = await register(context, { attestation: { receipt: authority.receipt({ teamId, bundleIdentifier, type: 'RECEIPT' }) } });
+    assert.ifError(unverified.result.error);
+    assert.strictEqual((await store.loadReceipt(unverified.key.keyId)).type, 'RECEIPT');
+
+    const strict = await register(context, { attestation: { receipt: false }, overrides: { requireReceipt: true } });
+    assert.strictEqual(strict.result.error.code, 'RECEIPT_INVALID');
+
+    const valid = await register(context, { overrides: { requireReceipt: true } });
+    assert.ifError(valid.result.error);
+    assert.strictEqual((await store.loadReceipt(valid.key.keyId)).type, 'ATTEST');
+});
+
+test('refuses a refreshed receipt that belongs to another key', async () => {
+    const context = setup({ maxActiveKeys: 5 });
+    const { authority, options: { store } } = context;
+    const { key, credCertificate } = await register(context);
+    const other = await register(context);
+
+    //Apple only refreshes a receipt after its notBefore time
+    await store.saveReceipt(key.keyId, { ...(await store.loadReceipt(key.keyId)), notBefore: null });
+
+    const refresh = (attestedCertificate) => AppAttest.core.refreshReceipt({ keyId: key.keyId }, {
+        ...context.options,
+        receiptKeyId: 'ABC123DEFG',
+        receiptPrivateKey: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey,
+        httpClient: async () => ({
+            status: 200,
+            body: authority.receipt({ teamId, bundleIdentifier, type: 'RECEIPT', riskMetric: 2, attestedCertificate }).toString('base64')
+        })
+    });
+
+    const mismatched = await refresh(other.credCertificate);
+    assert.strictEqual(mismatched.error.code, 'RECEIPT_REFRESH_FAILED');
+    assert.strictEqual((await store.loadReceipt(key.keyId)).type, 'ATTEST');
+
+    const refreshed = await refresh(credCertificate);
+    assert.ifError(refreshed.error);
+    assert.strictEqual(refreshed.riskMetric, 2);
+    assert.strictEqual((await store.loadReceipt(key.keyId)).type, 'RECEIPT');
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AppAttest = require('../src');
+const { setup, register, assertion, validate } = require('./helpers/TestContext');
+
+test('only one of two concurrent copies of an assertion is accepted', async () => {
+    const context = setup();
+    const { key } = await register(context);
+
+    const captured = assertion(context, key, { counter: 1 });
+    const results = await Promise.all([validate(context, captured), validate(context, captured)]);
+    assert.deepStrictEqual(results.sort(), [1, 'ASSERTION_REPLAYED']);
+});
+
+test('instances sharing a StoreReplayCache refuse each other\'s assertions', async () => {
+    const context = setup();
+    const { key } = await register(context);
+    const { store } = context.options;
+
+    //Two server instances, each with its own replay cache on the shared store
+    const instances = [0, 1].map(() => ({ ...context.options, replayCache: new AppAttest.StoreReplayCache(store) }));
+    const captured = assertion(context, key, { counter: 1 });
+
+    const results = await Promise.all(instances.map(async (options) => {
+        const result = await AppAttest.core.validateAssertion(captured, options);
+        return result.error ? result.error.code : result.counter;
+    }));
+    assert.deepStrictEqual(results.sort(), [1, 'ASSERTION_REPLAYED']);
+});
+
+for (const [name, createCache] of Object.entries({
+    MemoryReplayCache: () => new AppAttest.MemoryReplayCache(),
+    StoreReplayCache: () => new AppAttest.StoreReplayCache(new AppAttest.MemoryStore())
+})) {
+    test(`${name} forgets a fingerprint after the freshness window`, async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const cache = createCache();
+
+        assert.strictEqual(await cache.checkAndRecord('fingerprint', 300), true);
+        assert.strictEqual(await cache.checkAndRecord('fingerprint', 300), false);
+        t.mock.timers.tick(299 * 1000);
+        assert.strictEqual(await cache.checkAndRecord('fingerprint', 300), false);
+        t.mock.timers.tick(2 * 1000);
+        assert.strictEqual(await cache.checkAndRecord('fingerprint', 300), true);
+    });
+}
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { contentDigest } = require('../src/RequestBinding');
+const { setup, register, assertion, validate } = require('./helpers/TestContext');
+
+const body = Buffer.from(JSON.stringify({ item: 'coffee', quantity: 2 }));
+const signedRequest = { method: 'POST', path: '/api/orders?draft=1', body };
+
+//An assertion the client signed over POST /api/orders?draft=1 and its body, sent as `request`
+const boundAssertion = (context, key, counter, request) => ({
+    ...assertion(context, key, {
+        counter,
+        clientData: { '@method': 'POST', '@request-target': '/api/orders?draft=1', 'content-digest': contentDigest(body) }
+    }),
+    request: { ...signedRequest, ...request }
+});
+
+test('a bound assertion is accepted only for the method, target and body it signs', async () => {
+    const context = setup({ requestBinding: true });
+    const { key } = await register(context);
+
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 1, { method: 'PUT' })), 'SIGNATURE_INVALID');
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 2, { path: '/api/orders' })), 'SIGNATURE_INVALID');
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 3, { path: '/api/refunds?draft=1' })), 'SIGNATURE_INVALID');
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 4, { body: Buffer.from('{"item":"coffee","quantity":20}') })), 'SIGNATURE_INVALID');
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 5, { body: '' })), 'SIGNATURE_INVALID');
+
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 6, { method: 'post' })), 6);
+});
+
+test('a Content-Digest header must match the body', async () => {
+    const context = setup({ requestBinding: true });
+    const { key } = await register(context);
+
+    const forged = boundAssertion(context, key, 1, { contentDigest: contentDigest('{"item":"tea"}') });
+    assert.strictEqual(await validate(context, forged), 'CONTENT_DIGEST_MISMATCH');
+
+    const matching = boundAssertion(context, key, 2, { contentDigest: `${contentDigest(body)}, sha-512=:AAAA:` });
+    assert.strictEqual(await validate(context, matching), 2);
+});
+
+test('requestBinding refuses an assertion without the request', async () => {
+    const context = setup({ requestBinding: true });
+    const { key } = await register(context);
+
+    const withoutRequest = { ...boundAssertion(context, key, 1), request: undefined };
+    assert.strictEqual(await validate(context, withoutRequest), 'INVALID_CONFIGURATION');
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 2, { body: undefined })), 'INVALID_CONFIGURATION');
+    assert.strictEqual(await validate(context, boundAssertion(context, key, 3, { body: null })), 'INVALID_INPUT');
+});
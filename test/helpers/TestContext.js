@@ -0,0 +1,71 @@
+/**
+ * Shared setup of the tests that register keys and validate assertions: each context
+ * has its own TestAuthority, in-memory store and replay cache, so tests never share state.
+ */
+
+const AppAttest = require('../../src');
+const { TestAuthority } = require('../../src/testing');
+
+const teamId = 'ABCDE12345';
+const bundleIdentifier = 'com.example.app';
+const deviceId = 'device-0001-abcdef';
+
+//Logging is process-wide, so a per-call logLevel would not silence the expected warnings
+AppAttest.configure({ logLevel: 'error' });
+
+/**
+ * @param {Object} [overrides] - Configuration overrides, e.g. `{ replayCache: false }`
+ * @returns {Object} `{ authority, options }`, where options trust the authority and accept its app
+ */
+const setup = (overrides = {}) => {
+    const authority = new TestAuthority();
+    const options = {
+        store: new AppAttest.MemoryStore(),
+        replayCache: new AppAttest.MemoryReplayCache(),
+        rateLimiter: false,
+        apps: [{ teamId, bundleIdentifier }],
+        ...authority.trustedRoots(),
+        ...overrides
+    };
+    return { authority, options };
+}
+
+/**
+ * @returns {Promise<string>} A new attestation challenge for the device
+ */
+const nonceFor = async ({ options }, device = deviceId) => (await AppAttest.core.getNonce({ deviceId: device }, options)).nonce;
+
+/**
+ * Attests a key and registers it, answering a new challenge unless one is given.
+ * @param {Object} context - Context from setup()
+ * @param {Object} [registration] - `{ key, device, challenge, attestation, overrides }`: attestation options
+ * for TestAuthority.attestation, and configuration overrides of the registration
+ * @returns {Promise<Object>} `{ key, result, credCertificate }`
+ */
+const register = async (context, { key = context.authority.createKey(), device = deviceId, challenge, attestation, overrides } = {}) => {
+    const nonce = challenge || await nonceFor(context, device);
+    const { attestationObject, credCertificate } = context.authority.attestation(key, { challenge: nonce, teamId, bundleIdentifier, ...attestation });
+    const result = await AppAttest.core.registerAttestation({ deviceId: device, keyId: key.keyId, attestationObject }, { ...context.options, ...overrides });
+    return { key, result, credCertificate };
+}
+
+/**
+ * Signs an assertion over a fresh timestamp nonce, which is part of the clientData unless signNonce is false.
+ * @returns {Object} Input for core.validateAssertion
+ */
+const assertion = ({ authority }, key, { counter, signNonce = true, clientData = { path: '/orders' } } = {}) => {
+    const nonce = String(Math.floor(Date.now() / 1000));
+    const signed = signNonce ? { nonce, ...clientData } : clientData;
+    const signature = authority.assertion(key, signed, { teamId, bundleIdentifier, counter });
+    return { deviceId, keyId: key.keyId, signature, nonce, clientData: signed };
+}
+
+/**
+ * @returns {Promise<number|string>} The new counter of an accepted assertion, or the error code
+ */
+const validate = async ({ options }, input) => {
+    const result = await AppAttest.core.validateAssertion(input, options);
+    return result.error ? result.error.code : result.counter;
+}
+
+module.exports = { teamId, bundleIdentifier, deviceId, setup, nonceFor, register, assertion, validate };